@@ -0,0 +1,89 @@
+// Local credentials - password hashing with PBKDF2 through WebCrypto
+
+// Iterations for new hashes. Stored with each credential so the count can be raised
+// later without invalidating existing passwords.
+const PASSWORD_HASH_ITERATIONS = 600000;
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_HASH_BITS = 256;
+const PASSWORD_MIN_LENGTH = 8;
+
+/**
+ * Encodes bytes as base64
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} The base64 string
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+/**
+ * Decodes a base64 string
+ * @param {string} base64 - The base64 string
+ * @returns {Uint8Array} The decoded bytes
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derives a PBKDF2-SHA-256 hash of a password
+ * @param {string} password - The password
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<Uint8Array>} Promise that resolves with the derived bytes
+ */
+async function derivePasswordHash(password, salt, iterations) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        key,
+        PASSWORD_HASH_BITS
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * Hashes a new password with a fresh random salt
+ * @param {string} password - The password
+ * @returns {Promise<Object>} Promise that resolves with the credential
+ *   { algorithm, iterations, salt, hash } to store on the user
+ */
+async function createPasswordCredential(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+    const hash = await derivePasswordHash(password, salt, PASSWORD_HASH_ITERATIONS);
+    return {
+        algorithm: 'PBKDF2-SHA-256',
+        iterations: PASSWORD_HASH_ITERATIONS,
+        salt: bytesToBase64(salt),
+        hash: bytesToBase64(hash)
+    };
+}
+
+/**
+ * Checks a password against a stored credential
+ * @param {string} password - The password that was entered
+ * @param {Object} credential - The credential from createPasswordCredential()
+ * @returns {Promise<boolean>} Promise that resolves with true if the password matches
+ */
+async function verifyPassword(password, credential) {
+    if (!credential || credential.algorithm !== 'PBKDF2-SHA-256') return false;
+
+    const expected = base64ToBytes(credential.hash);
+    const actual = await derivePasswordHash(password, base64ToBytes(credential.salt), credential.iterations);
+    if (actual.length !== expected.length) return false;
+
+    // Compare every byte so the time taken does not depend on where they differ
+    let difference = 0;
+    for (let i = 0; i < actual.length; i++) {
+        difference |= actual[i] ^ expected[i];
+    }
+    return difference === 0;
+}
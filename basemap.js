@@ -0,0 +1,76 @@
+// Bundled vector base map of the Korean peninsula, drawn by map-view.js without a tile server
+// Outlines are simplified to a few kilometres; good enough to place visits, not to navigate.
+
+// Land polygons as rings of [longitude, latitude]
+const BASEMAP_LAND = [
+    {
+        name: '한반도',
+        ring: [
+            [124.35, 40.05], [124.70, 39.62], [125.10, 39.55], [125.45, 39.52], [125.35, 39.20],
+            [125.15, 38.90], [125.20, 38.70], [124.85, 38.55], [124.70, 38.10], [125.10, 37.95],
+            [125.55, 37.70], [125.75, 38.00], [126.10, 37.75], [126.45, 37.72], [126.60, 37.45],
+            [126.70, 37.25], [126.55, 37.10], [126.85, 36.97], [126.60, 36.95], [126.35, 36.95],
+            [126.15, 36.78], [126.20, 36.60], [126.35, 36.55], [126.50, 36.35], [126.55, 36.15],
+            [126.65, 36.00], [126.55, 35.85], [126.48, 35.65], [126.45, 35.45], [126.38, 35.25],
+            [126.30, 35.05], [126.35, 34.80], [126.30, 34.60], [126.45, 34.35], [126.65, 34.42],
+            [126.85, 34.45], [127.05, 34.55], [127.25, 34.45], [127.45, 34.60], [127.65, 34.68],
+            [127.80, 34.85], [127.95, 34.90], [128.10, 34.88], [128.35, 34.82], [128.55, 34.95],
+            [128.75, 35.05], [128.95, 35.05], [129.10, 35.10], [129.25, 35.30], [129.40, 35.45],
+            [129.47, 35.70], [129.55, 36.00], [129.45, 36.25], [129.40, 36.50], [129.45, 36.80],
+            [129.40, 37.05], [129.25, 37.35], [129.05, 37.65], [128.90, 37.85], [128.60, 38.20],
+            [128.40, 38.55], [128.25, 38.80], [127.80, 39.05], [127.45, 39.15], [127.45, 39.35],
+            [127.60, 39.80], [127.95, 39.90], [128.30, 40.05], [128.70, 40.30], [129.20, 40.65],
+            [129.70, 41.05], [129.75, 41.45], [129.80, 41.80], [130.25, 42.05], [130.65, 42.30],
+            [130.55, 42.50], [130.20, 42.70], [129.90, 42.95], [129.55, 42.40], [129.20, 42.20],
+            [128.90, 42.05], [128.05, 41.99], [128.20, 41.45], [127.60, 41.40], [127.10, 41.55],
+            [126.60, 41.60], [126.30, 41.15], [125.90, 40.90], [125.50, 40.65], [125.00, 40.40],
+            [124.65, 40.25]
+        ]
+    },
+    {
+        name: '제주도',
+        ring: [
+            [126.16, 33.30], [126.30, 33.22], [126.55, 33.23], [126.80, 33.27], [126.95, 33.45],
+            [126.75, 33.55], [126.50, 33.52], [126.25, 33.45]
+        ]
+    },
+    {
+        name: '울릉도',
+        ring: [
+            [130.80, 37.50], [130.87, 37.45], [130.92, 37.48], [130.88, 37.55], [130.82, 37.54]
+        ]
+    },
+    {
+        name: '거제도',
+        ring: [
+            [128.48, 34.90], [128.60, 34.72], [128.72, 34.75], [128.72, 34.95], [128.60, 35.00]
+        ]
+    },
+    {
+        name: '강화도',
+        ring: [
+            [126.38, 37.65], [126.55, 37.62], [126.55, 37.78], [126.42, 37.80]
+        ]
+    }
+];
+
+// Lines drawn on top of the land as [longitude, latitude] paths
+const BASEMAP_BORDERS = [
+    // Military demarcation line
+    [
+        [126.10, 37.75], [126.70, 37.95], [127.00, 38.00], [127.30, 38.30], [127.70, 38.28],
+        [128.10, 38.32], [128.37, 38.62]
+    ]
+];
+
+// Place labels: [name, latitude, longitude, rank]. Rank 2 labels only appear when zoomed in.
+const BASEMAP_LABELS = [
+    ['서울', 37.5665, 126.9780, 1], ['부산', 35.1796, 129.0756, 1], ['대구', 35.8714, 128.6014, 1],
+    ['인천', 37.4563, 126.7052, 1], ['광주', 35.1595, 126.8526, 1], ['대전', 36.3504, 127.3845, 1],
+    ['울산', 35.5384, 129.3114, 1], ['제주', 33.4996, 126.5312, 1], ['평양', 39.0392, 125.7625, 1],
+    ['세종', 36.4801, 127.2890, 2], ['수원', 37.2636, 127.0286, 2], ['춘천', 37.8813, 127.7298, 2],
+    ['강릉', 37.7519, 128.8761, 2], ['청주', 36.6424, 127.4890, 2], ['전주', 35.8242, 127.1480, 2],
+    ['목포', 34.8118, 126.3922, 2], ['여수', 34.7604, 127.6622, 2], ['포항', 36.0190, 129.3435, 2],
+    ['경주', 35.8562, 129.2247, 2], ['안동', 36.5684, 128.7294, 2], ['창원', 35.2281, 128.6811, 2],
+    ['진주', 35.1800, 128.1076, 2], ['서귀포', 33.2541, 126.5600, 2], ['원주', 37.3422, 127.9202, 2]
+];
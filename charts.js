@@ -0,0 +1,214 @@
+// SVG charts for the Stats tab - donut, bar and timeline charts drawn as markup, without a chart library
+// Every chart marks its segments with data-segment="<index into the items>" so that the caller
+// can react to clicks on them.
+
+const CHART_WIDTH = 600;
+const CHART_FONT_SIZE = 12;
+const CHART_BAR_COLOR = '#37352F';
+const CHART_EMPTY_TEXT = '데이터가 없습니다';
+
+/**
+ * Escapes text for use in SVG markup
+ * @param {string} text - The text
+ * @returns {string} The escaped text
+ */
+function escapeChartText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns the attributes that make a chart element a clickable segment
+ * @param {number} index - Index of the item the element stands for
+ * @param {string} title - Text read out and shown on hover
+ * @returns {string} Attribute markup
+ */
+function chartSegmentAttributes(index, title) {
+    return `class="chart-segment" data-segment="${index}" tabindex="0" role="button" aria-label="${escapeChartText(title)}"`;
+}
+
+/**
+ * Wraps chart content in an <svg> element that scales to its container
+ * @param {number} width - Width of the drawing
+ * @param {number} height - Height of the drawing
+ * @param {string} label - Accessible description of the chart
+ * @param {string} content - The drawing
+ * @returns {string} SVG markup
+ */
+function wrapChartSvg(width, height, label, content) {
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeChartText(label)}" font-size="${CHART_FONT_SIZE}">${content}</svg>`;
+}
+
+/**
+ * Returns the markup shown instead of a chart without data
+ * @returns {string} HTML markup
+ */
+function createEmptyChartHtml() {
+    return `<p class="chart-empty">${CHART_EMPTY_TEXT}</p>`;
+}
+
+/**
+ * Draws a donut chart with a legend
+ * @param {Object[]} items - Array of { label, value, color }; items with no value are left out
+ * @param {string} label - Accessible description of the chart
+ * @returns {string} SVG markup
+ */
+function createDonutChartSvg(items, label) {
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (total === 0) return createEmptyChartHtml();
+
+    const size = 200;
+    const center = size / 2;
+    const outer = 90;
+    const inner = 54;
+    const legendX = size + 32;
+    const legendRow = 24;
+    const height = Math.max(size, items.length * legendRow);
+
+    // A full circle cannot be drawn as one arc, so a lone segment is a ring
+    const arcPath = (start, end) => {
+        if (end - start >= 1) {
+            return `M ${center} ${center - outer} A ${outer} ${outer} 0 1 1 ${center - 0.01} ${center - outer} Z ` +
+                `M ${center} ${center - inner} A ${inner} ${inner} 0 1 0 ${center + 0.01} ${center - inner} Z`;
+        }
+        const point = (fraction, radius) => {
+            const angle = fraction * 2 * Math.PI - Math.PI / 2;
+            return `${(center + radius * Math.cos(angle)).toFixed(2)} ${(center + radius * Math.sin(angle)).toFixed(2)}`;
+        };
+        const large = end - start > 0.5 ? 1 : 0;
+        return `M ${point(start, outer)} A ${outer} ${outer} 0 ${large} 1 ${point(end, outer)} ` +
+            `L ${point(end, inner)} A ${inner} ${inner} 0 ${large} 0 ${point(start, inner)} Z`;
+    };
+
+    let start = 0;
+    let shownCount = 0;
+    let segments = '';
+    let legend = '';
+    items.forEach((item, index) => {
+        if (item.value === 0) return;
+        const end = start + item.value / total;
+        const percent = Math.round(item.value / total * 100);
+        const title = `${item.label}: ${item.value} (${percent}%)`;
+        segments += `<path d="${arcPath(start, end)}" fill="${item.color}" fill-rule="evenodd" ${chartSegmentAttributes(index, title)}><title>${escapeChartText(title)}</title></path>`;
+
+        const y = shownCount * legendRow + legendRow / 2;
+        shownCount++;
+        legend += `<g ${chartSegmentAttributes(index, title)}>` +
+            `<rect x="${legendX}" y="${y - 7}" width="14" height="14" rx="3" fill="${item.color}"></rect>` +
+            `<text x="${legendX + 22}" y="${y + 4}">${escapeChartText(item.label)} · ${item.value} (${percent}%)</text></g>`;
+        start = end;
+    });
+
+    const summary = `<text x="${center}" y="${center + 6}" text-anchor="middle" font-size="20" font-weight="600">${total}</text>`;
+    return wrapChartSvg(CHART_WIDTH, height, label, segments + summary + legend);
+}
+
+/**
+ * Draws a column chart, e.g. a count per month
+ * Labels are thinned out so that they never overlap.
+ * @param {Object[]} items - Array of { label, value } in display order
+ * @param {string} label - Accessible description of the chart
+ * @returns {string} SVG markup
+ */
+function createColumnChartSvg(items, label) {
+    const max = Math.max(0, ...items.map(item => item.value));
+    if (max === 0) return createEmptyChartHtml();
+
+    const height = 220;
+    const top = 20;
+    const bottom = 28;
+    const plotHeight = height - top - bottom;
+    const slot = CHART_WIDTH / items.length;
+    const barWidth = Math.max(2, slot * 0.7);
+    const labelEvery = Math.ceil(items.length / 12);
+
+    let content = `<line x1="0" y1="${height - bottom}" x2="${CHART_WIDTH}" y2="${height - bottom}" stroke="#E8E8E8"></line>`;
+    items.forEach((item, index) => {
+        const x = index * slot + (slot - barWidth) / 2;
+        const barHeight = item.value / max * plotHeight;
+        const title = `${item.label}: ${item.value}`;
+        // The whole column is clickable, so short bars are easy to hit
+        content += `<g ${chartSegmentAttributes(index, title)}><title>${escapeChartText(title)}</title>` +
+            `<rect x="${index * slot}" y="${top}" width="${slot}" height="${plotHeight}" fill="transparent"></rect>` +
+            `<rect x="${x.toFixed(2)}" y="${(height - bottom - barHeight).toFixed(2)}" width="${barWidth.toFixed(2)}" height="${barHeight.toFixed(2)}" rx="2" fill="${CHART_BAR_COLOR}"></rect>` +
+            (item.value > 0 && barWidth >= 14
+                ? `<text x="${(x + barWidth / 2).toFixed(2)}" y="${(height - bottom - barHeight - 4).toFixed(2)}" text-anchor="middle">${item.value}</text>`
+                : '') +
+            '</g>';
+        if (index % labelEvery === 0) {
+            content += `<text x="${(index * slot + slot / 2).toFixed(2)}" y="${height - 8}" text-anchor="middle" fill="#6F7579">${escapeChartText(item.label)}</text>`;
+        }
+    });
+    return wrapChartSvg(CHART_WIDTH, height, label, content);
+}
+
+/**
+ * Draws a horizontal bar chart, e.g. a ranking
+ * @param {Object[]} items - Array of { label, value } in display order
+ * @param {string} label - Accessible description of the chart
+ * @returns {string} SVG markup
+ */
+function createBarChartSvg(items, label) {
+    const max = Math.max(0, ...items.map(item => item.value));
+    if (max === 0) return createEmptyChartHtml();
+
+    const row = 28;
+    const labelWidth = 180;
+    const valueWidth = 40;
+    const plotWidth = CHART_WIDTH - labelWidth - valueWidth;
+
+    let content = '';
+    items.forEach((item, index) => {
+        const y = index * row;
+        const barWidth = Math.max(2, item.value / max * plotWidth);
+        const title = `${item.label}: ${item.value}`;
+        // Long labels are cut short; the full text is in the title
+        const shown = item.label.length > 16 ? `${item.label.slice(0, 15)}…` : item.label;
+        content += `<g ${chartSegmentAttributes(index, title)}><title>${escapeChartText(title)}</title>` +
+            `<rect x="0" y="${y}" width="${CHART_WIDTH}" height="${row}" fill="transparent"></rect>` +
+            `<text x="${labelWidth - 8}" y="${y + row / 2 + 4}" text-anchor="end">${escapeChartText(shown)}</text>` +
+            `<rect x="${labelWidth}" y="${y + 6}" width="${barWidth.toFixed(2)}" height="${row - 12}" rx="3" fill="${CHART_BAR_COLOR}"></rect>` +
+            `<text x="${(labelWidth + barWidth + 6).toFixed(2)}" y="${y + row / 2 + 4}" fill="#6F7579">${item.value}</text></g>`;
+    });
+    return wrapChartSvg(CHART_WIDTH, items.length * row, label, content);
+}
+
+/**
+ * Draws colors along a timeline: one column per period with its colors stacked in order
+ * @param {Object[]} columns - Array of { label, swatches } where swatches is an array of
+ *   { color, title }; the column is the clickable segment
+ * @param {string} label - Accessible description of the chart
+ * @returns {string} SVG markup
+ */
+function createPaletteTimelineSvg(columns, label) {
+    const tallest = Math.max(0, ...columns.map(column => column.swatches.length));
+    if (tallest === 0) return createEmptyChartHtml();
+
+    const bottom = 28;
+    const plotHeight = Math.min(200, Math.max(60, tallest * 18));
+    const height = plotHeight + bottom;
+    const slot = CHART_WIDTH / columns.length;
+    const swatchWidth = Math.max(2, slot * 0.8);
+    const swatchHeight = plotHeight / tallest;
+    const labelEvery = Math.ceil(columns.length / 12);
+
+    let content = '';
+    columns.forEach((column, index) => {
+        const x = index * slot + (slot - swatchWidth) / 2;
+        const title = `${column.label}: ${column.swatches.length}`;
+        content += `<g ${chartSegmentAttributes(index, title)}>` +
+            `<rect x="${index * slot}" y="0" width="${slot}" height="${plotHeight}" fill="transparent"><title>${escapeChartText(title)}</title></rect>`;
+        column.swatches.forEach((swatch, position) => {
+            const y = plotHeight - (position + 1) * swatchHeight;
+            content += `<rect x="${x.toFixed(2)}" y="${y.toFixed(2)}" width="${swatchWidth.toFixed(2)}" height="${Math.max(1, swatchHeight - 1).toFixed(2)}" rx="2" fill="${escapeChartText(swatch.color)}" stroke="rgba(0,0,0,0.08)"><title>${escapeChartText(swatch.title)}</title></rect>`;
+        });
+        content += '</g>';
+        if (index % labelEvery === 0) {
+            content += `<text x="${(index * slot + slot / 2).toFixed(2)}" y="${height - 8}" text-anchor="middle" fill="#6F7579">${escapeChartText(column.label)}</text>`;
+        }
+    });
+    return wrapChartSvg(CHART_WIDTH, height, label, content);
+}
@@ -1,131 +1,1628 @@
-// Data Layer - localStorage abstraction
+// Data Layer - IndexedDB abstraction
 
-const DataService = {
-    // Initialize with sample data if empty
-    init() {
-        if (!localStorage.getItem('architecture_log_users')) {
-            const defaultUser = {
-                id: 'user_' + Date.now(),
-                username: 'default',
-                bio: 'Architecture enthusiast',
-                createdAt: new Date().toISOString()
+// ============================================================================
+// IndexedDB Configuration and Utilities
+// ============================================================================
+
+const DB_NAME = 'ArchitectureLogDB';
+const DB_VERSION = 7;
+const STORE_NAME = 'images';
+const USERS_STORE = 'users';
+const POSTS_STORE = 'posts';
+const COMMENTS_STORE = 'comments';
+const LIKES_STORE = 'likes';
+const FOLLOWS_STORE = 'follows';
+const NOTIFICATIONS_STORE = 'notifications';
+const META_STORE = 'meta';
+const OUTBOX_STORE = 'outbox';
+const DRAFTS_STORE = 'drafts';
+const DRAFT_IMAGES_STORE = 'draftImages';
+const COLLECTIONS_STORE = 'collections';
+
+// Shared connection, opened once per page
+let dbPromise = null;
+
+/**
+ * Opens the IndexedDB database and returns a promise with the database instance
+ * Creates or upgrades the object stores when the schema version changes
+ * @returns {Promise<IDBDatabase>} Promise that resolves with the database instance
+ */
+async function openDB() {
+    if (dbPromise) return dbPromise;
+    
+    dbPromise = new Promise((resolve, reject) => {
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = () => {
+                console.warn('IndexedDB open failed:', request.error);
+                dbPromise = null;
+                reject(request.error);
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Release the connection when another tab upgrades the schema
+                db.onversionchange = () => {
+                    db.close();
+                    dbPromise = null;
+                };
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                upgradeSchema(event.target.result, event.oldVersion);
+            };
+        } catch (error) {
+            console.warn('IndexedDB not supported or error:', error);
+            dbPromise = null;
+            reject(error);
+        }
+    });
+    
+    return dbPromise;
+}
+
+/**
+ * Creates the object stores and indexes for each schema version
+ * Runs inside the versionchange transaction of indexedDB.open
+ * @param {IDBDatabase} db - The database being upgraded
+ * @param {number} oldVersion - The schema version before the upgrade (0 for a new database)
+ */
+function upgradeSchema(db, oldVersion) {
+    if (oldVersion < 1) {
+        db.createObjectStore(STORE_NAME);
+    }
+    
+    if (oldVersion < 2) {
+        const users = db.createObjectStore(USERS_STORE, { keyPath: 'id' });
+        users.createIndex('username', 'username');
+        
+        const posts = db.createObjectStore(POSTS_STORE, { keyPath: 'id' });
+        posts.createIndex('userId', 'userId');
+        posts.createIndex('category', 'category');
+        posts.createIndex('createdAt', 'createdAt');
+        
+        const comments = db.createObjectStore(COMMENTS_STORE, { keyPath: 'id' });
+        comments.createIndex('postId', 'postId');
+        comments.createIndex('userId', 'userId');
+        
+        const likes = db.createObjectStore(LIKES_STORE, { keyPath: ['postId', 'userId'] });
+        likes.createIndex('postId', 'postId');
+        likes.createIndex('userId', 'userId');
+        
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+    }
+    
+    if (oldVersion < 3) {
+        // Writes queued by the HTTP adapter while offline, replayed in key order
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+    }
+    
+    if (oldVersion < 4) {
+        const follows = db.createObjectStore(FOLLOWS_STORE, { keyPath: ['followerId', 'followeeId'] });
+        follows.createIndex('followerId', 'followerId');
+        follows.createIndex('followeeId', 'followeeId');
+    }
+    
+    if (oldVersion < 5) {
+        const notifications = db.createObjectStore(NOTIFICATIONS_STORE, { keyPath: 'id' });
+        notifications.createIndex('userId', 'userId');
+        notifications.createIndex('postId', 'postId');
+    }
+    
+    if (oldVersion < 6) {
+        // Unfinished upload forms and their photos; never synced to a server
+        const drafts = db.createObjectStore(DRAFTS_STORE, { keyPath: 'id' });
+        drafts.createIndex('userId', 'userId');
+        db.createObjectStore(DRAFT_IMAGES_STORE);
+    }
+    
+    if (oldVersion < 7) {
+        // Trips: ordered lists of post IDs; postIds finds the trips a post belongs to
+        const collections = db.createObjectStore(COLLECTIONS_STORE, { keyPath: 'id' });
+        collections.createIndex('userId', 'userId');
+        collections.createIndex('postIds', 'postIds', { multiEntry: true });
+    }
+}
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - The request to wrap
+ * @returns {Promise<*>} Promise that resolves with the request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Runs a callback inside a single IndexedDB transaction
+ * The returned promise settles when the transaction completes, so writes are durable
+ * @param {string[]} storeNames - The object stores the transaction covers
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the transaction; may return a value or promise
+ * @returns {Promise<*>} Promise that resolves with the callback's result
+ */
+async function runTransaction(storeNames, mode, callback) {
+    const db = await openDB();
+    
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        let result;
+        
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        
+        try {
+            Promise.resolve(callback(transaction))
+                .then(value => { result = value; })
+                .catch(error => {
+                    transaction.abort();
+                    reject(error);
+                });
+        } catch (error) {
+            transaction.abort();
+            reject(error);
+        }
+    });
+}
+
+/**
+ * Reads all records from a store, optionally through an index
+ * @param {string} storeName - The object store to read
+ * @param {string} [indexName] - Index to query instead of the primary key
+ * @param {*} [query] - Key or key range to match
+ * @returns {Promise<Object[]>} Promise that resolves with the matching records
+ */
+function getAllRecords(storeName, indexName, query) {
+    return runTransaction([storeName], 'readonly', (transaction) => {
+        const store = transaction.objectStore(storeName);
+        const source = indexName ? store.index(indexName) : store;
+        return promisifyRequest(source.getAll(query));
+    });
+}
+
+/**
+ * Reads a single record by its primary key
+ * @param {string} storeName - The object store to read
+ * @param {*} key - The primary key
+ * @returns {Promise<Object|null>} Promise that resolves with the record or null
+ */
+async function getRecord(storeName, key) {
+    const record = await runTransaction([storeName], 'readonly', (transaction) =>
+        promisifyRequest(transaction.objectStore(storeName).get(key))
+    );
+    return record || null;
+}
+
+/**
+ * Inserts or replaces a record
+ * @param {string} storeName - The object store to write
+ * @param {Object} record - The record to store
+ * @returns {Promise<void>} Promise that resolves when the write is committed
+ */
+function putRecord(storeName, record) {
+    return runTransaction([storeName], 'readwrite', (transaction) => {
+        transaction.objectStore(storeName).put(record);
+    });
+}
+
+/**
+ * Compare-and-merge for a record that may have been saved concurrently elsewhere
+ * `base` is the version the writer started from. If the stored record has moved past
+ * it (a higher `rev`), only the fields the writer changed relative to `base` are
+ * applied on top of the stored record, so another tab's edits to other fields survive.
+ * Without a base the incoming record replaces the stored one.
+ * @param {Object|null} stored - The record currently in storage
+ * @param {Object} incoming - The record being saved
+ * @param {Object} [base] - The record as it was when the writer read it
+ * @returns {Object} The record to store, with `rev` incremented
+ */
+function mergeRecordChanges(stored, incoming, base) {
+    if (!stored) {
+        return { ...incoming, rev: 1 };
+    }
+    
+    const storedRev = stored.rev || 0;
+    if (!base || storedRev <= (base.rev || 0)) {
+        return { ...incoming, rev: storedRev + 1 };
+    }
+    
+    const merged = { ...stored };
+    new Set([...Object.keys(base), ...Object.keys(incoming)]).forEach(key => {
+        if (key === 'rev' || JSON.stringify(incoming[key]) === JSON.stringify(base[key])) return;
+        if (key in incoming) {
+            merged[key] = incoming[key];
+        } else {
+            delete merged[key];
+        }
+    });
+    merged.rev = storedRev + 1;
+    return merged;
+}
+
+/**
+ * Saves a record with compare-and-merge inside a single transaction
+ * @param {string} storeName - The object store to write
+ * @param {Object} record - The record to save
+ * @param {Object} [base] - The record as it was when the caller read it
+ * @returns {Promise<Object>} Promise that resolves with the stored record
+ */
+function putRecordMerged(storeName, record, base) {
+    return runTransaction([storeName], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(storeName);
+        const stored = await promisifyRequest(store.get(record.id));
+        const merged = mergeRecordChanges(stored || null, record, base);
+        store.put(merged);
+        return merged;
+    });
+}
+
+// ============================================================================
+// Post Visibility
+// ============================================================================
+
+// Who can see a post besides its author: everyone, users following the author, or
+// nobody (private posts and unpublished drafts)
+const POST_VISIBILITIES = ['public', 'followers', 'private', 'draft'];
+
+/**
+ * Returns the visibility of a post
+ * Posts saved before visibility existed follow the PRD's isPublic flag, and are
+ * public when that is missing too.
+ * @param {Object} post - The post
+ * @returns {string} One of POST_VISIBILITIES
+ */
+function getPostVisibility(post) {
+    if (POST_VISIBILITIES.includes(post.visibility)) return post.visibility;
+    return post.isPublic === false ? 'private' : 'public';
+}
+
+// ============================================================================
+// Notifications
+// ============================================================================
+
+/**
+ * Returns the ID of the notification caused by a social action
+ * IDs are derived from the action, so liking twice never notifies twice and undoing
+ * the action can remove its notification.
+ * @param {string} type - 'like', 'comment', 'reply' or 'follow'
+ * @param {...string} keys - The keys of the action, e.g. postId and userId of a like
+ * @returns {string} The notification ID
+ */
+function notificationIdFor(type, ...keys) {
+    return `notif_${type}_${keys.join('_')}`;
+}
+
+/**
+ * Stores a notification inside a transaction that covers the notifications store
+ * Nobody is notified about their own actions.
+ * @param {IDBTransaction} transaction - The running transaction
+ * @param {Object} notification - { id, type, userId (recipient), actorId, postId?, commentId? }
+ */
+function putNotification(transaction, notification) {
+    if (!notification.userId || notification.userId === notification.actorId) return;
+    transaction.objectStore(NOTIFICATIONS_STORE).put({
+        ...notification,
+        read: false,
+        createdAt: new Date().toISOString()
+    });
+}
+
+// ============================================================================
+// Image Blob Storage
+// ============================================================================
+
+/**
+ * Generates a unique image ID
+ * @returns {string} A new ID of the form img_<timestamp>_<random>
+ */
+function generateImageId() {
+    return `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Saves an image file (Blob) to IndexedDB
+ * Generates a unique ID for the image and stores it
+ * @param {File} file - The image file to save
+ * @returns {Promise<string>} Promise that resolves with the generated image ID
+ */
+async function saveImageBlob(file) {
+    return putImageBlob(generateImageId(), file);
+}
+
+/**
+ * Stores an image Blob in IndexedDB under a given ID
+ * Overwrites any Blob already stored under that ID
+ * @param {string} imageId - The ID to store the image under
+ * @param {Blob} file - The image Blob to save
+ * @returns {Promise<string>} Promise that resolves with the image ID
+ */
+async function putImageBlob(imageId, file) {
+    try {
+        const db = await openDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.put(file, imageId);
+
+            request.onsuccess = () => {
+                console.log('Image saved to IndexedDB:', imageId);
+                resolve(imageId);
+            };
+
+            request.onerror = () => {
+                console.warn('Failed to save image to IndexedDB:', request.error);
+                reject(request.error);
+            };
+        });
+    } catch (error) {
+        console.warn('Error saving image blob:', error);
+        throw error;
+    }
+}
+
+/**
+ * Retrieves an image Blob from IndexedDB by its ID
+ * @param {string} imageId - The ID of the image to retrieve
+ * @returns {Promise<Blob>} Promise that resolves with the image Blob
+ */
+async function getImageBlob(imageId) {
+    try {
+        const db = await openDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.get(imageId);
+
+            request.onsuccess = () => {
+                if (request.result) {
+                    resolve(request.result);
+                } else {
+                    console.warn('Image not found in IndexedDB:', imageId);
+                    reject(new Error('Image not found'));
+                }
+            };
+
+            request.onerror = () => {
+                console.warn('Failed to get image from IndexedDB:', request.error);
+                reject(request.error);
+            };
+        });
+    } catch (error) {
+        console.warn('Error getting image blob:', error);
+        throw error;
+    }
+}
+
+/**
+ * Deletes a single image Blob from IndexedDB by its ID
+ * @param {string} imageId - The ID of the image to delete
+ * @returns {Promise<void>} Promise that resolves when the image is deleted
+ */
+async function deleteImageBlob(imageId) {
+    try {
+        const db = await openDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.delete(imageId);
+
+            request.onsuccess = () => {
+                console.log('Image deleted from IndexedDB:', imageId);
+                resolve();
+            };
+
+            request.onerror = () => {
+                console.warn('Failed to delete image from IndexedDB:', request.error);
+                reject(request.error);
+            };
+        });
+    } catch (error) {
+        console.warn('Error deleting image blob:', error);
+        throw error;
+    }
+}
+
+/**
+ * Deletes all image Blobs from IndexedDB
+ * This clears the entire object store
+ * @returns {Promise<void>} Promise that resolves when all images are deleted
+ */
+async function deleteAllImages() {
+    try {
+        const db = await openDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.clear();
+
+            request.onsuccess = () => {
+                console.log('All images cleared from IndexedDB');
+                resolve();
+            };
+
+            request.onerror = () => {
+                console.warn('Failed to clear images from IndexedDB:', request.error);
+                reject(request.error);
+            };
+        });
+    } catch (error) {
+        console.warn('Error deleting all images:', error);
+        throw error;
+    }
+}
+
+/**
+ * Reads the size of every image Blob stored in IndexedDB
+ * @returns {Promise<Map<string, number>>} Promise that resolves with a map of image ID to size in bytes
+ */
+async function getAllImageSizes() {
+    try {
+        const db = await openDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+            const request = store.openCursor();
+            const sizes = new Map();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    sizes.set(cursor.key, cursor.value?.size || 0);
+                    cursor.continue();
+                } else {
+                    resolve(sizes);
+                }
+            };
+
+            request.onerror = () => {
+                console.warn('Failed to read images from IndexedDB:', request.error);
+                reject(request.error);
             };
-            localStorage.setItem('architecture_log_users', JSON.stringify([defaultUser]));
+        });
+    } catch (error) {
+        console.warn('Error reading image sizes:', error);
+        throw error;
+    }
+}
+
+// ============================================================================
+// Upload Drafts
+// ============================================================================
+
+// Drafts stay on this device whatever the backend. A draft record holds the upload
+// form fields and the IDs of its photos; each photo is kept in the draftImages store as
+// { image, thumbnail } until the draft is published or deleted.
+
+/**
+ * Reads the drafts of a user, most recently saved first
+ * @param {string} userId - The user
+ * @returns {Promise<Object[]>} Promise that resolves with the drafts
+ */
+async function getDraftRecords(userId) {
+    const drafts = await getAllRecords(DRAFTS_STORE, 'userId', userId);
+    return drafts.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Saves a draft together with its newly staged photos
+ * Photos the stored draft had but `draft.images` no longer lists are deleted, and the
+ * name and creation time of the stored draft are kept unless the draft sets them.
+ * @param {Object} draft - The draft; `images` lists its photo IDs in order
+ * @param {Map<string, Object>} [stagedImages] - { image, thumbnail } per photo ID; only
+ *   photos the stored draft does not have yet are written
+ * @returns {Promise<Object>} Promise that resolves with the saved draft
+ */
+function putDraftRecord(draft, stagedImages = new Map()) {
+    return runTransaction([DRAFTS_STORE, DRAFT_IMAGES_STORE], 'readwrite', async (transaction) => {
+        const drafts = transaction.objectStore(DRAFTS_STORE);
+        const images = transaction.objectStore(DRAFT_IMAGES_STORE);
+        const stored = await promisifyRequest(drafts.get(draft.id));
+        const storedImages = stored ? stored.images : [];
+        
+        draft.images.forEach(imageId => {
+            if (!storedImages.includes(imageId) && stagedImages.has(imageId)) {
+                const { image, thumbnail } = stagedImages.get(imageId);
+                images.put({ image, thumbnail: thumbnail || null }, imageId);
+            }
+        });
+        storedImages
+            .filter(imageId => !draft.images.includes(imageId))
+            .forEach(imageId => images.delete(imageId));
+        
+        const now = new Date().toISOString();
+        const record = { name: '', createdAt: now, ...stored, ...draft, updatedAt: now };
+        drafts.put(record);
+        return record;
+    });
+}
+
+/**
+ * Changes the name of a draft without touching its contents
+ * @param {string} draftId - The draft
+ * @param {string} name - The new name; empty to fall back to the building name
+ * @returns {Promise<Object|null>} Promise that resolves with the draft, or null if it is gone
+ */
+function renameDraftRecord(draftId, name) {
+    return runTransaction([DRAFTS_STORE], 'readwrite', async (transaction) => {
+        const drafts = transaction.objectStore(DRAFTS_STORE);
+        const stored = await promisifyRequest(drafts.get(draftId));
+        if (!stored) return null;
+        
+        const record = { ...stored, name };
+        drafts.put(record);
+        return record;
+    });
+}
+
+/**
+ * Deletes a draft and its staged photos
+ * @param {string} draftId - The draft
+ * @returns {Promise<Object|null>} Promise that resolves with the deleted draft, or null
+ */
+function deleteDraftRecord(draftId) {
+    return runTransaction([DRAFTS_STORE, DRAFT_IMAGES_STORE], 'readwrite', async (transaction) => {
+        const drafts = transaction.objectStore(DRAFTS_STORE);
+        const stored = await promisifyRequest(drafts.get(draftId));
+        if (!stored) return null;
+        
+        const images = transaction.objectStore(DRAFT_IMAGES_STORE);
+        stored.images.forEach(imageId => images.delete(imageId));
+        drafts.delete(draftId);
+        return stored;
+    });
+}
+
+/**
+ * Reads a staged draft photo
+ * @param {string} imageId - The photo ID
+ * @returns {Promise<Object|null>} Promise that resolves with { image, thumbnail }, or null
+ */
+async function getDraftImageRecord(imageId) {
+    const record = await runTransaction([DRAFT_IMAGES_STORE], 'readonly', (transaction) =>
+        promisifyRequest(transaction.objectStore(DRAFT_IMAGES_STORE).get(imageId))
+    );
+    return record || null;
+}
+
+// ============================================================================
+// Trip Collections
+// ============================================================================
+
+/**
+ * Changes the post list of a trip inside a single transaction
+ * Adding and removing single posts this way keeps changes made elsewhere in the meantime.
+ * @param {string} collectionId - The trip
+ * @param {Function} update - Receives the current post IDs and returns the new ones
+ * @returns {Promise<Object|null>} Promise that resolves with the updated trip, or null if
+ *   it does not exist
+ */
+function updateCollectionPostIds(collectionId, update) {
+    return runTransaction([COLLECTIONS_STORE], 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(COLLECTIONS_STORE);
+        const collection = await promisifyRequest(store.get(collectionId));
+        if (!collection) return null;
+        
+        const updated = {
+            ...collection,
+            postIds: update(collection.postIds || []),
+            updatedAt: new Date().toISOString(),
+            rev: (collection.rev || 0) + 1
+        };
+        store.put(updated);
+        return updated;
+    });
+}
+
+// ============================================================================
+// Schema Migrations
+// ============================================================================
+
+// Legacy localStorage keys that held every record before the IndexedDB stores
+const LEGACY_STORAGE_KEYS = {
+    [USERS_STORE]: 'architecture_log_users',
+    [POSTS_STORE]: 'architecture_log_posts',
+    [COMMENTS_STORE]: 'architecture_log_comments',
+    [LIKES_STORE]: 'architecture_log_likes'
+};
+
+/**
+ * Numbered data migrations, applied once each in ascending id order
+ * Applied ids are recorded in the meta store; never renumber or remove an entry
+ */
+const MIGRATIONS = [
+    {
+        id: 1,
+        name: 'move-records-from-localstorage',
+        async run() {
+            const legacy = {};
+            Object.entries(LEGACY_STORAGE_KEYS).forEach(([storeName, key]) => {
+                legacy[storeName] = JSON.parse(localStorage.getItem(key) || '[]');
+            });
+            
+            const storeNames = Object.keys(LEGACY_STORAGE_KEYS);
+            await runTransaction(storeNames, 'readwrite', (transaction) => {
+                storeNames.forEach(storeName => {
+                    const store = transaction.objectStore(storeName);
+                    legacy[storeName]
+                        .filter(record => storeName === LIKES_STORE ? record.postId && record.userId : record.id)
+                        .forEach(record => store.put(record));
+                });
+            });
+            
+            Object.values(LEGACY_STORAGE_KEYS).forEach(key => localStorage.removeItem(key));
         }
-        if (!localStorage.getItem('architecture_log_posts')) {
-            localStorage.setItem('architecture_log_posts', JSON.stringify([]));
+    },
+    {
+        id: 2,
+        name: 'fold-legacy-post-likes',
+        async run() {
+            // architecture_log_likes is the only source of truth for likes
+            const posts = await getAllRecords(POSTS_STORE);
+            await runTransaction([POSTS_STORE, LIKES_STORE], 'readwrite', (transaction) => {
+                const postStore = transaction.objectStore(POSTS_STORE);
+                const likeStore = transaction.objectStore(LIKES_STORE);
+                posts.filter(post => 'likes' in post).forEach(post => {
+                    (Array.isArray(post.likes) ? post.likes : []).forEach(entry => {
+                        const userId = typeof entry === 'string' ? entry : entry?.userId;
+                        if (!userId) return;
+                        const request = likeStore.add({
+                            postId: post.id,
+                            userId,
+                            createdAt: entry?.createdAt || post.createdAt || new Date().toISOString()
+                        });
+                        // Already in the likes store: keep the existing record
+                        request.onerror = (event) => {
+                            event.preventDefault();
+                            event.stopPropagation();
+                        };
+                    });
+                    delete post.likes;
+                    postStore.put(post);
+                });
+            });
         }
-        if (!localStorage.getItem('architecture_log_comments')) {
-            localStorage.setItem('architecture_log_comments', JSON.stringify([]));
+    },
+    {
+        id: 3,
+        name: 'move-base64-images-to-blobs',
+        async run() {
+            // Older posts kept photos as base64 strings in `images` or a single `image`
+            const posts = await getAllRecords(POSTS_STORE);
+            for (const post of posts) {
+                const sources = Array.isArray(post.images)
+                    ? post.images
+                    : (typeof post.image === 'string' ? [post.image] : []);
+                if (!sources.some(src => typeof src === 'string' && src.startsWith('data:image'))) continue;
+                
+                const imageIds = [];
+                for (const src of sources) {
+                    if (typeof src === 'string' && src.startsWith('data:image')) {
+                        try {
+                            const response = await fetch(src);
+                            imageIds.push(await saveImageBlob(await response.blob()));
+                        } catch (error) {
+                            console.warn(`Failed to migrate image for post ${post.id}:`, error);
+                            // Keep the base64 string if migration fails
+                            imageIds.push(src);
+                        }
+                    } else {
+                        imageIds.push(src);
+                    }
+                }
+                
+                post.images = imageIds;
+                delete post.image;
+                await putRecord(POSTS_STORE, post);
+            }
         }
-        if (!localStorage.getItem('architecture_log_likes')) {
-            localStorage.setItem('architecture_log_likes', JSON.stringify([]));
+    },
+    {
+        id: 4,
+        name: 'remove-seeded-default-user',
+        async run() {
+            // Earlier installs were seeded with a passwordless "default" user; drop it
+            // unless somebody actually used it
+            const [seeded] = await getAllRecords(USERS_STORE, 'username', 'default');
+            if (!seeded || seeded.credential) return;
+            
+            const used = (await Promise.all([
+                getAllRecords(POSTS_STORE, 'userId', seeded.id),
+                getAllRecords(COMMENTS_STORE, 'userId', seeded.id),
+                getAllRecords(LIKES_STORE, 'userId', seeded.id)
+            ])).some(records => records.length > 0);
+            if (!used) {
+                await runTransaction([USERS_STORE], 'readwrite', (transaction) => {
+                    transaction.objectStore(USERS_STORE).delete(seeded.id);
+                });
+            }
+        }
+    }
+];
+
+// ============================================================================
+// Local Storage Adapter
+// ============================================================================
+
+/**
+ * Returns a user record without its password credential
+ * The credential stays in the users store and is only read to check a password; it is
+ * never handed out by user reads, exported or cached in the session.
+ * @param {Object|null} user - The user
+ * @returns {Object|null} The user without `credential`
+ */
+function withoutCredential(user) {
+    if (!user || !('credential' in user)) return user;
+    const { credential, ...rest } = user;
+    return rest;
+}
+
+/**
+ * Points the users of a backup being merged at existing accounts with the same username
+ * A backup user whose username belongs to a different stored account is left out, and
+ * that user's posts, comments, likes, follows and trips are moved to the stored account,
+ * so usernames stay unique.
+ * @param {Object} data - { users, posts, comments, likes, follows?, collections? }
+ * @param {Object[]} existingUsers - The users already stored
+ * @returns {Object} The data to merge
+ */
+function mergeUsersByUsername(data, existingUsers) {
+    const existingIds = new Set(existingUsers.map(user => user.id));
+    const idByUsername = new Map(existingUsers.map(user => [user.username, user.id]));
+    const userIdMap = new Map();
+    const users = data.users.filter(user => {
+        if (!user || existingIds.has(user.id)) return true;
+        const existingId = idByUsername.get(user.username);
+        if (existingId && existingId !== user.id) {
+            userIdMap.set(user.id, existingId);
+            return false;
+        }
+        idByUsername.set(user.username, user.id);
+        return true;
+    });
+    if (userIdMap.size === 0) return { ...data, users };
+    
+    const remap = (userId) => userIdMap.get(userId) || userId;
+    const remapOwner = (record) => record && userIdMap.has(record.userId)
+        ? { ...record, userId: remap(record.userId) }
+        : record;
+    return {
+        ...data,
+        users,
+        posts: data.posts.map(remapOwner),
+        comments: data.comments.map(remapOwner),
+        likes: data.likes.map(remapOwner),
+        follows: (data.follows || [])
+            .map(follow => follow && { ...follow, followerId: remap(follow.followerId), followeeId: remap(follow.followeeId) })
+            .filter(follow => !follow || follow.followerId !== follow.followeeId),
+        collections: (data.collections || []).map(remapOwner)
+    };
+}
+
+/**
+ * Storage adapter backed by this browser's IndexedDB
+ * Every adapter implements the same async methods; see DataService for the interface
+ */
+const LocalAdapter = {
+    // Opens the database and applies any pending migrations
+    async init() {
+        await openDB();
+        await this.runMigrations();
+    },
+
+    async runMigrations() {
+        const record = await getRecord(META_STORE, 'migrations');
+        const applied = record ? record.applied : [];
+        const appliedIds = new Set(applied.map(m => m.id));
+        
+        for (const migration of [...MIGRATIONS].sort((a, b) => a.id - b.id)) {
+            if (appliedIds.has(migration.id)) continue;
+            
+            try {
+                await migration.run();
+            } catch (error) {
+                // Stop here so later migrations never run on top of a failed one
+                console.warn(`Migration ${migration.id} (${migration.name}) failed:`, error);
+                return;
+            }
+            
+            applied.push({ id: migration.id, name: migration.name, appliedAt: new Date().toISOString() });
+            await putRecord(META_STORE, { key: 'migrations', applied });
+            console.log(`Migration ${migration.id} (${migration.name}) applied`);
         }
     },
 
     // User operations
-    getCurrentUser() {
-        return JSON.parse(localStorage.getItem('current_user') || 'null');
+    // User records come and go without their credential; saving keeps the stored one
+    saveUser(user, base) {
+        return runTransaction([USERS_STORE], 'readwrite', async (transaction) => {
+            const store = transaction.objectStore(USERS_STORE);
+            const stored = await promisifyRequest(store.get(user.id));
+            const merged = mergeRecordChanges(stored || null, withoutCredential(user), withoutCredential(base));
+            if (stored && stored.credential) {
+                merged.credential = stored.credential;
+            }
+            store.put(merged);
+            return withoutCredential(merged);
+        });
     },
 
-    setCurrentUser(user) {
-        localStorage.setItem('current_user', JSON.stringify(user));
-        this.saveUser(user);
+    // Adds a new account together with its first password in one write, so a failed
+    // sign-up leaves neither. Fails if the username is taken.
+    createUser(user, credential) {
+        return runTransaction([USERS_STORE], 'readwrite', async (transaction) => {
+            const store = transaction.objectStore(USERS_STORE);
+            const taken = await promisifyRequest(store.index('username').get(user.username));
+            if (taken) {
+                throw new Error(`Username "${user.username}" is already taken`);
+            }
+            const record = { ...withoutCredential(user), credential };
+            store.add(record);
+            return withoutCredential(record);
+        });
     },
 
-    saveUser(user) {
-        const users = this.getUsers();
-        const existingIndex = users.findIndex(u => u.id === user.id);
-        if (existingIndex >= 0) {
-            users[existingIndex] = user;
-        } else {
-            users.push(user);
-        }
-        localStorage.setItem('architecture_log_users', JSON.stringify(users));
+    async getUsers() {
+        return (await getAllRecords(USERS_STORE)).map(withoutCredential);
+    },
+
+    async getUser(userId) {
+        return withoutCredential(await getRecord(USERS_STORE, userId));
+    },
+
+    async getUserByUsername(username) {
+        const users = await getAllRecords(USERS_STORE, 'username', username);
+        return withoutCredential(users[0] || null);
+    },
+
+    // Password operations; the only methods that read the stored credential
+    async hasPassword(userId) {
+        const user = await getRecord(USERS_STORE, userId);
+        return Boolean(user && user.credential);
+    },
+
+    async checkPassword(userId, password) {
+        const user = await getRecord(USERS_STORE, userId);
+        return Boolean(user && user.credential) && verifyPassword(password, user.credential);
+    },
+
+    // Stores the first password of an account; an existing password is never replaced
+    setPassword(userId, credential) {
+        return runTransaction([USERS_STORE], 'readwrite', async (transaction) => {
+            const store = transaction.objectStore(USERS_STORE);
+            const user = await promisifyRequest(store.get(userId));
+            if (!user) {
+                throw new Error(`User ${userId} not found`);
+            }
+            if (user.credential) {
+                throw new Error(`User ${userId} already has a password`);
+            }
+            store.put({ ...user, credential, rev: (user.rev || 0) + 1 });
+        });
     },
 
-    getUsers() {
-        return JSON.parse(localStorage.getItem('architecture_log_users') || '[]');
+    // Changes a username together with the copies stored on the user's posts and comments,
+    // atomically. Resolves with the number of updated posts and comments.
+    renameUser(userId, username) {
+        return runTransaction([USERS_STORE, POSTS_STORE, COMMENTS_STORE], 'readwrite', async (transaction) => {
+            const users = transaction.objectStore(USERS_STORE);
+            const taken = await promisifyRequest(users.index('username').get(username));
+            if (taken && taken.id !== userId) {
+                throw new Error(`Username "${username}" is already taken`);
+            }
+            const user = await promisifyRequest(users.get(userId));
+            if (!user) {
+                throw new Error(`User ${userId} not found`);
+            }
+            users.put({ ...user, username, rev: (user.rev || 0) + 1 });
+            
+            const counts = {};
+            for (const storeName of [POSTS_STORE, COMMENTS_STORE]) {
+                const store = transaction.objectStore(storeName);
+                const records = await promisifyRequest(store.index('userId').getAll(userId));
+                records.forEach(record => {
+                    store.put(storeName === POSTS_STORE
+                        ? { ...record, username, rev: (record.rev || 0) + 1 }
+                        : { ...record, username });
+                });
+                counts[storeName] = records.length;
+            }
+            return { posts: counts[POSTS_STORE], comments: counts[COMMENTS_STORE] };
+        });
     },
 
     // Post operations
     getPosts() {
-        return JSON.parse(localStorage.getItem('architecture_log_posts') || '[]');
+        return getAllRecords(POSTS_STORE);
     },
 
-    savePost(post) {
-        const posts = this.getPosts();
-        const existingIndex = posts.findIndex(p => p.id === post.id);
-        if (existingIndex >= 0) {
-            posts[existingIndex] = post;
-        } else {
-            posts.push(post);
-        }
-        localStorage.setItem('architecture_log_posts', JSON.stringify(posts));
+    getPost(postId) {
+        return getRecord(POSTS_STORE, postId);
     },
 
+    savePost(post, base) {
+        return putRecordMerged(POSTS_STORE, post, base);
+    },
+
+    // Resolves with the trips the post was taken out of
     deletePost(postId) {
-        const posts = this.getPosts();
-        const filtered = posts.filter(p => p.id !== postId);
-        localStorage.setItem('architecture_log_posts', JSON.stringify(filtered));
-        
-        // Also delete related comments and likes
-        const comments = this.getComments().filter(c => c.postId !== postId);
-        localStorage.setItem('architecture_log_comments', JSON.stringify(comments));
-        
-        const likes = this.getLikes().filter(l => l.postId !== postId);
-        localStorage.setItem('architecture_log_likes', JSON.stringify(likes));
+        // Also delete related comments, likes and notifications and take the post out of
+        // its trips, atomically with the post
+        const storeNames = [POSTS_STORE, COMMENTS_STORE, LIKES_STORE, NOTIFICATIONS_STORE, COLLECTIONS_STORE];
+        return runTransaction(storeNames, 'readwrite', async (transaction) => {
+            transaction.objectStore(POSTS_STORE).delete(postId);
+            
+            [COMMENTS_STORE, LIKES_STORE, NOTIFICATIONS_STORE].forEach(storeName => {
+                const request = transaction.objectStore(storeName).index('postId').openKeyCursor(postId);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        transaction.objectStore(storeName).delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+            });
+            
+            const collections = transaction.objectStore(COLLECTIONS_STORE);
+            const trips = await promisifyRequest(collections.index('postIds').getAll(postId));
+            const updatedAt = new Date().toISOString();
+            return trips.map(trip => {
+                const updated = {
+                    ...trip,
+                    postIds: trip.postIds.filter(id => id !== postId),
+                    updatedAt,
+                    rev: (trip.rev || 0) + 1
+                };
+                collections.put(updated);
+                return updated;
+            });
+        });
     },
 
     getUserPosts(userId) {
-        return this.getPosts().filter(p => p.userId === userId);
+        return getAllRecords(POSTS_STORE, 'userId', userId);
+    },
+
+    getPostsByCategory(category) {
+        return getAllRecords(POSTS_STORE, 'category', category);
     },
 
     // Comment operations
     getComments(postId) {
-        const allComments = JSON.parse(localStorage.getItem('architecture_log_comments') || '[]');
         if (postId) {
-            return allComments.filter(c => c.postId === postId);
+            return getAllRecords(COMMENTS_STORE, 'postId', postId);
         }
-        return allComments;
+        return getAllRecords(COMMENTS_STORE);
     },
 
+    // Saves a new comment and notifies the post owner, or for a reply the parent's author
     saveComment(comment) {
-        const comments = this.getComments();
-        comments.push(comment);
-        localStorage.setItem('architecture_log_comments', JSON.stringify(comments));
+        const storeNames = [COMMENTS_STORE, POSTS_STORE, NOTIFICATIONS_STORE];
+        return runTransaction(storeNames, 'readwrite', async (transaction) => {
+            const comments = transaction.objectStore(COMMENTS_STORE);
+            comments.put(comment);
+            
+            const post = await promisifyRequest(transaction.objectStore(POSTS_STORE).get(comment.postId));
+            const parent = comment.parentId ? await promisifyRequest(comments.get(comment.parentId)) : null;
+            const base = { actorId: comment.userId, postId: comment.postId, commentId: comment.id };
+            if (parent) {
+                putNotification(transaction, { ...base, id: notificationIdFor('reply', comment.id), type: 'reply', userId: parent.userId });
+            }
+            if (post && (!parent || parent.userId !== post.userId)) {
+                putNotification(transaction, { ...base, id: notificationIdFor('comment', comment.id), type: 'comment', userId: post.userId });
+            }
+        });
+    },
+
+    async updateComment(commentId, content) {
+        const comment = await getRecord(COMMENTS_STORE, commentId);
+        if (!comment) return null;
+        comment.content = content;
+        comment.updatedAt = new Date().toISOString();
+        await putRecord(COMMENTS_STORE, comment);
+        return comment;
+    },
+
+    // Deletes a comment together with all of its replies
+    async deleteComment(commentId) {
+        const comment = await getRecord(COMMENTS_STORE, commentId);
+        if (!comment) return 0;
+        
+        const comments = await this.getComments(comment.postId);
+        const removed = new Set([commentId]);
+        let changed = true;
+        while (changed) {
+            changed = false;
+            comments.forEach(c => {
+                if (c.parentId && removed.has(c.parentId) && !removed.has(c.id)) {
+                    removed.add(c.id);
+                    changed = true;
+                }
+            });
+        }
+        
+        await runTransaction([COMMENTS_STORE, NOTIFICATIONS_STORE], 'readwrite', (transaction) => {
+            const store = transaction.objectStore(COMMENTS_STORE);
+            const notifications = transaction.objectStore(NOTIFICATIONS_STORE);
+            removed.forEach(id => {
+                store.delete(id);
+                notifications.delete(notificationIdFor('comment', id));
+                notifications.delete(notificationIdFor('reply', id));
+            });
+        });
+        return removed.size;
     },
 
     // Like operations
     getLikes(postId) {
-        const allLikes = JSON.parse(localStorage.getItem('architecture_log_likes') || '[]');
         if (postId) {
-            return allLikes.filter(l => l.postId === postId);
+            return getAllRecords(LIKES_STORE, 'postId', postId);
         }
-        return allLikes;
+        return getAllRecords(LIKES_STORE);
     },
 
     toggleLike(postId, userId) {
-        const likes = this.getLikes();
-        const existingIndex = likes.findIndex(l => l.postId === postId && l.userId === userId);
+        return runTransaction([LIKES_STORE, POSTS_STORE, NOTIFICATIONS_STORE], 'readwrite', async (transaction) => {
+            const store = transaction.objectStore(LIKES_STORE);
+            const existing = await promisifyRequest(store.get([postId, userId]));
+            const notificationId = notificationIdFor('like', postId, userId);
+            
+            if (existing) {
+                store.delete([postId, userId]);
+                transaction.objectStore(NOTIFICATIONS_STORE).delete(notificationId);
+            } else {
+                store.put({ postId, userId, createdAt: new Date().toISOString() });
+                const post = await promisifyRequest(transaction.objectStore(POSTS_STORE).get(postId));
+                putNotification(transaction, { id: notificationId, type: 'like', userId: post?.userId, actorId: userId, postId });
+            }
+        });
+    },
+
+    async isLiked(postId, userId) {
+        const like = await getRecord(LIKES_STORE, [postId, userId]);
+        return Boolean(like);
+    },
+
+    // Follow operations
+    getFollows() {
+        return getAllRecords(FOLLOWS_STORE);
+    },
+
+    // Follow records of the users following userId
+    getFollowers(userId) {
+        return getAllRecords(FOLLOWS_STORE, 'followeeId', userId);
+    },
+
+    // Follow records of the users userId follows
+    getFollowing(userId) {
+        return getAllRecords(FOLLOWS_STORE, 'followerId', userId);
+    },
+
+    toggleFollow(followerId, followeeId) {
+        return runTransaction([FOLLOWS_STORE, NOTIFICATIONS_STORE], 'readwrite', async (transaction) => {
+            const store = transaction.objectStore(FOLLOWS_STORE);
+            const existing = await promisifyRequest(store.get([followerId, followeeId]));
+            const notificationId = notificationIdFor('follow', followerId, followeeId);
+            
+            if (existing) {
+                store.delete([followerId, followeeId]);
+                transaction.objectStore(NOTIFICATIONS_STORE).delete(notificationId);
+            } else {
+                store.put({ followerId, followeeId, createdAt: new Date().toISOString() });
+                putNotification(transaction, { id: notificationId, type: 'follow', userId: followeeId, actorId: followerId });
+            }
+        });
+    },
+
+    async isFollowing(followerId, followeeId) {
+        const follow = await getRecord(FOLLOWS_STORE, [followerId, followeeId]);
+        return Boolean(follow);
+    },
+
+    // Trip operations
+    getCollections(userId) {
+        if (userId) {
+            return getAllRecords(COLLECTIONS_STORE, 'userId', userId);
+        }
+        return getAllRecords(COLLECTIONS_STORE);
+    },
+
+    getCollection(collectionId) {
+        return getRecord(COLLECTIONS_STORE, collectionId);
+    },
+
+    // Trips a post has been added to
+    getPostCollections(postId) {
+        return getAllRecords(COLLECTIONS_STORE, 'postIds', postId);
+    },
+
+    saveCollection(collection, base) {
+        return putRecordMerged(COLLECTIONS_STORE, collection, base);
+    },
+
+    deleteCollection(collectionId) {
+        return runTransaction([COLLECTIONS_STORE], 'readwrite', (transaction) => {
+            transaction.objectStore(COLLECTIONS_STORE).delete(collectionId);
+        });
+    },
+
+    // Appends a post to the end of a trip unless it is already in it
+    addPostToCollection(collectionId, postId) {
+        return updateCollectionPostIds(collectionId, postIds =>
+            postIds.includes(postId) ? postIds : [...postIds, postId]);
+    },
+
+    removePostFromCollection(collectionId, postId) {
+        return updateCollectionPostIds(collectionId, postIds => postIds.filter(id => id !== postId));
+    },
+
+    // Notification operations; notifications are written by the social actions above
+    getNotifications(userId) {
+        return getAllRecords(NOTIFICATIONS_STORE, 'userId', userId);
+    },
+
+    markNotificationsRead(notificationIds) {
+        return runTransaction([NOTIFICATIONS_STORE], 'readwrite', async (transaction) => {
+            const store = transaction.objectStore(NOTIFICATIONS_STORE);
+            for (const id of notificationIds) {
+                const notification = await promisifyRequest(store.get(id));
+                if (notification && !notification.read) {
+                    store.put({ ...notification, read: true });
+                }
+            }
+        });
+    },
+
+    // Image operations
+    saveImage(blob) {
+        return saveImageBlob(blob);
+    },
+
+    putImage(imageId, blob) {
+        return putImageBlob(imageId, blob);
+    },
+
+    getImage(imageId) {
+        return getImageBlob(imageId);
+    },
+
+    deleteImage(imageId) {
+        return deleteImageBlob(imageId);
+    },
+
+    clearImages() {
+        return deleteAllImages();
+    },
+
+    getImageSizes() {
+        return getAllImageSizes();
+    },
+
+    // Backup operations
+    async exportData() {
+        return {
+            users: await this.getUsers(),
+            posts: await this.getPosts(),
+            comments: await this.getComments(),
+            likes: await this.getLikes(),
+            follows: await this.getFollows(),
+            collections: await this.getCollections()
+        };
+    },
+
+    // Writes imported records. 'replace' overwrites every collection,
+    // 'merge' only adds records whose id (or compound key for likes and follows) is new,
+    // and matches users to existing accounts by username (see mergeUsersByUsername).
+    // Backups made before follows or trips existed have no follows or collections.
+    // Credentials are never taken from a backup; replacing keeps the passwords of
+    // accounts that are in both.
+    async importData(data, mode) {
+        const storeNames = [USERS_STORE, POSTS_STORE, COMMENTS_STORE, LIKES_STORE, FOLLOWS_STORE, COLLECTIONS_STORE];
+        const keyOf = (storeName, record) => {
+            if (storeName === LIKES_STORE) return record.postId && record.userId && [record.postId, record.userId];
+            if (storeName === FOLLOWS_STORE) return record.followerId && record.followeeId && [record.followerId, record.followeeId];
+            return record.id;
+        };
+        const counts = {};
         
-        if (existingIndex >= 0) {
-            likes.splice(existingIndex, 1);
+        await runTransaction(storeNames, 'readwrite', async (transaction) => {
+            const imported = mode === 'merge'
+                ? mergeUsersByUsername(data, await promisifyRequest(transaction.objectStore(USERS_STORE).getAll()))
+                : data;
+            const collections = [
+                { storeName: USERS_STORE, records: imported.users.map(withoutCredential) },
+                { storeName: POSTS_STORE, records: imported.posts },
+                { storeName: COMMENTS_STORE, records: imported.comments },
+                { storeName: LIKES_STORE, records: imported.likes },
+                { storeName: FOLLOWS_STORE, records: imported.follows || [] },
+                { storeName: COLLECTIONS_STORE, records: imported.collections || [] }
+            ];
+            
+            for (const { storeName, records } of collections) {
+                const store = transaction.objectStore(storeName);
+                const valid = records.filter(record => record && keyOf(storeName, record));
+                
+                if (mode === 'replace') {
+                    const credentials = new Map();
+                    if (storeName === USERS_STORE) {
+                        (await promisifyRequest(store.getAll())).forEach(user => {
+                            if (user.credential) credentials.set(user.id, user.credential);
+                        });
+                    }
+                    store.clear();
+                    valid.forEach(record => store.put(credentials.has(record.id)
+                        ? { ...record, credential: credentials.get(record.id) }
+                        : record));
+                    counts[storeName] = valid.length;
+                    continue;
+                }
+                
+                const existingKeys = new Set(
+                    (await promisifyRequest(store.getAllKeys())).map(key => JSON.stringify(key))
+                );
+                const added = valid.filter(record => !existingKeys.has(JSON.stringify(keyOf(storeName, record))));
+                added.forEach(record => store.put(record));
+                counts[storeName] = added.length;
+            }
+        });
+        
+        return {
+            users: counts[USERS_STORE],
+            posts: counts[POSTS_STORE],
+            comments: counts[COMMENTS_STORE],
+            likes: counts[LIKES_STORE],
+            follows: counts[FOLLOWS_STORE],
+            collections: counts[COLLECTIONS_STORE]
+        };
+    }
+};
+
+// ============================================================================
+// Data Service
+// ============================================================================
+
+// Change notifications between tabs of the same browser
+const SYNC_CHANNEL_NAME = 'architecture-log-sync';
+const SYNC_STORAGE_KEY = 'architecture_log_sync';
+
+// localStorage key holding the selected backend, e.g. {"type":"http","baseUrl":"http://localhost:8787"}
+const BACKEND_CONFIG_KEY = 'architecture_log_backend';
+
+// localStorage key holding the sessions of every account signed in on this browser,
+// e.g. {"user_123":{"expiresAt":"2024-02-01T00:00:00.000Z"}}
+const SESSIONS_KEY = 'architecture_log_sessions';
+
+// Signing in (or opening the app while signed in) keeps a session alive this long
+const SESSION_DURATION_MS = 14 * 24 * 60 * 60 * 1000;
+
+/**
+ * Storage facade used by the app
+ * Forwards every call to the active adapter (LocalAdapter or HttpAdapter) and
+ * tells other open tabs about each write so they can refresh their views.
+ * A change is { store, id?, postId?, userId?, deleted? }.
+ */
+const DataService = {
+    adapter: LocalAdapter,
+    changeListeners: [],
+    syncChannel: null,
+
+    // Picks the adapter from the saved backend setting and initializes it
+    async init() {
+        const config = this.getBackendConfig();
+        if (config.type === 'http' && config.baseUrl && typeof createHttpAdapter === 'function') {
+            this.adapter = createHttpAdapter(config.baseUrl);
         } else {
-            likes.push({ postId, userId, createdAt: new Date().toISOString() });
+            this.adapter = LocalAdapter;
         }
+        await this.adapter.init();
+        this.migrateLegacySession();
+        this.startSync();
+    },
+
+    // Versions before sessions kept only current_user; its account gets a session once
+    // so it stays signed in and can set a password on My Page
+    migrateLegacySession() {
+        if (localStorage.getItem(SESSIONS_KEY) !== null) return;
+        localStorage.setItem(SESSIONS_KEY, '{}');
         
-        localStorage.setItem('architecture_log_likes', JSON.stringify(likes));
+        const user = JSON.parse(localStorage.getItem('current_user') || 'null');
+        if (user) this.startSession(user.id);
     },
 
-    isLiked(postId, userId) {
-        const likes = this.getLikes(postId);
-        return likes.some(l => l.userId === userId);
-    }
-};
+    // Listens for changes made in other tabs
+    startSync() {
+        if (typeof BroadcastChannel === 'function') {
+            this.syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+            this.syncChannel.onmessage = (event) => this.emitChange(event.data);
+        } else {
+            // Fallback: storage events fire in every other tab of the same origin
+            window.addEventListener('storage', (event) => {
+                if (event.key === SYNC_STORAGE_KEY && event.newValue) {
+                    this.emitChange(JSON.parse(event.newValue).change);
+                }
+            });
+        }
+    },
+
+    // Registers a callback for changes made in other tabs
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    },
+
+    emitChange(change) {
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.warn('Error handling change from another tab:', error);
+            }
+        });
+    },
+
+    publishChange(change) {
+        if (this.syncChannel) {
+            this.syncChannel.postMessage(change);
+        } else {
+            // The nonce makes repeated identical changes still fire a storage event
+            localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ change, nonce: Math.random() }));
+        }
+    },
+
+    // Awaits a write and then announces it; `change` may be derived from the result
+    async track(promise, change) {
+        const result = await promise;
+        this.publishChange(typeof change === 'function' ? change(result) : change);
+        return result;
+    },
+
+    getBackendConfig() {
+        try {
+            return JSON.parse(localStorage.getItem(BACKEND_CONFIG_KEY) || 'null') || { type: 'local' };
+        } catch (error) {
+            return { type: 'local' };
+        }
+    },
 
-// Initialize on load
-DataService.init();
+    setBackendConfig(config) {
+        localStorage.setItem(BACKEND_CONFIG_KEY, JSON.stringify(config));
+    },
 
+    // The signed-in user is per-browser session state and stays in localStorage.
+    // current_user is the account in use; it only counts while its session is valid.
+    getCurrentUser() {
+        const user = JSON.parse(localStorage.getItem('current_user') || 'null');
+        if (user && 'credential' in user) {
+            // Cached by an older version together with the password hash
+            localStorage.setItem('current_user', JSON.stringify(withoutCredential(user)));
+        }
+        return user && this.getSessions()[user.id] ? withoutCredential(user) : null;
+    },
 
+    // Valid sessions by user ID; expired ones are dropped
+    getSessions() {
+        let sessions = {};
+        try {
+            sessions = JSON.parse(localStorage.getItem(SESSIONS_KEY) || '{}');
+        } catch (error) {
+            // Treat unreadable sessions as signed out
+        }
+        const now = Date.now();
+        return Object.fromEntries(Object.entries(sessions)
+            .filter(([, session]) => new Date(session.expiresAt).getTime() > now));
+    },
+
+    // Starts or extends the session of an account
+    startSession(userId) {
+        const sessions = this.getSessions();
+        sessions[userId] = { expiresAt: new Date(Date.now() + SESSION_DURATION_MS).toISOString() };
+        localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+    },
 
+    // Signs an account out of this browser
+    endSession(userId) {
+        const sessions = this.getSessions();
+        delete sessions[userId];
+        localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+        
+        const current = JSON.parse(localStorage.getItem('current_user') || 'null');
+        if (current && current.id === userId) {
+            localStorage.removeItem('current_user');
+        }
+    },
+
+    // Resolves with the user as stored; pass `base` to merge with edits from other tabs
+    async setCurrentUser(user, base) {
+        localStorage.setItem('current_user', JSON.stringify(withoutCredential(user)));
+        const saved = await this.saveUser(user, base);
+        if (saved) {
+            localStorage.setItem('current_user', JSON.stringify(saved));
+        }
+        return saved || user;
+    },
+
+    // Write methods take an optional `base` (the record as first read) for compare-and-merge
+
+    // Users
+    getUsers() { return this.adapter.getUsers(); },
+    getUser(userId) { return this.adapter.getUser(userId); },
+    getUserByUsername(username) { return this.adapter.getUserByUsername(username); },
+    saveUser(user, base) {
+        return this.track(this.adapter.saveUser(user, base), { store: 'users', id: user.id });
+    },
+    createUser(user, credential) {
+        return this.track(this.adapter.createUser(user, credential), { store: 'users', id: user.id });
+    },
+    renameUser(userId, username) {
+        return this.track(this.adapter.renameUser(userId, username), { store: 'users', id: userId, renamed: true });
+    },
+
+    // Passwords
+    // Credentials are hashed in auth.js and only pass through these methods
+    hasPassword(userId) { return this.adapter.hasPassword(userId); },
+    checkPassword(userId, password) { return this.adapter.checkPassword(userId, password); },
+    setPassword(userId, credential) {
+        return this.track(this.adapter.setPassword(userId, credential), { store: 'users', id: userId });
+    },
+
+    // Posts
+    // Reads only return posts the signed-in user may see (see filterVisiblePosts).
+    // Maintenance that must cover every stored post passes { includeHidden: true }.
+    async getPosts({ includeHidden = false } = {}) {
+        const posts = await this.adapter.getPosts();
+        return includeHidden ? posts : this.filterVisiblePosts(posts);
+    },
+    async getPost(postId, { includeHidden = false } = {}) {
+        const post = await this.adapter.getPost(postId);
+        if (!post || includeHidden) return post;
+        return (await this.filterVisiblePosts([post]))[0] || null;
+    },
+    savePost(post, base) {
+        return this.track(this.adapter.savePost(post, base), { store: 'posts', id: post.id, userId: post.userId });
+    },
+    // Trips that lost the post are announced as trip changes as well
+    async deletePost(postId) {
+        const trips = await this.track(this.adapter.deletePost(postId), { store: 'posts', id: postId, deleted: true });
+        (trips || []).forEach(trip => {
+            this.publishChange({ store: 'collections', id: trip.id, postId });
+        });
+    },
+    async getUserPosts(userId) {
+        return this.filterVisiblePosts(await this.adapter.getUserPosts(userId));
+    },
+    async getPostsByCategory(category) {
+        return this.filterVisiblePosts(await this.adapter.getPostsByCategory(category));
+    },
+
+    // Keeps the signed-in user's own posts, public posts, and followers-only posts of
+    // users they follow. Signed out, only public posts remain.
+    async filterVisiblePosts(posts) {
+        const viewer = this.getCurrentUser();
+        const needsFollows = viewer && posts.some(post =>
+            post.userId !== viewer.id && getPostVisibility(post) === 'followers');
+        const following = needsFollows
+            ? new Set((await this.adapter.getFollowing(viewer.id)).map(follow => follow.followeeId))
+            : new Set();
+        
+        return posts.filter(post => {
+            if (viewer && post.userId === viewer.id) return true;
+            const visibility = getPostVisibility(post);
+            return visibility === 'public' || (visibility === 'followers' && following.has(post.userId));
+        });
+    },
+
+    // Comments
+    getComments(postId) { return this.adapter.getComments(postId); },
+    saveComment(comment) {
+        return this.track(this.adapter.saveComment(comment), { store: 'comments', id: comment.id, postId: comment.postId });
+    },
+    updateComment(commentId, content) {
+        return this.track(this.adapter.updateComment(commentId, content),
+            (comment) => ({ store: 'comments', id: commentId, postId: comment?.postId }));
+    },
+    deleteComment(commentId) {
+        return this.track(this.adapter.deleteComment(commentId), { store: 'comments', id: commentId, deleted: true });
+    },
+
+    // Likes
+    getLikes(postId) { return this.adapter.getLikes(postId); },
+    toggleLike(postId, userId) {
+        return this.track(this.adapter.toggleLike(postId, userId), { store: 'likes', postId, userId });
+    },
+    isLiked(postId, userId) { return this.adapter.isLiked(postId, userId); },
+
+    // Follows
+    getFollowers(userId) { return this.adapter.getFollowers(userId); },
+    getFollowing(userId) { return this.adapter.getFollowing(userId); },
+    toggleFollow(followerId, followeeId) {
+        return this.track(this.adapter.toggleFollow(followerId, followeeId), { store: 'follows', followerId, followeeId });
+    },
+    isFollowing(followerId, followeeId) { return this.adapter.isFollowing(followerId, followeeId); },
+
+    // Trips
+    // Trips are shown to everyone; posts the viewer may not see are left out when a
+    // trip is shown (see filterVisiblePosts)
+    getCollections(userId) { return this.adapter.getCollections(userId); },
+    getCollection(collectionId) { return this.adapter.getCollection(collectionId); },
+    getPostCollections(postId) { return this.adapter.getPostCollections(postId); },
+    saveCollection(collection, base) {
+        return this.track(this.adapter.saveCollection(collection, base),
+            { store: 'collections', id: collection.id, userId: collection.userId });
+    },
+    deleteCollection(collectionId) {
+        return this.track(this.adapter.deleteCollection(collectionId), { store: 'collections', id: collectionId, deleted: true });
+    },
+    addPostToCollection(collectionId, postId) {
+        return this.track(this.adapter.addPostToCollection(collectionId, postId), { store: 'collections', id: collectionId, postId });
+    },
+    removePostFromCollection(collectionId, postId) {
+        return this.track(this.adapter.removePostFromCollection(collectionId, postId), { store: 'collections', id: collectionId, postId });
+    },
+
+    // Notifications
+    getNotifications(userId) { return this.adapter.getNotifications(userId); },
+    markNotificationsRead(userId, notificationIds) {
+        return this.track(this.adapter.markNotificationsRead(notificationIds), { store: 'notifications', userId });
+    },
+
+    // Images
+    saveImage(blob) { return this.adapter.saveImage(blob); },
+    putImage(imageId, blob) { return this.adapter.putImage(imageId, blob); },
+    getImage(imageId) { return this.adapter.getImage(imageId); },
+    deleteImage(imageId) { return this.adapter.deleteImage(imageId); },
+    clearImages() {
+        return this.track(this.adapter.clearImages(), { store: 'images' });
+    },
+    getImageSizes() { return this.adapter.getImageSizes(); },
+
+    // Upload drafts (kept on this device, see getDraftRecords)
+    getDrafts(userId) { return getDraftRecords(userId); },
+    getDraft(draftId) { return getRecord(DRAFTS_STORE, draftId); },
+    getDraftImage(imageId) { return getDraftImageRecord(imageId); },
+    saveDraft(draft, stagedImages) {
+        return this.track(putDraftRecord(draft, stagedImages), { store: 'drafts', id: draft.id, userId: draft.userId });
+    },
+    renameDraft(draftId, name) {
+        return this.track(renameDraftRecord(draftId, name),
+            (draft) => ({ store: 'drafts', id: draftId, userId: draft?.userId }));
+    },
+    deleteDraft(draftId) {
+        return this.track(deleteDraftRecord(draftId),
+            (draft) => ({ store: 'drafts', id: draftId, userId: draft?.userId, deleted: true }));
+    },
+
+    // Backup
+    // Like reads, exports leave out posts the signed-in user may not see, together with
+    // their comments, likes and places in trips, unless { includeHidden: true } is passed.
+    // Password credentials are never exported, whatever the adapter returns.
+    async exportData({ includeHidden = false } = {}) {
+        const exported = await this.adapter.exportData();
+        const data = { ...exported, users: exported.users.map(withoutCredential) };
+        if (includeHidden) return data;
+        
+        const posts = await this.filterVisiblePosts(data.posts);
+        const postIds = new Set(posts.map(post => post.id));
+        return {
+            ...data,
+            posts,
+            comments: data.comments.filter(comment => postIds.has(comment.postId)),
+            likes: data.likes.filter(like => postIds.has(like.postId)),
+            collections: (data.collections || []).map(collection => ({
+                ...collection,
+                postIds: (collection.postIds || []).filter(postId => postIds.has(postId))
+            }))
+        };
+    },
+    importData(data, mode) {
+        return this.track(this.adapter.importData(data, mode), { store: 'all' });
+    }
+};
@@ -0,0 +1,189 @@
+// EXIF metadata reader for JPEG photos
+
+// Only the start of the file is read; camera EXIF blocks sit right after the JPEG header
+const EXIF_SCAN_BYTES = 256 * 1024;
+
+const EXIF_TAGS = {
+    ORIENTATION: 0x0112,
+    DATE_TIME: 0x0132,
+    EXIF_IFD: 0x8769,
+    GPS_IFD: 0x8825,
+    DATE_TIME_ORIGINAL: 0x9003
+};
+
+const GPS_TAGS = {
+    LATITUDE_REF: 0x0001,
+    LATITUDE: 0x0002,
+    LONGITUDE_REF: 0x0003,
+    LONGITUDE: 0x0004
+};
+
+/**
+ * Reads the value of one TIFF IFD entry
+ * @param {DataView} view - View over the TIFF block
+ * @param {number} entryOffset - Offset of the 12-byte IFD entry
+ * @param {boolean} little - Whether the TIFF block is little-endian
+ * @returns {*} The decoded value (number, string, or array for multi-value entries)
+ */
+function readExifValue(view, entryOffset, little) {
+    const type = view.getUint16(entryOffset + 2, little);
+    const count = view.getUint32(entryOffset + 4, little);
+    const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+    const size = (sizes[type] || 1) * count;
+    // Values of up to 4 bytes are stored inline, larger ones at an offset
+    const valueOffset = size > 4 ? view.getUint32(entryOffset + 8, little) : entryOffset + 8;
+    if (valueOffset + size > view.byteLength) return null;
+
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        switch (type) {
+            case 2: // ASCII
+                return String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + valueOffset, count))
+                    .replace(/\0+$/, '');
+            case 3: // SHORT
+                values.push(view.getUint16(valueOffset + i * 2, little));
+                break;
+            case 4: // LONG
+                values.push(view.getUint32(valueOffset + i * 4, little));
+                break;
+            case 9: // SLONG
+                values.push(view.getInt32(valueOffset + i * 4, little));
+                break;
+            case 5: // RATIONAL
+                values.push(view.getUint32(valueOffset + i * 8, little) / view.getUint32(valueOffset + i * 8 + 4, little));
+                break;
+            case 10: // SRATIONAL
+                values.push(view.getInt32(valueOffset + i * 8, little) / view.getInt32(valueOffset + i * 8 + 4, little));
+                break;
+            default: // BYTE, UNDEFINED
+                values.push(view.getUint8(valueOffset + i));
+        }
+    }
+    return count === 1 ? values[0] : values;
+}
+
+/**
+ * Reads all entries of a TIFF IFD
+ * @param {DataView} view - View over the TIFF block
+ * @param {number} ifdOffset - Offset of the IFD within the TIFF block
+ * @param {boolean} little - Whether the TIFF block is little-endian
+ * @returns {Map<number, *>} Map of tag number to value
+ */
+function readExifIfd(view, ifdOffset, little) {
+    const tags = new Map();
+    if (ifdOffset + 2 > view.byteLength) return tags;
+
+    const entryCount = view.getUint16(ifdOffset, little);
+    for (let i = 0; i < entryCount; i++) {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        if (entryOffset + 12 > view.byteLength) break;
+        try {
+            tags.set(view.getUint16(entryOffset, little), readExifValue(view, entryOffset, little));
+        } catch (error) {
+            // Skip malformed entries and keep the rest
+        }
+    }
+    return tags;
+}
+
+/**
+ * Finds the TIFF block inside the APP1 "Exif" segment of a JPEG
+ * @param {ArrayBuffer} buffer - The start of the JPEG file
+ * @returns {DataView|null} View over the TIFF block, or null if there is none
+ */
+function findExifTiff(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        const length = view.getUint16(offset + 2);
+        // Start of scan: no metadata segments follow
+        if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) return null;
+
+        const isExif = marker === 0xFFE1 && offset + 10 <= view.byteLength &&
+            view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0;
+        if (isExif) {
+            const start = offset + 10;
+            const end = Math.min(offset + 2 + length, view.byteLength);
+            return new DataView(buffer, start, end - start);
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Converts an EXIF date ("YYYY:MM:DD HH:MM:SS") to a local ISO-style string
+ * @param {*} value - The raw tag value
+ * @returns {string|null} "YYYY-MM-DDTHH:MM:SS", or null if the value is not a date
+ */
+function parseExifDate(value) {
+    const match = typeof value === 'string' &&
+        value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    // Cameras without a set clock write zeros
+    if (!match || match[1] === '0000') return null;
+    return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}`;
+}
+
+/**
+ * Converts a GPS degrees/minutes/seconds triple and its hemisphere to decimal degrees
+ * @param {number[]} dms - [degrees, minutes, seconds]
+ * @param {string} ref - 'N', 'S', 'E' or 'W'
+ * @returns {number|null} Signed decimal degrees, or null if the value is malformed
+ */
+function parseExifCoordinate(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3 || !dms.every(Number.isFinite)) return null;
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Reads EXIF metadata from a photo
+ * Non-JPEG files and photos without EXIF resolve with an empty object
+ * @param {Blob} file - The photo
+ * @returns {Promise<Object>} Promise that resolves with { orientation?, takenAt?, lat?, lng? }
+ */
+async function readExif(file) {
+    try {
+        const tiff = findExifTiff(await file.slice(0, EXIF_SCAN_BYTES).arrayBuffer());
+        if (!tiff || tiff.byteLength < 8) return {};
+
+        const little = tiff.getUint16(0) === 0x4949; // "II"
+        const ifd0 = readExifIfd(tiff, tiff.getUint32(4, little), little);
+
+        const result = {};
+        const orientation = ifd0.get(EXIF_TAGS.ORIENTATION);
+        if (Number.isInteger(orientation) && orientation >= 1 && orientation <= 8) {
+            result.orientation = orientation;
+        }
+
+        // Capture time lives in the Exif sub-IFD; IFD0's DateTime is the last edit
+        const exifIfd = ifd0.has(EXIF_TAGS.EXIF_IFD)
+            ? readExifIfd(tiff, ifd0.get(EXIF_TAGS.EXIF_IFD), little)
+            : new Map();
+        const takenAt = parseExifDate(exifIfd.get(EXIF_TAGS.DATE_TIME_ORIGINAL)) ||
+            parseExifDate(ifd0.get(EXIF_TAGS.DATE_TIME));
+        if (takenAt) {
+            result.takenAt = takenAt;
+        }
+
+        if (ifd0.has(EXIF_TAGS.GPS_IFD)) {
+            const gps = readExifIfd(tiff, ifd0.get(EXIF_TAGS.GPS_IFD), little);
+            const lat = parseExifCoordinate(gps.get(GPS_TAGS.LATITUDE), gps.get(GPS_TAGS.LATITUDE_REF));
+            const lng = parseExifCoordinate(gps.get(GPS_TAGS.LONGITUDE), gps.get(GPS_TAGS.LONGITUDE_REF));
+            // 0,0 is what phones write when they had no fix
+            const valid = lat !== null && lng !== null && Math.abs(lat) <= 90 && Math.abs(lng) <= 180 &&
+                !(lat === 0 && lng === 0);
+            if (valid) {
+                result.lat = lat;
+                result.lng = lng;
+            }
+        }
+        return result;
+    } catch (error) {
+        console.warn('Could not read EXIF metadata:', error);
+        return {};
+    }
+}
@@ -0,0 +1,162 @@
+// Offline gazetteer of Korean administrative districts (시/군/구)
+// Coordinates are those of each district office, which is close enough to label a photo location.
+
+// Districts further than this from every entry get no label (e.g. photos taken abroad)
+const GAZETTEER_MAX_DISTANCE_KM = 30;
+
+// Region -> [district, latitude, longitude]
+const KOREA_DISTRICTS = {
+    '서울': [
+        ['종로구', 37.5735, 126.9790], ['중구', 37.5641, 126.9979], ['용산구', 37.5324, 126.9906],
+        ['성동구', 37.5634, 127.0371], ['광진구', 37.5385, 127.0824], ['동대문구', 37.5744, 127.0397],
+        ['중랑구', 37.6063, 127.0926], ['성북구', 37.5894, 127.0167], ['강북구', 37.6396, 127.0257],
+        ['도봉구', 37.6688, 127.0471], ['노원구', 37.6542, 127.0568], ['은평구', 37.6027, 126.9291],
+        ['서대문구', 37.5791, 126.9368], ['마포구', 37.5663, 126.9019], ['양천구', 37.5170, 126.8664],
+        ['강서구', 37.5509, 126.8495], ['구로구', 37.4954, 126.8874], ['금천구', 37.4569, 126.8955],
+        ['영등포구', 37.5264, 126.8962], ['동작구', 37.5124, 126.9393], ['관악구', 37.4784, 126.9516],
+        ['서초구', 37.4837, 127.0324], ['강남구', 37.5172, 127.0473], ['송파구', 37.5145, 127.1059],
+        ['강동구', 37.5301, 127.1238]
+    ],
+    '부산': [
+        ['중구', 35.1062, 129.0323], ['서구', 35.0979, 129.0244], ['동구', 35.1293, 129.0454],
+        ['영도구', 35.0911, 129.0679], ['부산진구', 35.1629, 129.0532], ['동래구', 35.2047, 129.0838],
+        ['남구', 35.1365, 129.0844], ['북구', 35.1972, 128.9903], ['해운대구', 35.1631, 129.1636],
+        ['사하구', 35.1046, 128.9749], ['금정구', 35.2430, 129.0922], ['강서구', 35.2122, 128.9807],
+        ['연제구', 35.1762, 129.0799], ['수영구', 35.1456, 129.1131], ['사상구', 35.1525, 128.9911],
+        ['기장군', 35.2445, 129.2222]
+    ],
+    '대구': [
+        ['중구', 35.8693, 128.6062], ['동구', 35.8866, 128.6355], ['서구', 35.8718, 128.5592],
+        ['남구', 35.8460, 128.5974], ['북구', 35.8858, 128.5828], ['수성구', 35.8582, 128.6306],
+        ['달서구', 35.8299, 128.5326], ['달성군', 35.7746, 128.4314], ['군위군', 36.2428, 128.5728]
+    ],
+    '인천': [
+        ['중구', 37.4738, 126.6216], ['동구', 37.4739, 126.6432], ['미추홀구', 37.4635, 126.6503],
+        ['연수구', 37.4101, 126.6783], ['남동구', 37.4473, 126.7314], ['부평구', 37.5070, 126.7219],
+        ['계양구', 37.5372, 126.7378], ['서구', 37.5456, 126.6760], ['강화군', 37.7469, 126.4878],
+        ['옹진군', 37.4466, 126.6367]
+    ],
+    '광주': [
+        ['동구', 35.1461, 126.9230], ['서구', 35.1520, 126.8903], ['남구', 35.1330, 126.9024],
+        ['북구', 35.1742, 126.9120], ['광산구', 35.1395, 126.7937]
+    ],
+    '대전': [
+        ['동구', 36.3120, 127.4548], ['중구', 36.3255, 127.4212], ['서구', 36.3555, 127.3838],
+        ['유성구', 36.3624, 127.3563], ['대덕구', 36.3467, 127.4156]
+    ],
+    '울산': [
+        ['중구', 35.5694, 129.3327], ['남구', 35.5437, 129.3301], ['동구', 35.5049, 129.4166],
+        ['북구', 35.5827, 129.3613], ['울주군', 35.5223, 129.2424]
+    ],
+    '세종': [
+        ['세종시', 36.4801, 127.2890]
+    ],
+    '경기': [
+        ['수원시', 37.2636, 127.0286], ['성남시', 37.4200, 127.1267], ['의정부시', 37.7381, 127.0337],
+        ['안양시', 37.3943, 126.9568], ['부천시', 37.5035, 126.7660], ['광명시', 37.4786, 126.8646],
+        ['평택시', 36.9921, 127.1128], ['동두천시', 37.9036, 127.0606], ['안산시', 37.3219, 126.8309],
+        ['고양시', 37.6584, 126.8320], ['과천시', 37.4292, 126.9876], ['구리시', 37.5943, 127.1296],
+        ['남양주시', 37.6360, 127.2165], ['오산시', 37.1498, 127.0772], ['시흥시', 37.3800, 126.8029],
+        ['군포시', 37.3616, 126.9352], ['의왕시', 37.3448, 126.9683], ['하남시', 37.5393, 127.2148],
+        ['용인시', 37.2411, 127.1776], ['파주시', 37.7600, 126.7800], ['이천시', 37.2720, 127.4350],
+        ['안성시', 37.0080, 127.2797], ['김포시', 37.6153, 126.7156], ['화성시', 37.1995, 126.8313],
+        ['광주시', 37.4294, 127.2551], ['양주시', 37.7853, 127.0458], ['포천시', 37.8949, 127.2003],
+        ['여주시', 37.2982, 127.6371], ['연천군', 38.0965, 127.0749], ['가평군', 37.8315, 127.5097],
+        ['양평군', 37.4917, 127.4876]
+    ],
+    '강원': [
+        ['춘천시', 37.8813, 127.7298], ['원주시', 37.3422, 127.9202], ['강릉시', 37.7519, 128.8761],
+        ['동해시', 37.5247, 129.1143], ['태백시', 37.1641, 128.9856], ['속초시', 38.2070, 128.5918],
+        ['삼척시', 37.4500, 129.1652], ['홍천군', 37.6970, 127.8888], ['횡성군', 37.4918, 127.9850],
+        ['영월군', 37.1837, 128.4617], ['평창군', 37.3708, 128.3903], ['정선군', 37.3807, 128.6608],
+        ['철원군', 38.1466, 127.3132], ['화천군', 38.1062, 127.7082], ['양구군', 38.1100, 127.9899],
+        ['인제군', 38.0697, 128.1707], ['고성군', 38.3806, 128.4679], ['양양군', 38.0754, 128.6190]
+    ],
+    '충북': [
+        ['청주시', 36.6424, 127.4890], ['충주시', 36.9910, 127.9259], ['제천시', 37.1326, 128.1910],
+        ['보은군', 36.4894, 127.7295], ['옥천군', 36.3063, 127.5713], ['영동군', 36.1750, 127.7834],
+        ['증평군', 36.7853, 127.5815], ['진천군', 36.8554, 127.4357], ['괴산군', 36.8154, 127.7866],
+        ['음성군', 36.9401, 127.6906], ['단양군', 36.9846, 128.3655]
+    ],
+    '충남': [
+        ['천안시', 36.8151, 127.1139], ['공주시', 36.4465, 127.1190], ['보령시', 36.3334, 126.6128],
+        ['아산시', 36.7898, 127.0019], ['서산시', 36.7848, 126.4503], ['논산시', 36.1872, 127.0987],
+        ['계룡시', 36.2745, 127.2488], ['당진시', 36.8898, 126.6459], ['금산군', 36.1087, 127.4881],
+        ['부여군', 36.2757, 126.9097], ['서천군', 36.0803, 126.6919], ['청양군', 36.4591, 126.8022],
+        ['홍성군', 36.6012, 126.6608], ['예산군', 36.6826, 126.8450], ['태안군', 36.7456, 126.2980]
+    ],
+    '전북': [
+        ['전주시', 35.8242, 127.1480], ['군산시', 35.9676, 126.7366], ['익산시', 35.9483, 126.9577],
+        ['정읍시', 35.5699, 126.8559], ['남원시', 35.4164, 127.3904], ['김제시', 35.8036, 126.8808],
+        ['완주군', 35.9047, 127.1620], ['진안군', 35.7917, 127.4249], ['무주군', 36.0068, 127.6608],
+        ['장수군', 35.6474, 127.5212], ['임실군', 35.6178, 127.2890], ['순창군', 35.3744, 127.1374],
+        ['고창군', 35.4358, 126.7020], ['부안군', 35.7317, 126.7334]
+    ],
+    '전남': [
+        ['목포시', 34.8118, 126.3922], ['여수시', 34.7604, 127.6622], ['순천시', 34.9506, 127.4872],
+        ['나주시', 35.0159, 126.7108], ['광양시', 34.9407, 127.6959], ['담양군', 35.3211, 126.9882],
+        ['곡성군', 35.2820, 127.2920], ['구례군', 35.2025, 127.4629], ['고흥군', 34.6111, 127.2850],
+        ['보성군', 34.7715, 127.0800], ['화순군', 35.0646, 126.9866], ['장흥군', 34.6817, 126.9070],
+        ['강진군', 34.6420, 126.7672], ['해남군', 34.5733, 126.5993], ['영암군', 34.8002, 126.6968],
+        ['무안군', 34.9904, 126.4817], ['함평군', 35.0659, 126.5166], ['영광군', 35.2772, 126.5120],
+        ['장성군', 35.3019, 126.7849], ['완도군', 34.3110, 126.7550], ['진도군', 34.4868, 126.2635],
+        ['신안군', 34.8335, 126.3516]
+    ],
+    '경북': [
+        ['포항시', 36.0190, 129.3435], ['경주시', 35.8562, 129.2247], ['김천시', 36.1398, 128.1136],
+        ['안동시', 36.5684, 128.7294], ['구미시', 36.1195, 128.3446], ['영주시', 36.8057, 128.6241],
+        ['영천시', 35.9733, 128.9386], ['상주시', 36.4109, 128.1590], ['문경시', 36.5865, 128.1867],
+        ['경산시', 35.8251, 128.7414], ['의성군', 36.3527, 128.6971], ['청송군', 36.4359, 129.0571],
+        ['영양군', 36.6667, 129.1124], ['영덕군', 36.4150, 129.3654], ['청도군', 35.6474, 128.7340],
+        ['고령군', 35.7262, 128.2629], ['성주군', 35.9191, 128.2829], ['칠곡군', 35.9955, 128.4017],
+        ['예천군', 36.6579, 128.4527], ['봉화군', 36.8931, 128.7325], ['울진군', 36.9930, 129.4004],
+        ['울릉군', 37.4844, 130.9058]
+    ],
+    '경남': [
+        ['창원시', 35.2281, 128.6811], ['진주시', 35.1800, 128.1076], ['통영시', 34.8544, 128.4331],
+        ['사천시', 35.0037, 128.0642], ['김해시', 35.2285, 128.8894], ['밀양시', 35.5037, 128.7467],
+        ['거제시', 34.8806, 128.6211], ['양산시', 35.3350, 129.0372], ['의령군', 35.3222, 128.2617],
+        ['함안군', 35.2725, 128.4065], ['창녕군', 35.5444, 128.4924], ['고성군', 34.9730, 128.3222],
+        ['남해군', 34.8376, 127.8924], ['하동군', 35.0673, 127.7513], ['산청군', 35.4155, 127.8734],
+        ['함양군', 35.5204, 127.7251], ['거창군', 35.6867, 127.9095], ['합천군', 35.5666, 128.1658]
+    ],
+    '제주': [
+        ['제주시', 33.4996, 126.5312], ['서귀포시', 33.2541, 126.5600]
+    ]
+};
+
+/**
+ * Returns the great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Finds the district closest to a point
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object|null} { label, distanceKm } (label e.g. "서울 종로구"), or null if nothing is near
+ */
+function findNearestPlace(lat, lng) {
+    let nearest = null;
+    Object.entries(KOREA_DISTRICTS).forEach(([region, districts]) => {
+        districts.forEach(([district, dLat, dLng]) => {
+            const distance = distanceKm(lat, lng, dLat, dLng);
+            if (!nearest || distance < nearest.distanceKm) {
+                nearest = { label: region === '세종' ? '세종' : `${region} ${district}`, distanceKm: distance };
+            }
+        });
+    });
+    return nearest && nearest.distanceKm <= GAZETTEER_MAX_DISTANCE_KM ? nearest : null;
+}
@@ -0,0 +1,411 @@
+// HTTP storage adapter - talks to the shared REST API described in API.md
+
+// How often queued offline writes are retried
+const OUTBOX_RETRY_INTERVAL = 30000;
+
+/**
+ * Error thrown when the server answers with a non-2xx status
+ */
+class HttpError extends Error {
+    constructor(method, path, status) {
+        super(`${method} ${path} failed with status ${status}`);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Creates a storage adapter that reads and writes through the REST API
+ * Implements the same interface as LocalAdapter. Writes made while offline are
+ * stored in the IndexedDB outbox and replayed in order once the server is reachable.
+ * Reads fall back to the last response seen for the same path while offline.
+ * @param {string} baseUrl - The API root, e.g. http://localhost:8787
+ * @returns {Object} The adapter
+ */
+function createHttpAdapter(baseUrl) {
+    const root = baseUrl.replace(/\/+$/, '');
+    const responseCache = new Map();
+    let flushing = null;
+    
+    const enc = encodeURIComponent;
+    
+    // fetch rejects with a TypeError when the request never reaches the server
+    const isNetworkError = (error) => error instanceof TypeError;
+    
+    /**
+     * Sends a request and decodes the response
+     * @param {string} method - HTTP method
+     * @param {string} path - Path below the API root
+     * @param {Object|Blob} [body] - JSON body or binary image body
+     * @returns {Promise<*>} Decoded JSON, a Blob for binary responses, or null for 204
+     */
+    async function request(method, path, body) {
+        const options = { method, headers: {} };
+        if (body instanceof Blob) {
+            options.body = body;
+            options.headers['Content-Type'] = body.type || 'application/octet-stream';
+        } else if (body !== undefined) {
+            options.body = JSON.stringify(body);
+            options.headers['Content-Type'] = 'application/json';
+        }
+        
+        const response = await fetch(root + path, options);
+        if (!response.ok) {
+            throw new HttpError(method, path, response.status);
+        }
+        if (response.status === 204) {
+            return null;
+        }
+        const contentType = response.headers.get('Content-Type') || '';
+        return contentType.includes('application/json') ? response.json() : response.blob();
+    }
+    
+    async function read(path) {
+        try {
+            const data = await request('GET', path);
+            responseCache.set(path, data);
+            return data;
+        } catch (error) {
+            if (isNetworkError(error) && responseCache.has(path)) {
+                return responseCache.get(path);
+            }
+            throw error;
+        }
+    }
+    
+    // Like read, but resolves with null when the record does not exist
+    async function readOptional(path) {
+        try {
+            return await read(path);
+        } catch (error) {
+            if (error instanceof HttpError && error.status === 404) return null;
+            throw error;
+        }
+    }
+    
+    // Current server copy for compare-and-merge; unknown (null) while offline
+    async function readForMerge(path) {
+        try {
+            return await readOptional(path);
+        } catch (error) {
+            if (isNetworkError(error)) return null;
+            throw error;
+        }
+    }
+    
+    async function getQueuedWrites() {
+        const entries = await getAllRecords(OUTBOX_STORE);
+        return entries.filter(entry => entry.baseUrl === root);
+    }
+    
+    function enqueue(method, path, body) {
+        return runTransaction([OUTBOX_STORE], 'readwrite', (transaction) => {
+            transaction.objectStore(OUTBOX_STORE).add({
+                baseUrl: root,
+                method,
+                path,
+                body,
+                queuedAt: new Date().toISOString()
+            });
+        });
+    }
+    
+    /**
+     * Sends a write, or queues it when offline or when earlier writes are still queued
+     * Resolves with null when the write was queued
+     */
+    async function write(method, path, body) {
+        // Queue behind pending writes so the server sees them in order
+        if (!navigator.onLine || (await getQueuedWrites()).length > 0) {
+            await enqueue(method, path, body);
+            return null;
+        }
+        
+        try {
+            return await request(method, path, body);
+        } catch (error) {
+            if (isNetworkError(error)) {
+                await enqueue(method, path, body);
+                return null;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Replays queued writes in order
+     * Stops at the first network or server error and keeps the rest for the next attempt;
+     * writes the server rejects with a 4xx status are dropped
+     */
+    function flushOutbox() {
+        if (flushing) return flushing;
+        
+        flushing = (async () => {
+            for (const entry of await getQueuedWrites()) {
+                try {
+                    await request(entry.method, entry.path, entry.body);
+                } catch (error) {
+                    if (isNetworkError(error) || error.status >= 500) {
+                        return;
+                    }
+                    console.warn('Server rejected queued write, dropping it:', entry.method, entry.path, error);
+                }
+                await runTransaction([OUTBOX_STORE], 'readwrite', (transaction) => {
+                    transaction.objectStore(OUTBOX_STORE).delete(entry.seq);
+                });
+            }
+        })().catch(error => {
+            console.warn('Error replaying queued writes:', error);
+        }).finally(() => {
+            flushing = null;
+        });
+        
+        return flushing;
+    }
+    
+    return {
+        async init() {
+            // The outbox lives in the local database
+            await openDB();
+            window.addEventListener('online', flushOutbox);
+            setInterval(flushOutbox, OUTBOX_RETRY_INTERVAL);
+            await flushOutbox();
+        },
+        
+        async getPendingWriteCount() {
+            return (await getQueuedWrites()).length;
+        },
+        
+        flushOutbox,
+        
+        // User operations
+        getUsers() {
+            return read('/users');
+        },
+        
+        getUser(userId) {
+            return readOptional(`/users/${enc(userId)}`);
+        },
+        
+        async getUserByUsername(username) {
+            const users = await read(`/users?username=${enc(username)}`);
+            return users[0] || null;
+        },
+        
+        async saveUser(user, base) {
+            const merged = mergeRecordChanges(await readForMerge(`/users/${enc(user.id)}`), user, base);
+            await write('PUT', `/users/${enc(user.id)}`, merged);
+            return merged;
+        },
+        
+        // Signing up needs a live answer, so this is never queued
+        createUser(user, credential) {
+            return request('POST', '/users', { user, credential });
+        },
+        
+        // The server updates the username copies on posts and comments
+        async renameUser(userId, username) {
+            const counts = await write('POST', `/users/${enc(userId)}/rename`, { username });
+            return counts || { posts: 0, comments: 0 };
+        },
+        
+        // Password operations
+        // The server keeps credentials out of user records and checks passwords itself.
+        // These requests are never cached or queued: they need a live answer.
+        async hasPassword(userId) {
+            const status = await request('GET', `/users/${enc(userId)}/password`);
+            return status.set;
+        },
+        
+        async checkPassword(userId, password) {
+            try {
+                const result = await request('POST', `/users/${enc(userId)}/password/verify`, { password });
+                return result.valid;
+            } catch (error) {
+                if (error instanceof HttpError && error.status === 404) return false;
+                throw error;
+            }
+        },
+        
+        async setPassword(userId, credential) {
+            await request('PUT', `/users/${enc(userId)}/password`, { credential });
+        },
+        
+        // Post operations
+        getPosts() {
+            return read('/posts');
+        },
+        
+        getPost(postId) {
+            return readOptional(`/posts/${enc(postId)}`);
+        },
+        
+        async savePost(post, base) {
+            const merged = mergeRecordChanges(await readForMerge(`/posts/${enc(post.id)}`), post, base);
+            await write('PUT', `/posts/${enc(post.id)}`, merged);
+            return merged;
+        },
+        
+        // The server takes the post out of its trips; those are read first to report them
+        async deletePost(postId) {
+            const trips = await readForMerge(`/collections?postId=${enc(postId)}`);
+            await write('DELETE', `/posts/${enc(postId)}`);
+            return trips || [];
+        },
+        
+        getUserPosts(userId) {
+            return read(`/posts?userId=${enc(userId)}`);
+        },
+        
+        getPostsByCategory(category) {
+            return read(`/posts?category=${enc(category)}`);
+        },
+        
+        // Comment operations
+        getComments(postId) {
+            return read(postId ? `/comments?postId=${enc(postId)}` : '/comments');
+        },
+        
+        async saveComment(comment) {
+            await write('PUT', `/comments/${enc(comment.id)}`, comment);
+        },
+        
+        async updateComment(commentId, content) {
+            const updatedAt = new Date().toISOString();
+            return write('PATCH', `/comments/${enc(commentId)}`, { content, updatedAt });
+        },
+        
+        async deleteComment(commentId) {
+            const result = await write('DELETE', `/comments/${enc(commentId)}`);
+            return result ? result.deleted : 0;
+        },
+        
+        // Like operations
+        getLikes(postId) {
+            return read(postId ? `/likes?postId=${enc(postId)}` : '/likes');
+        },
+        
+        async isLiked(postId, userId) {
+            return Boolean(await readOptional(`/likes/${enc(postId)}/${enc(userId)}`));
+        },
+        
+        // Sent as an idempotent PUT or DELETE so a replayed write cannot flip the state twice
+        async toggleLike(postId, userId) {
+            const path = `/likes/${enc(postId)}/${enc(userId)}`;
+            if (await this.isLiked(postId, userId)) {
+                await write('DELETE', path);
+            } else {
+                await write('PUT', path, { postId, userId, createdAt: new Date().toISOString() });
+            }
+        },
+        
+        // Follow operations
+        getFollows() {
+            return read('/follows');
+        },
+        
+        getFollowers(userId) {
+            return read(`/follows?followeeId=${enc(userId)}`);
+        },
+        
+        getFollowing(userId) {
+            return read(`/follows?followerId=${enc(userId)}`);
+        },
+        
+        async isFollowing(followerId, followeeId) {
+            return Boolean(await readOptional(`/follows/${enc(followerId)}/${enc(followeeId)}`));
+        },
+        
+        // Idempotent PUT or DELETE, like toggleLike
+        async toggleFollow(followerId, followeeId) {
+            const path = `/follows/${enc(followerId)}/${enc(followeeId)}`;
+            if (await this.isFollowing(followerId, followeeId)) {
+                await write('DELETE', path);
+            } else {
+                await write('PUT', path, { followerId, followeeId, createdAt: new Date().toISOString() });
+            }
+        },
+        
+        // Trip operations
+        getCollections(userId) {
+            return read(userId ? `/collections?userId=${enc(userId)}` : '/collections');
+        },
+        
+        getCollection(collectionId) {
+            return readOptional(`/collections/${enc(collectionId)}`);
+        },
+        
+        getPostCollections(postId) {
+            return read(`/collections?postId=${enc(postId)}`);
+        },
+        
+        async saveCollection(collection, base) {
+            const path = `/collections/${enc(collection.id)}`;
+            const merged = mergeRecordChanges(await readForMerge(path), collection, base);
+            await write('PUT', path, merged);
+            return merged;
+        },
+        
+        async deleteCollection(collectionId) {
+            await write('DELETE', `/collections/${enc(collectionId)}`);
+        },
+        
+        // Single posts are added and removed with idempotent PUT and DELETE requests, so
+        // changes made elsewhere to the same trip are kept
+        addPostToCollection(collectionId, postId) {
+            return write('PUT', `/collections/${enc(collectionId)}/posts/${enc(postId)}`);
+        },
+        
+        removePostFromCollection(collectionId, postId) {
+            return write('DELETE', `/collections/${enc(collectionId)}/posts/${enc(postId)}`);
+        },
+        
+        // Notification operations; the server creates notifications for likes, comments and follows
+        getNotifications(userId) {
+            return read(`/notifications?userId=${enc(userId)}`);
+        },
+        
+        async markNotificationsRead(notificationIds) {
+            await write('POST', '/notifications/read', { ids: notificationIds });
+        },
+        
+        // Image operations
+        async saveImage(blob) {
+            // Client-generated IDs let image uploads be queued like any other write
+            return this.putImage(generateImageId(), blob);
+        },
+        
+        async putImage(imageId, blob) {
+            await write('PUT', `/images/${enc(imageId)}`, blob);
+            return imageId;
+        },
+        
+        getImage(imageId) {
+            // Image bodies are not kept in the response cache
+            return request('GET', `/images/${enc(imageId)}`);
+        },
+        
+        async deleteImage(imageId) {
+            await write('DELETE', `/images/${enc(imageId)}`);
+        },
+        
+        async clearImages() {
+            await write('DELETE', '/images');
+        },
+        
+        async getImageSizes() {
+            const images = await read('/images');
+            return new Map(images.map(image => [image.id, image.size]));
+        },
+        
+        // Backup operations
+        exportData() {
+            return read('/export');
+        },
+        
+        async importData(data, mode) {
+            const counts = await write('POST', `/import?mode=${enc(mode)}`, data);
+            return counts || { users: 0, posts: 0, comments: 0, likes: 0, follows: 0, collections: 0 };
+        }
+    };
+}
@@ -0,0 +1,203 @@
+// Image processing pipeline - orientation, resizing, re-encoding and thumbnails
+
+const IMAGE_SETTINGS_KEY = 'architecture_log_image_settings';
+
+const DEFAULT_IMAGE_SETTINGS = {
+    maxDimension: 2048,       // Longest edge of stored photos, in pixels
+    thumbnailDimension: 640,  // Longest edge of thumbnails used by cards and grids
+    quality: 0.85,
+    thumbnailQuality: 0.75,
+    format: 'image/webp'      // Falls back to JPEG where the browser cannot encode WebP
+};
+
+/**
+ * Returns the image settings, with any saved overrides applied
+ * @returns {Object} The image settings
+ */
+function getImageSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(IMAGE_SETTINGS_KEY) || '{}');
+        return { ...DEFAULT_IMAGE_SETTINGS, ...saved };
+    } catch (error) {
+        return { ...DEFAULT_IMAGE_SETTINGS };
+    }
+}
+
+/**
+ * Saves image setting overrides
+ * @param {Object} settings - Settings to override, e.g. { maxDimension: 1600 }
+ */
+function saveImageSettings(settings) {
+    localStorage.setItem(IMAGE_SETTINGS_KEY, JSON.stringify({ ...getImageSettings(), ...settings }));
+}
+
+/**
+ * Returns the ID under which the thumbnail of an image is stored
+ * @param {string} imageId - The ID of the full-size image
+ * @returns {string} The thumbnail ID
+ */
+function thumbnailIdFor(imageId) {
+    return `${imageId}_thumb`;
+}
+
+/**
+ * Checks whether an image ID belongs to a thumbnail
+ * @param {string} imageId - The image ID
+ * @returns {boolean} True for thumbnail IDs
+ */
+function isThumbnailId(imageId) {
+    return typeof imageId === 'string' && imageId.endsWith('_thumb');
+}
+
+/**
+ * Wraps canvas.toBlob in a promise
+ * Falls back to JPEG when the browser silently encodes another type (e.g. no WebP support)
+ * @param {HTMLCanvasElement} canvas - The canvas to encode
+ * @param {string} type - The requested MIME type
+ * @param {number} quality - Encoder quality between 0 and 1
+ * @returns {Promise<Blob>} Promise that resolves with the encoded image
+ */
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (blob && blob.type === type) {
+                resolve(blob);
+            } else if (type !== 'image/jpeg') {
+                canvasToBlob(canvas, 'image/jpeg', quality).then(resolve, reject);
+            } else {
+                reject(new Error('Could not encode image'));
+            }
+        }, type, quality);
+    });
+}
+
+let exifOrientationSupport = null;
+
+/**
+ * Detects whether the browser already applies EXIF orientation when decoding
+ * Tags a 2x1 JPEG with orientation 6 (rotate 90°) and checks the decoded size
+ * @returns {Promise<boolean>} Promise that resolves with true if decoding auto-rotates
+ */
+function browserAppliesExifOrientation() {
+    if (exifOrientationSupport) return exifOrientationSupport;
+
+    exifOrientationSupport = (async () => {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = 2;
+            canvas.height = 1;
+            const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 1)).arrayBuffer());
+
+            const exifSegment = new Uint8Array([
+                0xFF, 0xE1, 0x00, 0x22,                         // APP1, 34 bytes
+                0x45, 0x78, 0x69, 0x66, 0x00, 0x00,             // "Exif\0\0"
+                0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // big-endian TIFF, IFD0 at 8
+                0x00, 0x01,                                     // one entry
+                0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, // Orientation, SHORT, 1 value
+                0x00, 0x06, 0x00, 0x00,                         // = 6
+                0x00, 0x00, 0x00, 0x00                          // no next IFD
+            ]);
+            const tagged = new Blob([jpeg.slice(0, 2), exifSegment, jpeg.slice(2)], { type: 'image/jpeg' });
+
+            const bitmap = await decodeImage(tagged);
+            const rotated = bitmap.width === 1 && bitmap.height === 2;
+            bitmap.close?.();
+            return rotated;
+        } catch (error) {
+            // Every current browser auto-rotates; assume so if the probe fails
+            return true;
+        }
+    })();
+    return exifOrientationSupport;
+}
+
+/**
+ * Decodes an image Blob into something drawable on a canvas
+ * @param {Blob} blob - The image to decode
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} Promise that resolves with the decoded image
+ */
+async function decodeImage(blob) {
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(blob);
+    }
+
+    const url = URL.createObjectURL(blob);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Draws an image upright and scaled down to fit a maximum edge length
+ * @param {ImageBitmap|HTMLImageElement} source - The decoded image
+ * @param {number} orientation - EXIF orientation (1-8) still to be applied
+ * @param {number} maxDimension - Maximum length of the longest edge
+ * @returns {HTMLCanvasElement} The canvas holding the result
+ */
+function drawOriented(source, orientation, maxDimension) {
+    const sourceWidth = source.naturalWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.height;
+    const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+    const width = Math.round(sourceWidth * scale);
+    const height = Math.round(sourceHeight * scale);
+
+    // Orientations 5-8 swap the width and height
+    const swap = orientation >= 5;
+    const canvas = document.createElement('canvas');
+    canvas.width = swap ? height : width;
+    canvas.height = swap ? width : height;
+
+    const ctx = canvas.getContext('2d');
+    const W = canvas.width;
+    const H = canvas.height;
+    const transforms = {
+        2: [-1, 0, 0, 1, W, 0],
+        3: [-1, 0, 0, -1, W, H],
+        4: [1, 0, 0, -1, 0, H],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, W, 0],
+        7: [0, -1, -1, 0, W, H],
+        8: [0, -1, 1, 0, 0, H]
+    };
+    if (transforms[orientation]) {
+        ctx.transform(...transforms[orientation]);
+    }
+
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Prepares an uploaded photo for storage
+ * Rotates it upright using its EXIF orientation, downsizes it to the configured maximum,
+ * re-encodes it, and renders a separate thumbnail
+ * @param {Blob} file - The original photo
+ * @param {Object} [settings] - Image settings; defaults to getImageSettings()
+ * @returns {Promise<Object>} Promise that resolves with { image, thumbnail, exif }
+ */
+async function processImage(file, settings = getImageSettings()) {
+    const [exif, autoOriented] = await Promise.all([readExif(file), browserAppliesExifOrientation()]);
+    const source = await decodeImage(file);
+    const orientation = autoOriented ? 1 : (exif.orientation || 1);
+
+    try {
+        // Re-encoding would drop the animation of GIFs, so keep those as they are
+        const image = file.type === 'image/gif'
+            ? file
+            : await canvasToBlob(drawOriented(source, orientation, settings.maxDimension), settings.format, settings.quality);
+        const thumbnail = await canvasToBlob(
+            drawOriented(source, orientation, settings.thumbnailDimension),
+            settings.format,
+            settings.thumbnailQuality
+        );
+        return { image, thumbnail, exif };
+    } finally {
+        source.close?.();
+    }
+}
@@ -0,0 +1,364 @@
+// Vector map view - draws the bundled base map, markers and routes as SVG, with panning, zooming and clustering
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MAP_TILE_SIZE = 256;
+const MAP_MIN_ZOOM = 5;
+const MAP_MAX_ZOOM = 16;
+
+// Markers closer than this on screen are drawn as one cluster
+const MAP_CLUSTER_RADIUS = 36;
+
+// Zoom level from which rank 2 labels are shown
+const MAP_DETAIL_LABEL_ZOOM = 8;
+
+/**
+ * Projects a point to Web Mercator pixel coordinates
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} zoom - Zoom level (may be fractional)
+ * @returns {Object} { x, y } in pixels from the top-left of the world
+ */
+function projectMercator(lat, lng, zoom) {
+    const scale = MAP_TILE_SIZE * 2 ** zoom;
+    const sin = Math.sin(lat * Math.PI / 180);
+    return {
+        x: (lng + 180) / 360 * scale,
+        y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+    };
+}
+
+/**
+ * Converts Web Mercator pixel coordinates back to latitude and longitude
+ * @param {number} x - Pixels from the left of the world
+ * @param {number} y - Pixels from the top of the world
+ * @param {number} zoom - Zoom level (may be fractional)
+ * @returns {Object} { lat, lng }
+ */
+function unprojectMercator(x, y, zoom) {
+    const scale = MAP_TILE_SIZE * 2 ** zoom;
+    const n = Math.PI - 2 * Math.PI * y / scale;
+    return {
+        lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+        lng: x / scale * 360 - 180
+    };
+}
+
+/**
+ * Groups markers that are close together on screen
+ * @param {Object[]} points - Array of { marker, x, y } in screen pixels
+ * @param {number} radius - Maximum distance from a cluster's first marker, in pixels
+ * @returns {Object[]} Array of { x, y, markers } with x/y at the average position
+ */
+function clusterMarkers(points, radius) {
+    const clusters = [];
+    points.forEach(point => {
+        const cluster = clusters.find(c => Math.hypot(c.anchorX - point.x, c.anchorY - point.y) < radius);
+        if (cluster) {
+            cluster.markers.push(point.marker);
+            cluster.sumX += point.x;
+            cluster.sumY += point.y;
+        } else {
+            clusters.push({ anchorX: point.x, anchorY: point.y, sumX: point.x, sumY: point.y, markers: [point.marker] });
+        }
+    });
+    return clusters.map(c => ({
+        x: c.sumX / c.markers.length,
+        y: c.sumY / c.markers.length,
+        markers: c.markers
+    }));
+}
+
+/**
+ * Creates an SVG element with attributes
+ * @param {string} tag - The element name
+ * @param {Object} [attrs] - Attributes to set
+ * @returns {SVGElement} The element
+ */
+function createSvgElement(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+    return el;
+}
+
+/**
+ * Creates an interactive map inside a container element
+ * @param {HTMLElement} container - The element to draw into; its size sets the map size
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onMarkerClick] - Called with the clicked marker
+ * @param {Function} [options.onMapClick] - Called with (lat, lng) when empty map is clicked
+ * @returns {Object} Map view with setMarkers, setRoute, setPicked, setView, fitMarkers and render methods
+ */
+function createMapView(container, options = {}) {
+    // Centered on South Korea
+    const view = { lat: 36.2, lng: 127.8, zoom: 6.3 };
+    let markers = [];
+    let route = [];
+    let picked = null;
+
+    container.innerHTML = '';
+    container.classList.add('map-view');
+
+    const svg = createSvgElement('svg', { class: 'map-svg' });
+    container.appendChild(svg);
+
+    const controls = document.createElement('div');
+    controls.className = 'map-controls';
+    controls.innerHTML = `
+        <button type="button" data-zoom="1" title="확대">+</button>
+        <button type="button" data-zoom="-1" title="축소">−</button>
+    `;
+    container.appendChild(controls);
+
+    const getSize = () => ({
+        width: container.clientWidth || 600,
+        height: container.clientHeight || 400
+    });
+
+    /**
+     * Converts latitude and longitude to container pixels for the current view
+     */
+    const toScreen = (lat, lng) => {
+        const { width, height } = getSize();
+        const center = projectMercator(view.lat, view.lng, view.zoom);
+        const point = projectMercator(lat, lng, view.zoom);
+        return { x: point.x - center.x + width / 2, y: point.y - center.y + height / 2 };
+    };
+
+    /**
+     * Converts container pixels to latitude and longitude for the current view
+     */
+    const fromScreen = (x, y) => {
+        const { width, height } = getSize();
+        const center = projectMercator(view.lat, view.lng, view.zoom);
+        return unprojectMercator(center.x + x - width / 2, center.y + y - height / 2, view.zoom);
+    };
+
+    /**
+     * Changes the zoom level, keeping the given screen point in place
+     */
+    const zoomAt = (x, y, zoom) => {
+        const { width, height } = getSize();
+        const anchor = fromScreen(x, y);
+        view.zoom = Math.min(MAP_MAX_ZOOM, Math.max(MAP_MIN_ZOOM, zoom));
+        const point = projectMercator(anchor.lat, anchor.lng, view.zoom);
+        const center = unprojectMercator(point.x - (x - width / 2), point.y - (y - height / 2), view.zoom);
+        view.lat = center.lat;
+        view.lng = center.lng;
+        render();
+    };
+
+    /**
+     * Builds SVG path data from [lng, lat] coordinates
+     */
+    const toPath = (coords, close) => coords
+        .map(([lng, lat], i) => {
+            const p = toScreen(lat, lng);
+            return `${i === 0 ? 'M' : 'L'}${p.x.toFixed(1)},${p.y.toFixed(1)}`;
+        })
+        .join('') + (close ? 'Z' : '');
+
+    /**
+     * Redraws the base map, route, markers and picked point for the current view
+     */
+    function render() {
+        const { width, height } = getSize();
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.innerHTML = '';
+
+        svg.appendChild(createSvgElement('rect', { class: 'map-sea', width, height }));
+        BASEMAP_LAND.forEach(land => {
+            svg.appendChild(createSvgElement('path', { class: 'map-land', d: toPath(land.ring, true) }));
+        });
+        BASEMAP_BORDERS.forEach(line => {
+            svg.appendChild(createSvgElement('path', { class: 'map-border', d: toPath(line, false) }));
+        });
+        BASEMAP_LABELS.forEach(([name, lat, lng, rank]) => {
+            if (rank > 1 && view.zoom < MAP_DETAIL_LABEL_ZOOM) return;
+            const p = toScreen(lat, lng);
+            const label = createSvgElement('text', { class: 'map-label', x: p.x, y: p.y });
+            label.textContent = name;
+            svg.appendChild(label);
+        });
+
+        if (route.length > 1) {
+            svg.appendChild(createSvgElement('path', {
+                class: 'map-route',
+                d: toPath(route.map(point => [point.lng, point.lat]), false)
+            }));
+        }
+
+        const points = markers
+            .map(marker => ({ marker, ...toScreen(marker.lat, marker.lng) }))
+            .filter(p => p.x > -MAP_CLUSTER_RADIUS && p.x < width + MAP_CLUSTER_RADIUS &&
+                p.y > -MAP_CLUSTER_RADIUS && p.y < height + MAP_CLUSTER_RADIUS);
+        clusterMarkers(points, MAP_CLUSTER_RADIUS).forEach((cluster, index) => {
+            const group = createSvgElement('g', { class: 'map-marker' });
+            const title = createSvgElement('title');
+            title.textContent = cluster.markers.map(m => m.title).join('\n');
+            group.appendChild(title);
+
+            if (cluster.markers.length === 1) {
+                const marker = cluster.markers[0];
+                group.dataset.marker = markers.indexOf(marker);
+                group.appendChild(createSvgElement('circle', {
+                    cx: cluster.x, cy: cluster.y, r: marker.label ? 11 : 8, fill: marker.color
+                }));
+                if (marker.label) {
+                    const label = createSvgElement('text', { x: cluster.x, y: cluster.y });
+                    label.textContent = marker.label;
+                    group.appendChild(label);
+                }
+            } else {
+                const center = fromScreen(cluster.x, cluster.y);
+                group.dataset.cluster = index;
+                group.dataset.lat = center.lat;
+                group.dataset.lng = center.lng;
+                group.classList.add('map-cluster');
+                group.appendChild(createSvgElement('circle', {
+                    cx: cluster.x, cy: cluster.y, r: 12 + Math.min(10, Math.log2(cluster.markers.length) * 3)
+                }));
+                const count = createSvgElement('text', { x: cluster.x, y: cluster.y });
+                count.textContent = cluster.markers.length;
+                group.appendChild(count);
+            }
+            svg.appendChild(group);
+        });
+
+        if (picked) {
+            const p = toScreen(picked.lat, picked.lng);
+            svg.appendChild(createSvgElement('path', {
+                class: 'map-pin',
+                d: `M${p.x},${p.y} l-8,-14 a9,9 0 1,1 16,0 z`
+            }));
+        }
+    }
+
+    // Dragging pans the map; a press without movement counts as a click
+    let drag = null;
+    svg.addEventListener('pointerdown', (e) => {
+        drag = {
+            startX: e.clientX,
+            startY: e.clientY,
+            center: projectMercator(view.lat, view.lng, view.zoom),
+            target: e.target.closest('[data-marker], [data-cluster]'),
+            moved: false
+        };
+        svg.setPointerCapture(e.pointerId);
+    });
+
+    svg.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const dx = e.clientX - drag.startX;
+        const dy = e.clientY - drag.startY;
+        if (!drag.moved && Math.hypot(dx, dy) < 4) return;
+
+        drag.moved = true;
+        const center = unprojectMercator(drag.center.x - dx, drag.center.y - dy, view.zoom);
+        view.lat = center.lat;
+        view.lng = center.lng;
+        render();
+    });
+
+    svg.addEventListener('pointerup', (e) => {
+        if (!drag) return;
+        const { moved, target } = drag;
+        drag = null;
+        if (moved) return;
+
+        if (target && target.dataset.marker !== undefined) {
+            if (options.onMarkerClick) options.onMarkerClick(markers[target.dataset.marker]);
+        } else if (target && target.dataset.cluster !== undefined) {
+            const p = toScreen(Number(target.dataset.lat), Number(target.dataset.lng));
+            zoomAt(p.x, p.y, view.zoom + 2);
+        } else if (options.onMapClick) {
+            const rect = svg.getBoundingClientRect();
+            const point = fromScreen(e.clientX - rect.left, e.clientY - rect.top);
+            options.onMapClick(point.lat, point.lng);
+        }
+    });
+
+    svg.addEventListener('pointercancel', () => {
+        drag = null;
+    });
+
+    svg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const rect = svg.getBoundingClientRect();
+        zoomAt(e.clientX - rect.left, e.clientY - rect.top, view.zoom - e.deltaY * 0.002);
+    }, { passive: false });
+
+    controls.addEventListener('click', (e) => {
+        const step = Number(e.target.dataset.zoom);
+        if (!step) return;
+        const { width, height } = getSize();
+        zoomAt(width / 2, height / 2, view.zoom + step);
+    });
+
+    return {
+        /**
+         * Replaces the markers
+         * @param {Object[]} list - Array of { lat, lng, color, title, label?, ...any data for
+         *   onMarkerClick }; a short label (e.g. a number) is drawn inside the marker
+         */
+        setMarkers(list) {
+            markers = list;
+            render();
+        },
+
+        /**
+         * Draws a line through points in order, or removes it
+         * @param {Object[]} points - Array of { lat, lng }; fewer than two draw nothing
+         */
+        setRoute(points) {
+            route = points;
+            render();
+        },
+
+        /**
+         * Shows a pin at a picked point, or removes it
+         * @param {Object|null} point - { lat, lng } or null
+         */
+        setPicked(point) {
+            picked = point;
+            render();
+        },
+
+        /**
+         * Moves the map
+         * @param {number} lat - Latitude of the new center
+         * @param {number} lng - Longitude of the new center
+         * @param {number} [zoom] - New zoom level
+         */
+        setView(lat, lng, zoom = view.zoom) {
+            view.lat = lat;
+            view.lng = lng;
+            view.zoom = Math.min(MAP_MAX_ZOOM, Math.max(MAP_MIN_ZOOM, zoom));
+            render();
+        },
+
+        /**
+         * Zooms and centers the map so that every marker is visible
+         */
+        fitMarkers() {
+            if (markers.length === 0) return;
+            const projected = markers.map(m => projectMercator(m.lat, m.lng, 0));
+            const xs = projected.map(p => p.x);
+            const ys = projected.map(p => p.y);
+            const { width, height } = getSize();
+            const spanX = Math.max(...xs) - Math.min(...xs);
+            const spanY = Math.max(...ys) - Math.min(...ys);
+            // Leave room for marker radii at the edges; a single marker gets a city-level zoom
+            const zoom = spanX === 0 && spanY === 0
+                ? 12
+                : Math.log2(Math.min((width - 80) / spanX, (height - 80) / spanY));
+            const center = unprojectMercator(
+                (Math.max(...xs) + Math.min(...xs)) / 2,
+                (Math.max(...ys) + Math.min(...ys)) / 2,
+                0
+            );
+            this.setView(center.lat, center.lng, Math.min(zoom, 13));
+        },
+
+        render
+    };
+}
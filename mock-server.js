@@ -0,0 +1,517 @@
+// Mock REST server implementing the API described in API.md
+// Keeps everything in memory. Intended for local testing and for trying a shared log.
+//
+// Usage: node mock-server.js [port]
+
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+
+// ============================================================================
+// In-memory Store
+// ============================================================================
+
+const db = {
+    users: new Map(),
+    posts: new Map(),
+    comments: new Map(),
+    likes: new Map(), // key: `${postId}/${userId}`
+    follows: new Map(), // key: `${followerId}/${followeeId}`
+    collections: new Map(),
+    notifications: new Map(),
+    images: new Map() // id -> { type, data: Buffer }
+};
+
+const likeKey = (postId, userId) => `${postId}/${userId}`;
+const followKey = (followerId, followeeId) => `${followerId}/${followeeId}`;
+
+// Same IDs as notificationIdFor in data.js
+const notificationId = (type, ...keys) => `notif_${type}_${keys.join('_')}`;
+
+/**
+ * Returns a user without the password credential, which never leaves the server
+ * @param {Object} user - The stored user
+ * @returns {Object} The user as sent to clients
+ */
+function publicUser(user) {
+    const { credential, ...rest } = user;
+    return rest;
+}
+
+/**
+ * Checks a password against a credential created by auth.js (PBKDF2-SHA-256)
+ * @param {string} password - The password that was entered
+ * @param {Object} credential - { algorithm, iterations, salt, hash }
+ * @returns {Promise<boolean>} Promise that resolves with true if the password matches
+ */
+function verifyCredential(password, credential) {
+    if (credential.algorithm !== 'PBKDF2-SHA-256') return Promise.resolve(false);
+    const expected = Buffer.from(credential.hash, 'base64');
+    return new Promise((resolve, reject) => {
+        crypto.pbkdf2(String(password), Buffer.from(credential.salt, 'base64'), credential.iterations, expected.length, 'sha256', (error, actual) => {
+            if (error) reject(error);
+            else resolve(crypto.timingSafeEqual(actual, expected));
+        });
+    });
+}
+
+/**
+ * Stores a notification unless the recipient caused it
+ * @param {Object} notification - { id, type, userId (recipient), actorId, postId?, commentId? }
+ */
+function notify(notification) {
+    if (!notification.userId || notification.userId === notification.actorId) return;
+    db.notifications.set(notification.id, { ...notification, read: false, createdAt: new Date().toISOString() });
+}
+
+/**
+ * Notifies the post owner about a new comment, or the parent's author about a reply
+ * @param {Object} comment - The new comment
+ */
+function notifyComment(comment) {
+    const post = db.posts.get(comment.postId);
+    const parent = comment.parentId ? db.comments.get(comment.parentId) : null;
+    const base = { actorId: comment.userId, postId: comment.postId, commentId: comment.id };
+    if (parent) {
+        notify({ ...base, id: notificationId('reply', comment.id), type: 'reply', userId: parent.userId });
+    }
+    if (post && (!parent || parent.userId !== post.userId)) {
+        notify({ ...base, id: notificationId('comment', comment.id), type: 'comment', userId: post.userId });
+    }
+}
+
+/**
+ * Deletes a comment and all of its replies
+ * @param {string} commentId - The comment to delete
+ * @returns {number} Number of deleted comments
+ */
+function deleteCommentThread(commentId) {
+    const removed = new Set([commentId]);
+    let changed = true;
+    while (changed) {
+        changed = false;
+        db.comments.forEach(c => {
+            if (c.parentId && removed.has(c.parentId) && !removed.has(c.id)) {
+                removed.add(c.id);
+                changed = true;
+            }
+        });
+    }
+    removed.forEach(id => {
+        db.comments.delete(id);
+        db.notifications.delete(notificationId('comment', id));
+        db.notifications.delete(notificationId('reply', id));
+    });
+    return removed.size;
+}
+
+/**
+ * Changes the post list of a trip, mirroring updateCollectionPostIds in data.js
+ * @param {string} id - The trip
+ * @param {Function} update - Receives the current post IDs and returns the new ones
+ * @returns {Object|null} The updated trip, or null if it does not exist
+ */
+function updateCollectionPostIds(id, update) {
+    const collection = db.collections.get(id);
+    if (!collection) return null;
+    const updated = {
+        ...collection,
+        postIds: update(collection.postIds),
+        updatedAt: new Date().toISOString(),
+        rev: (collection.rev || 0) + 1
+    };
+    db.collections.set(id, updated);
+    return updated;
+}
+
+/**
+ * Points the users of a backup being merged at existing accounts with the same username,
+ * mirroring mergeUsersByUsername in data.js
+ * @param {Object} data - { users, posts, comments, likes, follows?, collections? }
+ * @returns {Object} The data to merge
+ */
+function mergeUsersByUsername(data) {
+    const idByUsername = new Map(Array.from(db.users.values(), user => [user.username, user.id]));
+    const userIdMap = new Map();
+    const users = (data.users || []).filter(user => {
+        if (!user || db.users.has(user.id)) return true;
+        const existingId = idByUsername.get(user.username);
+        if (existingId && existingId !== user.id) {
+            userIdMap.set(user.id, existingId);
+            return false;
+        }
+        idByUsername.set(user.username, user.id);
+        return true;
+    });
+    if (userIdMap.size === 0) return { ...data, users };
+
+    const remap = (userId) => userIdMap.get(userId) || userId;
+    const remapOwner = (record) => record && userIdMap.has(record.userId)
+        ? { ...record, userId: remap(record.userId) }
+        : record;
+    return {
+        ...data,
+        users,
+        posts: (data.posts || []).map(remapOwner),
+        comments: (data.comments || []).map(remapOwner),
+        likes: (data.likes || []).map(remapOwner),
+        follows: (data.follows || [])
+            .map(follow => follow && { ...follow, followerId: remap(follow.followerId), followeeId: remap(follow.followeeId) })
+            .filter(follow => !follow || follow.followerId !== follow.followeeId),
+        collections: (data.collections || []).map(remapOwner)
+    };
+}
+
+/**
+ * Writes imported records, mirroring LocalAdapter.importData
+ * Credentials in the backup are ignored; replacing keeps the passwords of users in both.
+ * @param {Object} data - { users, posts, comments, likes, follows, collections }
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Object} Number of added records per collection
+ */
+function importData(data, mode) {
+    if (mode === 'merge') data = mergeUsersByUsername(data);
+    const counts = {};
+    const keyOf = (name, record) => {
+        if (name === 'likes') return likeKey(record.postId, record.userId);
+        if (name === 'follows') return followKey(record.followerId, record.followeeId);
+        return record.id;
+    };
+    const credentials = new Map();
+    db.users.forEach(user => {
+        if (user.credential) credentials.set(user.id, user.credential);
+    });
+    ['users', 'posts', 'comments', 'likes', 'follows', 'collections'].forEach(name => {
+        const store = db[name];
+        if (mode === 'replace') store.clear();
+
+        let added = 0;
+        (data[name] || []).forEach(record => {
+            const key = record && keyOf(name, record);
+            if (!key || store.has(key)) return;
+            if (name === 'users') {
+                record = publicUser(record);
+                if (credentials.has(key)) record.credential = credentials.get(key);
+            }
+            if (name === 'collections') record = { ...record, postIds: record.postIds || [] };
+            store.set(key, record);
+            added++;
+        });
+        counts[name] = added;
+    });
+    return counts;
+}
+
+// ============================================================================
+// HTTP Helpers
+// ============================================================================
+
+function send(res, status, body) {
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, PATCH, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    };
+    if (body === undefined) {
+        res.writeHead(status, headers);
+        res.end();
+    } else if (Buffer.isBuffer(body.data)) {
+        res.writeHead(status, { ...headers, 'Content-Type': body.type });
+        res.end(body.data);
+    } else {
+        res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+async function readJson(req) {
+    const buffer = await readBody(req);
+    return buffer.length > 0 ? JSON.parse(buffer.toString('utf8')) : {};
+}
+
+// ============================================================================
+// Routes
+// ============================================================================
+
+// Each route: [method, pattern, handler(req, params, query) -> [status, body]]
+const routes = [
+    // Users
+    ['GET', /^\/users$/, (req, params, query) => {
+        const users = Array.from(db.users.values(), publicUser);
+        return [200, query.has('username') ? users.filter(u => u.username === query.get('username')) : users];
+    }],
+    ['POST', /^\/users$/, async (req) => {
+        const body = await readJson(req);
+        const user = publicUser(body.user || {});
+        const credential = body.credential;
+        if (!user.id || !user.username) return [400, { error: 'User id and username are required' }];
+        if (!credential || !credential.hash || !credential.salt) return [400, { error: 'Credential is required' }];
+        if (db.users.has(user.id)) return [409, { error: 'User already exists' }];
+        if (Array.from(db.users.values()).some(u => u.username === user.username)) {
+            return [409, { error: 'Username is already taken' }];
+        }
+        db.users.set(user.id, { ...user, credential });
+        return [200, user];
+    }],
+    ['GET', /^\/users\/([^/]+)$/, (req, [id]) =>
+        db.users.has(id) ? [200, publicUser(db.users.get(id))] : [404, { error: 'User not found' }]],
+    ['PUT', /^\/users\/([^/]+)$/, async (req, [id]) => {
+        // The credential only changes through /users/:id/password
+        const user = { ...publicUser(await readJson(req)), id };
+        const stored = db.users.get(id);
+        db.users.set(id, stored && stored.credential ? { ...user, credential: stored.credential } : user);
+        return [200, user];
+    }],
+    ['GET', /^\/users\/([^/]+)\/password$/, (req, [id]) =>
+        db.users.has(id) ? [200, { set: Boolean(db.users.get(id).credential) }] : [404, { error: 'User not found' }]],
+    ['PUT', /^\/users\/([^/]+)\/password$/, async (req, [id]) => {
+        const { credential } = await readJson(req);
+        const user = db.users.get(id);
+        if (!user) return [404, { error: 'User not found' }];
+        if (!credential || !credential.hash || !credential.salt) return [400, { error: 'Credential is required' }];
+        if (user.credential) return [409, { error: 'User already has a password' }];
+        db.users.set(id, { ...user, credential, rev: (user.rev || 0) + 1 });
+        return [204];
+    }],
+    ['POST', /^\/users\/([^/]+)\/password\/verify$/, async (req, [id]) => {
+        const { password } = await readJson(req);
+        const user = db.users.get(id);
+        if (!user) return [404, { error: 'User not found' }];
+        return [200, { valid: Boolean(user.credential) && await verifyCredential(password, user.credential) }];
+    }],
+    ['POST', /^\/users\/([^/]+)\/rename$/, async (req, [id]) => {
+        const { username } = await readJson(req);
+        if (!db.users.has(id)) return [404, { error: 'User not found' }];
+        if (!username) return [400, { error: 'Username is required' }];
+        const taken = Array.from(db.users.values()).some(u => u.username === username && u.id !== id);
+        if (taken) return [409, { error: 'Username is already taken' }];
+
+        const user = db.users.get(id);
+        db.users.set(id, { ...user, username, rev: (user.rev || 0) + 1 });
+        const counts = { posts: 0, comments: 0 };
+        db.posts.forEach((post, key) => {
+            if (post.userId !== id) return;
+            db.posts.set(key, { ...post, username, rev: (post.rev || 0) + 1 });
+            counts.posts++;
+        });
+        db.comments.forEach((comment, key) => {
+            if (comment.userId !== id) return;
+            db.comments.set(key, { ...comment, username });
+            counts.comments++;
+        });
+        return [200, counts];
+    }],
+
+    // Posts
+    ['GET', /^\/posts$/, (req, params, query) => {
+        let posts = Array.from(db.posts.values());
+        if (query.has('userId')) posts = posts.filter(p => p.userId === query.get('userId'));
+        if (query.has('category')) posts = posts.filter(p => p.category === query.get('category'));
+        return [200, posts];
+    }],
+    ['GET', /^\/posts\/([^/]+)$/, (req, [id]) =>
+        db.posts.has(id) ? [200, db.posts.get(id)] : [404, { error: 'Post not found' }]],
+    ['PUT', /^\/posts\/([^/]+)$/, async (req, [id]) => {
+        const post = { ...(await readJson(req)), id };
+        db.posts.set(id, post);
+        return [200, post];
+    }],
+    ['DELETE', /^\/posts\/([^/]+)$/, (req, [id]) => {
+        db.posts.delete(id);
+        db.comments.forEach((c, key) => { if (c.postId === id) db.comments.delete(key); });
+        db.likes.forEach((l, key) => { if (l.postId === id) db.likes.delete(key); });
+        db.notifications.forEach((n, key) => { if (n.postId === id) db.notifications.delete(key); });
+        db.collections.forEach(c => { if (c.postIds.includes(id)) updateCollectionPostIds(c.id, ids => ids.filter(p => p !== id)); });
+        return [204];
+    }],
+
+    // Comments
+    ['GET', /^\/comments$/, (req, params, query) => {
+        const comments = Array.from(db.comments.values());
+        return [200, query.has('postId') ? comments.filter(c => c.postId === query.get('postId')) : comments];
+    }],
+    ['PUT', /^\/comments\/([^/]+)$/, async (req, [id]) => {
+        const comment = { ...(await readJson(req)), id };
+        const isNew = !db.comments.has(id);
+        db.comments.set(id, comment);
+        if (isNew) notifyComment(comment);
+        return [200, comment];
+    }],
+    ['PATCH', /^\/comments\/([^/]+)$/, async (req, [id]) => {
+        if (!db.comments.has(id)) return [404, { error: 'Comment not found' }];
+        const { content, updatedAt } = await readJson(req);
+        const comment = { ...db.comments.get(id), content, updatedAt: updatedAt || new Date().toISOString() };
+        db.comments.set(id, comment);
+        return [200, comment];
+    }],
+    ['DELETE', /^\/comments\/([^/]+)$/, (req, [id]) =>
+        [200, { deleted: db.comments.has(id) ? deleteCommentThread(id) : 0 }]],
+
+    // Likes
+    ['GET', /^\/likes$/, (req, params, query) => {
+        const likes = Array.from(db.likes.values());
+        return [200, query.has('postId') ? likes.filter(l => l.postId === query.get('postId')) : likes];
+    }],
+    ['GET', /^\/likes\/([^/]+)\/([^/]+)$/, (req, [postId, userId]) => {
+        const like = db.likes.get(likeKey(postId, userId));
+        return like ? [200, like] : [404, { error: 'Like not found' }];
+    }],
+    ['PUT', /^\/likes\/([^/]+)\/([^/]+)$/, async (req, [postId, userId]) => {
+        const body = await readJson(req);
+        const like = { postId, userId, createdAt: body.createdAt || new Date().toISOString() };
+        if (!db.likes.has(likeKey(postId, userId))) {
+            notify({ id: notificationId('like', postId, userId), type: 'like', userId: db.posts.get(postId)?.userId, actorId: userId, postId });
+        }
+        db.likes.set(likeKey(postId, userId), like);
+        return [200, like];
+    }],
+    ['DELETE', /^\/likes\/([^/]+)\/([^/]+)$/, (req, [postId, userId]) => {
+        db.likes.delete(likeKey(postId, userId));
+        db.notifications.delete(notificationId('like', postId, userId));
+        return [204];
+    }],
+
+    // Follows
+    ['GET', /^\/follows$/, (req, params, query) => {
+        let follows = Array.from(db.follows.values());
+        if (query.has('followerId')) follows = follows.filter(f => f.followerId === query.get('followerId'));
+        if (query.has('followeeId')) follows = follows.filter(f => f.followeeId === query.get('followeeId'));
+        return [200, follows];
+    }],
+    ['GET', /^\/follows\/([^/]+)\/([^/]+)$/, (req, [followerId, followeeId]) => {
+        const follow = db.follows.get(followKey(followerId, followeeId));
+        return follow ? [200, follow] : [404, { error: 'Follow not found' }];
+    }],
+    ['PUT', /^\/follows\/([^/]+)\/([^/]+)$/, async (req, [followerId, followeeId]) => {
+        const body = await readJson(req);
+        const follow = { followerId, followeeId, createdAt: body.createdAt || new Date().toISOString() };
+        if (!db.follows.has(followKey(followerId, followeeId))) {
+            notify({ id: notificationId('follow', followerId, followeeId), type: 'follow', userId: followeeId, actorId: followerId });
+        }
+        db.follows.set(followKey(followerId, followeeId), follow);
+        return [200, follow];
+    }],
+    ['DELETE', /^\/follows\/([^/]+)\/([^/]+)$/, (req, [followerId, followeeId]) => {
+        db.follows.delete(followKey(followerId, followeeId));
+        db.notifications.delete(notificationId('follow', followerId, followeeId));
+        return [204];
+    }],
+
+    // Trips
+    ['GET', /^\/collections$/, (req, params, query) => {
+        let collections = Array.from(db.collections.values());
+        if (query.has('userId')) collections = collections.filter(c => c.userId === query.get('userId'));
+        if (query.has('postId')) collections = collections.filter(c => c.postIds.includes(query.get('postId')));
+        return [200, collections];
+    }],
+    ['GET', /^\/collections\/([^/]+)$/, (req, [id]) =>
+        db.collections.has(id) ? [200, db.collections.get(id)] : [404, { error: 'Trip not found' }]],
+    ['PUT', /^\/collections\/([^/]+)$/, async (req, [id]) => {
+        const body = await readJson(req);
+        const collection = { ...body, id, postIds: body.postIds || [] };
+        db.collections.set(id, collection);
+        return [200, collection];
+    }],
+    ['DELETE', /^\/collections\/([^/]+)$/, (req, [id]) => {
+        db.collections.delete(id);
+        return [204];
+    }],
+    ['PUT', /^\/collections\/([^/]+)\/posts\/([^/]+)$/, (req, [id, postId]) => {
+        const collection = updateCollectionPostIds(id, ids => ids.includes(postId) ? ids : [...ids, postId]);
+        return collection ? [200, collection] : [404, { error: 'Trip not found' }];
+    }],
+    ['DELETE', /^\/collections\/([^/]+)\/posts\/([^/]+)$/, (req, [id, postId]) => {
+        const collection = updateCollectionPostIds(id, ids => ids.filter(p => p !== postId));
+        return collection ? [200, collection] : [404, { error: 'Trip not found' }];
+    }],
+
+    // Notifications
+    ['GET', /^\/notifications$/, (req, params, query) => {
+        const notifications = Array.from(db.notifications.values());
+        return [200, query.has('userId') ? notifications.filter(n => n.userId === query.get('userId')) : notifications];
+    }],
+    ['POST', /^\/notifications\/read$/, async (req) => {
+        const { ids = [] } = await readJson(req);
+        ids.forEach(id => {
+            const notification = db.notifications.get(id);
+            if (notification) db.notifications.set(id, { ...notification, read: true });
+        });
+        return [204];
+    }],
+
+    // Images
+    ['GET', /^\/images$/, () =>
+        [200, Array.from(db.images, ([id, image]) => ({ id, size: image.data.length }))]],
+    ['GET', /^\/images\/([^/]+)$/, (req, [id]) =>
+        db.images.has(id) ? [200, db.images.get(id)] : [404, { error: 'Image not found' }]],
+    ['PUT', /^\/images\/([^/]+)$/, async (req, [id]) => {
+        const data = await readBody(req);
+        db.images.set(id, { type: req.headers['content-type'] || 'application/octet-stream', data });
+        return [200, { id, size: data.length }];
+    }],
+    ['DELETE', /^\/images\/([^/]+)$/, (req, [id]) => {
+        db.images.delete(id);
+        return [204];
+    }],
+    ['DELETE', /^\/images$/, () => {
+        db.images.clear();
+        return [204];
+    }],
+
+    // Backup
+    ['GET', /^\/export$/, () => [200, {
+        users: Array.from(db.users.values(), publicUser),
+        posts: Array.from(db.posts.values()),
+        comments: Array.from(db.comments.values()),
+        likes: Array.from(db.likes.values()),
+        follows: Array.from(db.follows.values()),
+        collections: Array.from(db.collections.values())
+    }]],
+    ['POST', /^\/import$/, async (req, params, query) => {
+        const mode = query.get('mode') === 'replace' ? 'replace' : 'merge';
+        return [200, importData(await readJson(req), mode)];
+    }]
+];
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    for (const [method, pattern, handler] of routes) {
+        const match = url.pathname.match(pattern);
+        if (method !== req.method || !match) continue;
+
+        try {
+            const params = match.slice(1).map(decodeURIComponent);
+            const [status, body] = await handler(req, params, url.searchParams);
+            send(res, status, body);
+        } catch (error) {
+            console.warn('Request failed:', req.method, url.pathname, error);
+            send(res, error instanceof SyntaxError ? 400 : 500, { error: error.message });
+        }
+        return;
+    }
+
+    send(res, 404, { error: 'Not found' });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Architecture Log mock API listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, db };
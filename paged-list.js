@@ -0,0 +1,205 @@
+// Paged list rendering - infinite scroll, DOM windowing and lazy-loaded images for post lists
+
+const LIST_PAGE_SIZE = 12;
+
+// Items further than this outside the viewport are swapped for empty placeholders,
+// and the next page starts loading once the end of the list is this close
+const LIST_WINDOW_MARGIN = '1500px';
+
+// Images start loading this far before they scroll into view
+const LAZY_IMAGE_MARGIN = '300px';
+
+/**
+ * Creates a loader that fills in images once they come near the viewport
+ * Images are marked up as <img data-lazy-image="imageId" data-placeholder-class="...">;
+ * when no URL can be loaded the image is replaced by a placeholder with that class, showing
+ * data-placeholder-text (🏛️ by default).
+ * @param {Function} loadUrl - Resolves an image ID to a URL (or null)
+ * @returns {Object} Loader with an observe(root) method
+ */
+function createLazyImageLoader(loadUrl) {
+    const load = async (img) => {
+        try {
+            const url = await loadUrl(img.dataset.lazyImage);
+            if (url) {
+                img.src = url;
+                return;
+            }
+        } catch (error) {
+            console.warn('Error loading image:', img.dataset.lazyImage, error);
+        }
+        const placeholder = document.createElement('div');
+        placeholder.className = img.dataset.placeholderClass || '';
+        placeholder.textContent = img.dataset.placeholderText || '🏛️';
+        img.replaceWith(placeholder);
+    };
+
+    const observer = typeof IntersectionObserver === 'function'
+        ? new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+                load(entry.target);
+            });
+        }, { rootMargin: LAZY_IMAGE_MARGIN })
+        : null;
+
+    return {
+        /**
+         * Starts watching every lazy image inside an element
+         * @param {HTMLElement} root - An element already in the document
+         */
+        observe(root) {
+            root.querySelectorAll('img[data-lazy-image]:not([src])').forEach(img => {
+                if (observer) {
+                    observer.observe(img);
+                } else {
+                    load(img);
+                }
+            });
+        }
+    };
+}
+
+/**
+ * Creates a list that renders its items a page at a time as the user scrolls
+ * Items far outside the viewport are replaced by placeholders of the same height and
+ * rendered again when they come back. Calling setItems() again cancels a render that is
+ * still in progress, so fast successive updates never interleave.
+ * @param {HTMLElement} container - The list element
+ * @param {Object} options - Options
+ * @param {Function} options.renderItem - Async function turning an item into an element
+ * @param {Function} [options.onRender] - Called with each element after it is inserted
+ * @param {number} [options.pageSize] - Items per page
+ * @returns {Object} List with a setItems method
+ */
+function createPagedList(container, options) {
+    const pageSize = options.pageSize || LIST_PAGE_SIZE;
+    const canObserve = typeof IntersectionObserver === 'function';
+
+    let items = [];
+    let rendered = 0;
+    // Incremented by every setItems() call; async work from older calls is discarded
+    let generation = 0;
+    let loadingGeneration = null;
+
+    const sentinel = document.createElement('div');
+    sentinel.className = 'list-sentinel';
+
+    /**
+     * Renders a range of items in parallel, keeping their order
+     */
+    const renderRange = (list, start, end) => Promise.all(
+        list.slice(start, end).map(async (item, offset) => {
+            const element = await options.renderItem(item);
+            element.dataset.listIndex = start + offset;
+            return element;
+        })
+    );
+
+    const insert = (element, before) => {
+        container.insertBefore(element, before);
+        if (options.onRender) options.onRender(element);
+        if (windowObserver) windowObserver.observe(element);
+    };
+
+    // Swaps items for placeholders when they leave the window, and back when they return
+    const windowObserver = canObserve ? new IntersectionObserver((entries) => {
+        entries.forEach(async (entry) => {
+            const element = entry.target;
+            const index = Number(element.dataset.listIndex);
+            const isPlaceholder = element.classList.contains('list-placeholder');
+
+            // Hidden tabs report a zero size; leave their items alone
+            if (!entry.isIntersecting && !isPlaceholder && entry.boundingClientRect.height > 0) {
+                const placeholder = document.createElement('div');
+                placeholder.className = 'list-placeholder';
+                placeholder.dataset.listIndex = index;
+                placeholder.style.height = `${entry.boundingClientRect.height}px`;
+                windowObserver.unobserve(element);
+                element.replaceWith(placeholder);
+                windowObserver.observe(placeholder);
+            } else if (entry.isIntersecting && isPlaceholder) {
+                const run = generation;
+                windowObserver.unobserve(element);
+                const [restored] = await renderRange(items, index, index + 1);
+                if (run !== generation || !element.isConnected) return;
+                element.replaceWith(restored);
+                if (options.onRender) options.onRender(restored);
+                windowObserver.observe(restored);
+            }
+        });
+    }, { rootMargin: LIST_WINDOW_MARGIN }) : null;
+
+    /**
+     * Appends the next page, then keeps going while the end of the list is still in view
+     */
+    const loadNextPage = async () => {
+        if (loadingGeneration === generation || rendered >= items.length) return;
+
+        const run = generation;
+        loadingGeneration = run;
+        const elements = await renderRange(items, rendered, rendered + pageSize);
+        if (run !== generation) return;
+        loadingGeneration = null;
+
+        elements.forEach(element => insert(element, sentinel));
+        rendered += elements.length;
+
+        if (rendered >= items.length) {
+            sentinel.remove();
+        } else if (pageObserver) {
+            // Re-observing reports the sentinel's current state, which triggers another
+            // page if it is still within reach
+            pageObserver.unobserve(sentinel);
+            pageObserver.observe(sentinel);
+        } else {
+            loadNextPage();
+        }
+    };
+
+    const pageObserver = canObserve ? new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) loadNextPage();
+    }, { rootMargin: LIST_WINDOW_MARGIN }) : null;
+
+    return {
+        /**
+         * Replaces the items of the list
+         * @param {Array} newItems - The items to show
+         * @param {Object} [settings] - Settings
+         * @param {string} [settings.emptyHtml] - Markup shown when there are no items
+         * @param {boolean} [settings.keepPosition] - Render as many items as before in one
+         *   step, so that refreshing a scrolled list does not jump back to the top
+         */
+        async setItems(newItems, { emptyHtml = '', keepPosition = false } = {}) {
+            const run = ++generation;
+            const count = keepPosition ? Math.min(Math.max(rendered, pageSize), newItems.length) : 0;
+            const elements = await renderRange(newItems, 0, count);
+            if (run !== generation) return;
+
+            if (windowObserver) windowObserver.disconnect();
+            if (pageObserver) pageObserver.disconnect();
+            loadingGeneration = null;
+            items = newItems;
+            rendered = 0;
+            container.innerHTML = '';
+
+            if (items.length === 0) {
+                container.innerHTML = emptyHtml;
+                return;
+            }
+
+            container.appendChild(sentinel);
+            elements.forEach(element => insert(element, sentinel));
+            rendered = elements.length;
+
+            if (rendered >= items.length) {
+                sentinel.remove();
+            } else if (pageObserver) {
+                pageObserver.observe(sentinel);
+            } else {
+                loadNextPage();
+            }
+        }
+    };
+}
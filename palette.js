@@ -0,0 +1,191 @@
+// Color palettes - dominant color extraction from photos and perceptual color distance in CIELAB
+
+// Colors kept per palette, most dominant first
+const PALETTE_SIZE = 5;
+
+// Photos are scaled down to this longest edge before sampling; plenty for dominant colors
+const PALETTE_SAMPLE_DIMENSION = 64;
+
+// Colors covering less of the photos than this are dropped as noise
+const PALETTE_MIN_SHARE = 0.05;
+
+const PALETTE_ITERATIONS = 8;
+
+// Colors closer than this (ΔE) count as one: they are neither seeded nor kept separately
+const PALETTE_MERGE_DISTANCE = 12;
+
+// D65 reference white
+const LAB_WHITE = [0.95047, 1, 1.08883];
+
+/**
+ * Parses a "#rrggbb" color
+ * @param {string} hex - The color
+ * @returns {number[]} [r, g, b] from 0 to 255
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace(/^#/, ''), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Formats a color as "#rrggbb"
+ * @param {number[]} rgb - [r, g, b] from 0 to 255
+ * @returns {string} The color
+ */
+function rgbToHex(rgb) {
+    return '#' + rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Converts an sRGB color to CIELAB
+ * @param {number[]} rgb - [r, g, b] from 0 to 255
+ * @returns {number[]} [L, a, b]
+ */
+function rgbToLab(rgb) {
+    const [r, g, b] = rgb.map(channel => {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    const xyz = [
+        (r * 0.4124 + g * 0.3576 + b * 0.1805) / LAB_WHITE[0],
+        (r * 0.2126 + g * 0.7152 + b * 0.0722) / LAB_WHITE[1],
+        (r * 0.0193 + g * 0.1192 + b * 0.9505) / LAB_WHITE[2]
+    ];
+    const [fx, fy, fz] = xyz.map(t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+/**
+ * Measures the perceptual difference between two Lab colors (CIE76 ΔE)
+ * About 2 is barely noticeable; above 50 the colors read as different hues.
+ * @param {number[]} lab1 - [L, a, b]
+ * @param {number[]} lab2 - [L, a, b]
+ * @returns {number} The distance
+ */
+function labDistance(lab1, lab2) {
+    return Math.hypot(lab1[0] - lab2[0], lab1[1] - lab2[1], lab1[2] - lab2[2]);
+}
+
+/**
+ * Measures the perceptual difference between two "#rrggbb" colors
+ * @param {string} hex1 - The first color
+ * @param {string} hex2 - The second color
+ * @returns {number} ΔE in Lab space
+ */
+function colorDistance(hex1, hex2) {
+    return labDistance(rgbToLab(hexToRgb(hex1)), rgbToLab(hexToRgb(hex2)));
+}
+
+/**
+ * Finds the dominant colors of a set of pixels with k-means clustering in Lab space
+ * Clusters start from the most frequent coarse colors, so the result is the same on
+ * every run for the same pixels.
+ * @param {Uint8ClampedArray} pixels - RGBA pixel data; transparent pixels are ignored
+ * @param {number} [count] - Maximum number of colors
+ * @returns {string[]} "#rrggbb" colors, most dominant first
+ */
+function extractPalette(pixels, count = PALETTE_SIZE) {
+    const samples = [];
+    const buckets = new Map();
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] < 128) continue;
+        const rgb = [pixels[i], pixels[i + 1], pixels[i + 2]];
+        samples.push({ rgb, lab: rgbToLab(rgb) });
+        // 4 bits per channel
+        const bucket = ((rgb[0] >> 4) << 8) | ((rgb[1] >> 4) << 4) | (rgb[2] >> 4);
+        buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+    }
+    if (samples.length === 0) return [];
+
+    // Seed with the most frequent buckets that differ visibly from each other
+    const centers = [];
+    Array.from(buckets).sort((a, b) => b[1] - a[1]).some(([bucket]) => {
+        const rgb = [(bucket >> 8) * 16 + 8, ((bucket >> 4) & 15) * 16 + 8, (bucket & 15) * 16 + 8];
+        const lab = rgbToLab(rgb);
+        if (centers.every(center => labDistance(center, lab) >= PALETTE_MERGE_DISTANCE)) {
+            centers.push(lab);
+        }
+        return centers.length === count;
+    });
+
+    let clusters = [];
+    for (let iteration = 0; iteration < PALETTE_ITERATIONS; iteration++) {
+        clusters = centers.map(() => ({ size: 0, lab: [0, 0, 0], rgb: [0, 0, 0] }));
+        samples.forEach(sample => {
+            let nearest = 0;
+            let nearestDistance = Infinity;
+            centers.forEach((center, index) => {
+                const distance = labDistance(center, sample.lab);
+                if (distance < nearestDistance) {
+                    nearest = index;
+                    nearestDistance = distance;
+                }
+            });
+            const cluster = clusters[nearest];
+            cluster.size++;
+            for (let c = 0; c < 3; c++) {
+                cluster.lab[c] += sample.lab[c];
+                cluster.rgb[c] += sample.rgb[c];
+            }
+        });
+        clusters.forEach((cluster, index) => {
+            if (cluster.size > 0) {
+                centers[index] = cluster.lab.map(sum => sum / cluster.size);
+            }
+        });
+    }
+
+    // Clusters that drifted together end up as one color
+    const merged = [];
+    clusters.filter(cluster => cluster.size > 0).sort((a, b) => b.size - a.size).forEach(cluster => {
+        const center = cluster.lab.map(sum => sum / cluster.size);
+        const into = merged.find(other =>
+            labDistance(other.lab.map(sum => sum / other.size), center) < PALETTE_MERGE_DISTANCE);
+        if (into) {
+            into.size += cluster.size;
+            for (let c = 0; c < 3; c++) {
+                into.lab[c] += cluster.lab[c];
+                into.rgb[c] += cluster.rgb[c];
+            }
+        } else {
+            merged.push(cluster);
+        }
+    });
+
+    return merged
+        .filter(cluster => cluster.size / samples.length >= PALETTE_MIN_SHARE)
+        .sort((a, b) => b.size - a.size)
+        .map(cluster => rgbToHex(cluster.rgb.map(sum => sum / cluster.size)));
+}
+
+/**
+ * Reads a small sample of a photo's pixels for palette extraction
+ * Every photo is scaled to the same size, so each weighs about the same in a combined palette.
+ * @param {Blob} blob - The photo (a thumbnail is enough)
+ * @returns {Promise<Uint8ClampedArray>} Promise that resolves with RGBA pixel data
+ */
+async function readPaletteSample(blob) {
+    const source = await decodeImage(blob);
+    try {
+        const canvas = drawOriented(source, 1, PALETTE_SAMPLE_DIMENSION);
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+    } finally {
+        source.close?.();
+    }
+}
+
+/**
+ * Extracts one palette from the samples of several photos together
+ * @param {Uint8ClampedArray[]} samples - Results of readPaletteSample()
+ * @param {number} [count] - Maximum number of colors
+ * @returns {string[]} "#rrggbb" colors, most dominant first
+ */
+function extractPaletteFromSamples(samples, count = PALETTE_SIZE) {
+    const pixels = new Uint8ClampedArray(samples.reduce((sum, sample) => sum + sample.length, 0));
+    let offset = 0;
+    samples.forEach(sample => {
+        pixels.set(sample, offset);
+        offset += sample.length;
+    });
+    return extractPalette(pixels, count);
+}
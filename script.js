@@ -1,219 +1,3 @@
-// ============================================================================
-// IndexedDB Configuration and Utilities
-// ============================================================================
-
-const DB_NAME = 'ArchitectureLogDB';
-const DB_VERSION = 1;
-const STORE_NAME = 'images';
-
-/**
- * Opens the IndexedDB database and returns a promise with the database instance
- * Creates the database and object store if they don't exist
- * @returns {Promise<IDBDatabase>} Promise that resolves with the database instance
- */
-async function openDB() {
-    return new Promise((resolve, reject) => {
-        try {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-            request.onerror = () => {
-                console.warn('IndexedDB open failed:', request.error);
-                reject(request.error);
-            };
-
-            request.onsuccess = () => {
-                resolve(request.result);
-            };
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                // Create object store if it doesn't exist
-                if (!db.objectStoreNames.contains(STORE_NAME)) {
-                    db.createObjectStore(STORE_NAME);
-                }
-            };
-        } catch (error) {
-            console.warn('IndexedDB not supported or error:', error);
-            reject(error);
-        }
-    });
-}
-
-/**
- * Saves an image file (Blob) to IndexedDB
- * Generates a unique ID for the image and stores it
- * @param {File} file - The image file to save
- * @returns {Promise<string>} Promise that resolves with the generated image ID
- */
-async function saveImageBlob(file) {
-    try {
-        const db = await openDB();
-        const imageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.put(file, imageId);
-
-            request.onsuccess = () => {
-                console.log('Image saved to IndexedDB:', imageId);
-                resolve(imageId);
-            };
-
-            request.onerror = () => {
-                console.warn('Failed to save image to IndexedDB:', request.error);
-                reject(request.error);
-            };
-        });
-    } catch (error) {
-        console.warn('Error saving image blob:', error);
-        throw error;
-    }
-}
-
-/**
- * Retrieves an image Blob from IndexedDB by its ID
- * @param {string} imageId - The ID of the image to retrieve
- * @returns {Promise<Blob>} Promise that resolves with the image Blob
- */
-async function getImageBlob(imageId) {
-    try {
-        const db = await openDB();
-        
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.get(imageId);
-
-            request.onsuccess = () => {
-                if (request.result) {
-                    resolve(request.result);
-                } else {
-                    console.warn('Image not found in IndexedDB:', imageId);
-                    reject(new Error('Image not found'));
-                }
-            };
-
-            request.onerror = () => {
-                console.warn('Failed to get image from IndexedDB:', request.error);
-                reject(request.error);
-            };
-        });
-    } catch (error) {
-        console.warn('Error getting image blob:', error);
-        throw error;
-    }
-}
-
-/**
- * Deletes all image Blobs from IndexedDB
- * This clears the entire object store
- * @returns {Promise<void>} Promise that resolves when all images are deleted
- */
-async function deleteAllImages() {
-    try {
-        const db = await openDB();
-        
-        return new Promise((resolve, reject) => {
-            const transaction = db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
-            const request = store.clear();
-
-            request.onsuccess = () => {
-                console.log('All images cleared from IndexedDB');
-                resolve();
-            };
-
-            request.onerror = () => {
-                console.warn('Failed to clear images from IndexedDB:', request.error);
-                reject(request.error);
-            };
-        });
-    } catch (error) {
-        console.warn('Error deleting all images:', error);
-        throw error;
-    }
-}
-
-// ============================================================================
-// Data Migration - Move base64 images from LocalStorage to IndexedDB
-// ============================================================================
-
-/**
- * Migrates old base64 image data from LocalStorage to IndexedDB
- * Detects posts with base64 image strings and converts them to IndexedDB Blobs
- * Stores only the image ID in LocalStorage after migration
- * This function runs automatically on app initialization
- */
-async function migrateOldData() {
-    try {
-        const posts = DataService.getPosts();
-        let migrationCount = 0;
-        
-        for (const post of posts) {
-            // Check if post has base64 image data (old format)
-            if (post.images && Array.isArray(post.images)) {
-                const newImageIds = [];
-                
-                for (let i = 0; i < post.images.length; i++) {
-                    const imageData = post.images[i];
-                    
-                    // Check if it's a base64 string (starts with data:image)
-                    if (typeof imageData === 'string' && imageData.startsWith('data:image')) {
-                        try {
-                            // Convert base64 to Blob
-                            const response = await fetch(imageData);
-                            const blob = await response.blob();
-                            
-                            // Save blob to IndexedDB
-                            const imageId = await saveImageBlob(blob);
-                            newImageIds.push(imageId);
-                            migrationCount++;
-                            
-                            console.log(`Migrated image ${i + 1} for post ${post.id}`);
-                        } catch (error) {
-                            console.warn(`Failed to migrate image ${i + 1} for post ${post.id}:`, error);
-                            // Keep the base64 string if migration fails
-                            newImageIds.push(imageData);
-                        }
-                    } else if (typeof imageData === 'string' && imageData.startsWith('img_')) {
-                        // Already migrated (has image ID)
-                        newImageIds.push(imageData);
-                    } else {
-                        // Unknown format, keep as is
-                        newImageIds.push(imageData);
-                    }
-                }
-                
-                // Update post with new image IDs
-                post.images = newImageIds;
-            } else if (post.image && typeof post.image === 'string' && post.image.startsWith('data:image')) {
-                // Handle single image (legacy format)
-                try {
-                    const response = await fetch(post.image);
-                    const blob = await response.blob();
-                    const imageId = await saveImageBlob(blob);
-                    post.images = [imageId];
-                    delete post.image; // Remove old property
-                    migrationCount++;
-                    
-                    console.log(`Migrated single image for post ${post.id}`);
-                } catch (error) {
-                    console.warn(`Failed to migrate image for post ${post.id}:`, error);
-                }
-            }
-        }
-        
-        if (migrationCount > 0) {
-            // Save migrated posts back to LocalStorage
-            localStorage.setItem('architecture_log_posts', JSON.stringify(posts));
-            console.log(`Migration complete: ${migrationCount} images migrated to IndexedDB`);
-        }
-    } catch (error) {
-        console.warn('Error during data migration:', error);
-    }
-}
-
 // ============================================================================
 // Image Display Utilities
 // ============================================================================
@@ -241,7 +25,7 @@ async function getImageUrl(imageId) {
         }
         
         // Get blob from IndexedDB
-        const blob = await getImageBlob(imageId);
+        const blob = await DataService.getImage(imageId);
         const url = URL.createObjectURL(blob);
         
         // Cache the URL
@@ -255,6 +39,19 @@ async function getImageUrl(imageId) {
     }
 }
 
+/**
+ * Gets a display URL for the thumbnail of an image
+ * Falls back to the full image for photos stored before thumbnails existed
+ * @param {string} imageId - The ID of the full-size image
+ * @returns {Promise<string>} Promise that resolves with the object URL
+ */
+async function getThumbnailUrl(imageId) {
+    if (typeof imageId !== 'string' || !imageId.startsWith('img_')) {
+        return getImageUrl(imageId);
+    }
+    return (await getImageUrl(thumbnailIdFor(imageId))) || getImageUrl(imageId);
+}
+
 /**
  * Revokes an object URL and removes it from cache
  * Should be called when an image is no longer needed to free memory
@@ -268,6 +65,47 @@ function revokeImageUrl(imageId) {
     }
 }
 
+/**
+ * Processes a photo and stores it together with its thumbnail
+ * Stores the original file if the browser cannot decode it (e.g. HEIC)
+ * @param {Blob} file - The photo to store
+ * @param {Object} [settings] - Image settings; defaults to getImageSettings()
+ * @returns {Promise<string>} Promise that resolves with the image ID
+ */
+async function saveProcessedImage(file, settings) {
+    let processed = null;
+    try {
+        processed = await processImage(file, settings);
+    } catch (error) {
+        console.warn('Could not process image, storing original:', error);
+    }
+    
+    const imageId = await DataService.saveImage(processed ? processed.image : file);
+    if (processed) {
+        await DataService.putImage(thumbnailIdFor(imageId), processed.thumbnail);
+    }
+    return imageId;
+}
+
+/**
+ * Deletes an image and its thumbnail, and revokes their cached URLs
+ * Legacy base64 entries are skipped since they have no stored Blob
+ * @param {string} imageId - The ID of the full-size image
+ * @returns {Promise<void>} Promise that resolves when both are deleted
+ */
+async function deleteImageWithThumbnail(imageId) {
+    if (typeof imageId !== 'string' || !imageId.startsWith('img_')) return;
+    
+    for (const id of [imageId, thumbnailIdFor(imageId)]) {
+        try {
+            await DataService.deleteImage(id);
+        } catch (error) {
+            console.warn('Failed to delete image:', id, error);
+        }
+        revokeImageUrl(id);
+    }
+}
+
 // ============================================================================
 // Application State
 // ============================================================================
@@ -275,6 +113,18 @@ function revokeImageUrl(imageId) {
 let currentUser = null;
 let currentTab = 'feed';
 
+// ID of the post shown in the detail modal (null when closed)
+let currentModalPostId = null;
+
+// User whose posts the profile tab shows (null for the current user's own page)
+let profileUser = null;
+
+// User whose stats the Stats tab shows (null for the whole community)
+let statsUser = null;
+
+// Trip shown in the trip tab (opened through #/trip/:id)
+let currentTripId = null;
+
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -284,14 +134,22 @@ let currentTab = 'feed';
  * Sets up event listeners, loads user data, migrates old data, and renders the UI
  */
 async function init() {
-    // Run migration first
-    await migrateOldData();
+    // Open the database and run pending migrations first
+    try {
+        await DataService.init();
+    } catch (error) {
+        console.warn('Error initializing data layer:', error);
+    }
     
-    // Load current user
+    // Load current user; opening the app extends a valid session
     currentUser = DataService.getCurrentUser();
+    if (currentUser) {
+        DataService.startSession(currentUser.id);
+    }
     
     // Setup event listeners
     setupEventListeners();
+    DataService.onChange(handleRemoteChange);
     
     // Render initial UI
     if (currentUser) {
@@ -299,6 +157,8 @@ async function init() {
         renderFeed();
         renderExplore();
         renderProfile();
+        restoreActiveDraft();
+        applyRoute();
     } else {
         showLoginModal();
     }
@@ -309,12 +169,33 @@ async function init() {
  * Handles tab navigation, form submissions, image uploads, and clear button
  */
 function setupEventListeners() {
-    // Login form
+    // Sign-in / sign-up form
     const loginForm = document.getElementById('loginForm');
     if (loginForm) {
         loginForm.addEventListener('submit', handleLogin);
     }
     
+    document.querySelectorAll('[data-auth-mode]').forEach(button => {
+        button.addEventListener('click', () => setAuthMode(button.dataset.authMode));
+    });
+    
+    const cancelLoginBtn = document.getElementById('cancelLoginBtn');
+    if (cancelLoginBtn) {
+        cancelLoginBtn.addEventListener('click', showApp);
+    }
+    
+    // Account menu: switch accounts, add an account, log out
+    const accountMenuBtn = document.getElementById('accountMenuBtn');
+    if (accountMenuBtn) {
+        accountMenuBtn.addEventListener('click', toggleAccountMenu);
+    }
+    
+    // Sessions end on their own, or in another tab
+    setInterval(checkSession, SESSION_CHECK_INTERVAL);
+    window.addEventListener('storage', (e) => {
+        if (e.key === 'current_user' || e.key === SESSIONS_KEY) checkSession();
+    });
+    
     // Tab navigation
     const navTabs = document.querySelectorAll('.nav-tab');
     navTabs.forEach(tab => {
@@ -325,6 +206,21 @@ function setupEventListeners() {
     const uploadForm = document.getElementById('uploadForm');
     if (uploadForm) {
         uploadForm.addEventListener('submit', handleUploadForm);
+        uploadForm.addEventListener('input', scheduleDraftAutosave);
+        uploadForm.addEventListener('change', scheduleDraftAutosave);
+    }
+    
+    // Upload drafts: keep the fields when the page goes away, start another, manage the list
+    window.addEventListener('pagehide', handleDraftPageHide);
+    
+    const newDraftBtn = document.getElementById('newDraftBtn');
+    if (newDraftBtn) {
+        newDraftBtn.addEventListener('click', startNewDraft);
+    }
+    
+    const draftList = document.getElementById('draftList');
+    if (draftList) {
+        draftList.addEventListener('click', handleDraftAction);
     }
     
     // Photo input
@@ -339,30 +235,229 @@ function setupEventListeners() {
         setupDropZone(dropZone);
     }
     
+    // Location picker
+    const pickLocationBtn = document.getElementById('pickLocationBtn');
+    if (pickLocationBtn) {
+        pickLocationBtn.addEventListener('click', toggleLocationPicker);
+    }
+    
+    // Trip choice of the upload form
+    const tripInput = document.getElementById('tripInput');
+    if (tripInput) {
+        tripInput.addEventListener('change', handleTripInputChange);
+    }
+    
+    // Photo colors: pick one as the emotion color
+    const photoPalette = document.getElementById('photoPalette');
+    if (photoPalette) {
+        photoPalette.addEventListener('click', (e) => {
+            const swatch = e.target.closest('[data-palette-color]');
+            if (swatch) {
+                applyEmotionColorSuggestion(swatch.dataset.paletteColor, true);
+                renderPhotoPalette();
+            }
+        });
+    }
+    
+    const emotionColorInput = document.getElementById('emotionColorInput');
+    if (emotionColorInput) {
+        emotionColorInput.addEventListener('input', renderPhotoPalette);
+    }
+    
+    // Cancel edit button
+    const cancelEditBtn = document.getElementById('cancelEditBtn');
+    if (cancelEditBtn) {
+        cancelEditBtn.addEventListener('click', cancelEditPost);
+    }
+    
     // Clear cached images button
     const clearBtn = document.getElementById('clearImagesBtn');
     if (clearBtn) {
         clearBtn.addEventListener('click', handleClearImages);
     }
     
+    // Storage panel
+    const refreshStorageBtn = document.getElementById('refreshStorageBtn');
+    if (refreshStorageBtn) {
+        refreshStorageBtn.addEventListener('click', renderStoragePanel);
+    }
+    
+    const sweepOrphansBtn = document.getElementById('sweepOrphansBtn');
+    if (sweepOrphansBtn) {
+        sweepOrphansBtn.addEventListener('click', handleSweepOrphans);
+    }
+    
+    // Backup export / import
+    const exportBackupBtn = document.getElementById('exportBackupBtn');
+    if (exportBackupBtn) {
+        exportBackupBtn.addEventListener('click', handleExportBackup);
+    }
+    
+    const importBackupInput = document.getElementById('importBackupInput');
+    if (importBackupInput) {
+        importBackupInput.addEventListener('change', handleImportBackup);
+    }
+    
+    // Photo optimization
+    const imageMaxSizeSelect = document.getElementById('imageMaxSizeSelect');
+    if (imageMaxSizeSelect) {
+        imageMaxSizeSelect.value = String(getImageSettings().maxDimension);
+        imageMaxSizeSelect.addEventListener('change', () => {
+            saveImageSettings({ maxDimension: Number(imageMaxSizeSelect.value) });
+        });
+    }
+    
+    const backfillImagesBtn = document.getElementById('backfillImagesBtn');
+    if (backfillImagesBtn) {
+        backfillImagesBtn.addEventListener('click', handleBackfillImages);
+    }
+    
+    // Storage backend
+    const saveBackendBtn = document.getElementById('saveBackendBtn');
+    if (saveBackendBtn) {
+        saveBackendBtn.addEventListener('click', handleSaveBackend);
+    }
+    
+    // Profile editing
+    const editProfileBtn = document.getElementById('editProfileBtn');
+    if (editProfileBtn) {
+        editProfileBtn.addEventListener('click', startEditProfile);
+    }
+    
+    const profileEditForm = document.getElementById('profileEditForm');
+    if (profileEditForm) {
+        profileEditForm.addEventListener('submit', handleProfileSubmit);
+    }
+    
+    const cancelProfileEditBtn = document.getElementById('cancelProfileEditBtn');
+    if (cancelProfileEditBtn) {
+        cancelProfileEditBtn.addEventListener('click', cancelEditProfile);
+    }
+    
+    const passwordSetupForm = document.getElementById('passwordSetupForm');
+    if (passwordSetupForm) {
+        passwordSetupForm.addEventListener('submit', handleSetPassword);
+    }
+    
+    const avatarInput = document.getElementById('avatarInput');
+    if (avatarInput) {
+        avatarInput.addEventListener('change', handleAvatarInput);
+    }
+    
+    const removeAvatarBtn = document.getElementById('removeAvatarBtn');
+    if (removeAvatarBtn) {
+        removeAvatarBtn.addEventListener('click', () => {
+            avatarInput.value = '';
+            stagedAvatar = null;
+            renderAvatarPreview();
+        });
+    }
+    
+    // Trips: create from the profile, reorder and edit on the trip page
+    const newTripBtn = document.getElementById('newTripBtn');
+    if (newTripBtn) {
+        newTripBtn.addEventListener('click', handleNewTrip);
+    }
+    
+    const tripStops = document.getElementById('tripStops');
+    if (tripStops) {
+        tripStops.addEventListener('click', handleTripStopClick);
+    }
+    
+    const editTripBtn = document.getElementById('editTripBtn');
+    if (editTripBtn) {
+        editTripBtn.addEventListener('click', startEditTrip);
+    }
+    
+    const deleteTripBtn = document.getElementById('deleteTripBtn');
+    if (deleteTripBtn) {
+        deleteTripBtn.addEventListener('click', handleDeleteTrip);
+    }
+    
+    const tripEditForm = document.getElementById('tripEditForm');
+    if (tripEditForm) {
+        tripEditForm.addEventListener('submit', handleTripSubmit);
+    }
+    
+    const cancelTripEditBtn = document.getElementById('cancelTripEditBtn');
+    if (cancelTripEditBtn) {
+        cancelTripEditBtn.addEventListener('click', () => tripEditForm.classList.add('hidden'));
+    }
+    
     // Modal close
     const modalClose = document.getElementById('modalClose');
     if (modalClose) {
-        modalClose.addEventListener('click', () => {
-            document.getElementById('postModal').classList.add('hidden');
+        modalClose.addEventListener('click', dismissPostModal);
+    }
+    
+    // Search, filter and sort controls of each view
+    document.querySelectorAll('[data-view-filters]').forEach(setupFilterBar);
+    setupColorBrowse();
+    
+    // Feed: All / Following
+    document.querySelectorAll('[data-feed-source]').forEach(button => {
+        button.addEventListener('click', () => setFeedSource(button.dataset.feedSource));
+    });
+    refreshFeedSourceToggle();
+    
+    // Stats: community / own stats, and chart segments that filter the feed
+    document.querySelectorAll('[data-stats-scope]').forEach(button => {
+        button.addEventListener('click', () => {
+            navigate(getStatsRoute(button.dataset.statsScope === 'me' ? currentUser : null));
+        });
+    });
+    
+    const statsCharts = document.getElementById('statsCharts');
+    if (statsCharts) {
+        statsCharts.addEventListener('click', handleStatsChartClick);
+        statsCharts.addEventListener('keydown', handleStatsChartClick);
+    }
+    
+    // Follow button and follower / following lists on profiles
+    const followBtn = document.getElementById('followBtn');
+    if (followBtn) {
+        followBtn.addEventListener('click', handleFollowClick);
+    }
+    
+    const profileStats = document.getElementById('profileStats');
+    if (profileStats) {
+        profileStats.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-follow-list]');
+            if (button) toggleFollowList(button.dataset.followList);
         });
     }
     
-    // Search and filter
-    const searchInput = document.getElementById('searchInput');
-    if (searchInput) {
-        searchInput.addEventListener('input', renderFeed);
+    // Notification center
+    const notificationBell = document.getElementById('notificationBell');
+    if (notificationBell) {
+        notificationBell.addEventListener('click', toggleNotificationPanel);
     }
     
-    const categoryFilter = document.getElementById('categoryFilter');
-    if (categoryFilter) {
-        categoryFilter.addEventListener('change', renderFeed);
+    const markAllReadBtn = document.getElementById('markAllReadBtn');
+    if (markAllReadBtn) {
+        markAllReadBtn.addEventListener('click', markAllNotificationsRead);
     }
+    
+    // Clicking anywhere else closes the notification panel and the account menu
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.notification-center')) closeNotificationPanel();
+        if (!e.target.closest('.account-center')) closeAccountMenu();
+    });
+    
+    // Notifications from other browsers only arrive through the shared server
+    setInterval(() => {
+        if (currentUser) refreshNotifications();
+    }, NOTIFICATION_POLL_INTERVAL);
+    
+    // Back and forward buttons, and edits to the URL
+    window.addEventListener('popstate', applyRoute);
+    
+    // Maps size themselves to their container
+    window.addEventListener('resize', () => {
+        if (mapView) mapView.render();
+        if (locationPickerView) locationPickerView.render();
+        if (tripMapView) tripMapView.render();
+    });
 }
 
 // ============================================================================
@@ -370,11 +465,22 @@ function setupEventListeners() {
 // ============================================================================
 
 /**
- * Shows the login modal and hides the main app
+ * Shows the login modal
+ * Signed out, the app is hidden behind it. While signed in (adding another account)
+ * the app stays and the modal can be cancelled.
  */
 function showLoginModal() {
+    const form = document.getElementById('loginForm');
+    form.reset();
+    setAuthMode('signin');
+    renderSavedAccounts();
+    
+    document.getElementById('cancelLoginBtn').classList.toggle('hidden', !currentUser);
     document.getElementById('loginModal').classList.remove('hidden');
-    document.getElementById('app').classList.add('hidden');
+    if (!currentUser) {
+        document.getElementById('app').classList.add('hidden');
+    }
+    document.getElementById('usernameInput').focus();
 }
 
 /**
@@ -384,6 +490,7 @@ function showApp() {
     document.getElementById('loginModal').classList.add('hidden');
     document.getElementById('app').classList.remove('hidden');
     updateUserDisplay();
+    refreshNotifications();
 }
 
 /**
@@ -392,21 +499,25 @@ function showApp() {
 function updateUserDisplay() {
     if (currentUser) {
         const usernameEl = document.getElementById('currentUsername');
-        const profileUsernameEl = document.getElementById('profileUsername');
-        const profileBioEl = document.getElementById('profileBio');
-        
         if (usernameEl) usernameEl.textContent = currentUser.username || 'User';
-        if (profileUsernameEl) profileUsernameEl.textContent = currentUser.username || 'User';
-        if (profileBioEl) profileBioEl.textContent = currentUser.bio || 'No bio';
     }
 }
 
 /**
- * Switches between tabs (Feed, Explore, Profile, Upload)
- * Updates the active tab styling and shows the corresponding content
+ * Switches to a tab by navigating to its route
+ * Adds a history entry so that the back button returns to the previous tab
  * @param {string} tabName - The name of the tab to switch to
  */
 function switchTab(tabName) {
+    navigate(getTabRoute(tabName));
+}
+
+/**
+ * Shows a tab (Feed, Explore, Map, Stats, Profile, Upload, or a trip) without touching the URL
+ * Updates the active tab styling and shows the corresponding content
+ * @param {string} tabName - The name of the tab to show
+ */
+function showTab(tabName) {
     currentTab = tabName;
     
     // Update tab buttons
@@ -424,69 +535,402 @@ function switchTab(tabName) {
         renderFeed();
     } else if (tabName === 'explore') {
         renderExplore();
+    } else if (tabName === 'map') {
+        renderMap();
+    } else if (tabName === 'stats') {
+        renderStats();
     } else if (tabName === 'profile') {
         renderProfile();
+    } else if (tabName === 'trip') {
+        renderTrip();
+    } else if (tabName === 'upload') {
+        renderStoragePanel();
     }
 }
 
 // ============================================================================
-// Login Handler
+// Accounts and Sessions
 // ============================================================================
 
+// How often the app checks whether the session has expired
+const SESSION_CHECK_INTERVAL = 60000;
+
+/**
+ * Switches the login form between signing in and signing up
+ * 'claim' is signing in to a passwordless account while choosing its first password.
+ * @param {string} mode - 'signin', 'signup' or 'claim'
+ */
+function setAuthMode(mode) {
+    const form = document.getElementById('loginForm');
+    form.dataset.mode = mode;
+    document.querySelectorAll('[data-auth-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.authMode === (mode === 'claim' ? 'signin' : mode));
+    });
+    
+    const newPassword = mode !== 'signin';
+    const submitLabels = { signin: '로그인', signup: '계정 만들기', claim: '비밀번호 설정하고 로그인' };
+    document.getElementById('passwordInput').autocomplete = newPassword ? 'new-password' : 'current-password';
+    document.getElementById('passwordConfirmInput').required = newPassword;
+    document.getElementById('loginSubmitBtn').textContent = submitLabels[mode];
+    showLoginError('');
+}
+
+/**
+ * Checks a password chosen for an account, showing the problem under the login form
+ * @param {string} password - The password
+ * @returns {boolean} Whether it is long enough and matches the confirmation
+ */
+function checkNewPassword(password) {
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        showLoginError(`Passwords need at least ${PASSWORD_MIN_LENGTH} characters.`);
+        return false;
+    }
+    if (password !== document.getElementById('passwordConfirmInput').value) {
+        showLoginError('The passwords do not match.');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Shows an error under the login form, or hides it for an empty message
+ * @param {string} message - The message
+ */
+function showLoginError(message) {
+    const errorEl = document.getElementById('loginError');
+    errorEl.textContent = message;
+    errorEl.classList.toggle('hidden', !message);
+}
+
+/**
+ * Lists the accounts still signed in on this browser, for switching without a password
+ */
+async function renderSavedAccounts() {
+    const container = document.getElementById('savedAccounts');
+    const users = (await Promise.all(Object.keys(DataService.getSessions())
+        .filter(userId => !currentUser || userId !== currentUser.id)
+        .map(userId => DataService.getUser(userId)))).filter(Boolean);
+    
+    container.classList.toggle('hidden', users.length === 0);
+    container.innerHTML = users.length === 0 ? '' : `
+        <p>이 기기에 로그인된 계정</p>
+        ${users.map(user => `
+            <button type="button" class="account-menu-item" data-switch-user="${user.id}">
+                ${createAvatarHtml(user, 'post-author-avatar')}
+                <span>${escapeHtml(user.username)}</span>
+            </button>
+        `).join('')}
+    `;
+    lazyImages.observe(container);
+    container.querySelectorAll('[data-switch-user]').forEach(button => {
+        button.addEventListener('click', () => switchAccount(button.dataset.switchUser));
+    });
+}
+
 /**
  * Handles the login form submission
- * Creates or updates the current user and shows the main app
+ * Signing up rejects names that are taken; signing in checks the password. Accounts
+ * created before passwords existed get their first password here on the local
+ * backend, where whoever can open the app can already read every account. On a
+ * shared server their owner sets it on My Page from a browser still signed in.
  * @param {Event} e - The form submit event
  */
 async function handleLogin(e) {
     e.preventDefault();
     
+    const mode = e.target.dataset.mode;
+    const signup = mode === 'signup';
     const username = document.getElementById('usernameInput').value.trim();
+    const password = document.getElementById('passwordInput').value;
     const bio = document.getElementById('bioInput').value.trim();
     
-    if (!username) return;
+    if (!username || !password) return;
     
-    // Get or create user
-    const users = DataService.getUsers();
-    let user = users.find(u => u.username === username);
+    const submitBtn = document.getElementById('loginSubmitBtn');
+    submitBtn.disabled = true;
+    showLoginError('');
     
-    if (!user) {
-        user = {
-            id: 'user_' + Date.now(),
-            username: username,
-            bio: bio || '',
-            createdAt: new Date().toISOString()
-        };
-        DataService.saveUser(user);
-    } else if (bio) {
-        // Update bio if provided
-        user.bio = bio;
-        DataService.saveUser(user);
+    try {
+        let user = await DataService.getUserByUsername(username);
+        
+        if (signup) {
+            if (user) {
+                showLoginError(`The name "${username}" is already taken.`);
+                return;
+            }
+            if (!checkNewPassword(password)) return;
+            const credential = await createPasswordCredential(password);
+            user = await DataService.createUser({
+                id: 'user_' + Date.now(),
+                username: username,
+                bio: bio,
+                createdAt: new Date().toISOString()
+            }, credential);
+        } else if (!user) {
+            showLoginError('Wrong name or password.');
+            return;
+        } else if (!(await DataService.hasPassword(user.id))) {
+            if (DataService.adapter !== LocalAdapter) {
+                showLoginError('This account has no password yet. Open the app where it is still signed in and set one on My Page.');
+                return;
+            }
+            if (mode !== 'claim') {
+                setAuthMode('claim');
+                showLoginError('This account has no password yet. Enter the password again to make it the account\'s password.');
+                return;
+            }
+            if (!checkNewPassword(password)) return;
+            await DataService.setPassword(user.id, await createPasswordCredential(password));
+        } else if (!(await DataService.checkPassword(user.id, password))) {
+            showLoginError('Wrong name or password.');
+            return;
+        }
+        
+        DataService.startSession(user.id);
+        await enterApp(user);
+    } catch (error) {
+        console.warn('Error signing in:', error);
+        showLoginError('Failed to sign in. Please try again.');
+    } finally {
+        submitBtn.disabled = false;
     }
-    
-    currentUser = user;
-    DataService.setCurrentUser(user);
+}
+
+/**
+ * Makes an account the one in use and renders the app for it
+ * @param {Object} user - The user, whose session must already be started
+ */
+async function enterApp(user) {
+    resetAccountState();
+    currentUser = await DataService.setCurrentUser(user);
     
     showApp();
     renderFeed();
     renderExplore();
     renderProfile();
+    restoreActiveDraft();
+    applyRoute();
 }
 
-// ============================================================================
-// Upload Form Handlers
-// ============================================================================
-
-let selectedFiles = [];
-
 /**
- * Handles photo input change event
- * Stores selected files and updates the preview
- * @param {Event} e - The input change event
+ * Shows the "set a password" form on the signed-in user's own profile when their
+ * account was created before passwords existed
  */
-function handlePhotoInput(e) {
-    selectedFiles = Array.from(e.target.files);
-    updatePhotoPreview();
+async function renderPasswordSetup() {
+    const form = document.getElementById('passwordSetupForm');
+    if (!form || !currentUser) return;
+    
+    const show = !profileUser && !(await DataService.hasPassword(currentUser.id));
+    form.classList.toggle('hidden', !show);
+}
+
+/**
+ * Sets the first password of the signed-in account
+ * Only reachable from the account's own profile, and only while its session is valid.
+ * @param {Event} e - The form submit event
+ */
+async function handleSetPassword(e) {
+    e.preventDefault();
+    
+    const sessionUser = DataService.getCurrentUser();
+    if (!currentUser || !sessionUser || sessionUser.id !== currentUser.id) {
+        showSignedOut();
+        alert('You have been signed out. Please sign in again.');
+        return;
+    }
+    
+    const password = document.getElementById('newPasswordInput').value;
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        alert(`Passwords need at least ${PASSWORD_MIN_LENGTH} characters.`);
+        return;
+    }
+    if (password !== document.getElementById('newPasswordConfirmInput').value) {
+        alert('The passwords do not match.');
+        return;
+    }
+    
+    const saveBtn = document.getElementById('setPasswordBtn');
+    saveBtn.disabled = true;
+    try {
+        await DataService.setPassword(currentUser.id, await createPasswordCredential(password));
+        e.target.reset();
+        alert('Your password is set. Use it to sign in from now on.');
+    } catch (error) {
+        console.warn('Error setting password:', error);
+        alert('Failed to set the password. Please try again.');
+    } finally {
+        saveBtn.disabled = false;
+        renderPasswordSetup();
+    }
+}
+
+/**
+ * Switches to another account that is still signed in on this browser
+ * Falls back to the login form when its session has ended meanwhile.
+ * @param {string} userId - The account to switch to
+ */
+async function switchAccount(userId) {
+    closeAccountMenu();
+    const user = DataService.getSessions()[userId] ? await DataService.getUser(userId) : null;
+    if (!user) {
+        alert('That account is no longer signed in. Please sign in again.');
+        showLoginModal();
+        return;
+    }
+    DataService.startSession(userId);
+    await enterApp(user);
+}
+
+/**
+ * Clears state that belongs to the account in use
+ */
+function resetAccountState() {
+    closePostModal();
+    closeNotificationPanel();
+    closeAccountMenu();
+    cancelEditProfile();
+    // The open draft is saved first and reopened when the account comes back
+    saveUploadDraft();
+    if (editingPost || selectedFiles.length > 0 || activeDraftId) {
+        resetUploadForm();
+    }
+    document.getElementById('passwordSetupForm').reset();
+    profileUser = null;
+    currentTripId = null;
+    document.getElementById('tripEditForm').classList.add('hidden');
+}
+
+/**
+ * Signs the current account out of this browser and shows the login form
+ */
+function handleLogout() {
+    if (!currentUser) return;
+    DataService.endSession(currentUser.id);
+    showSignedOut();
+}
+
+/**
+ * Shows the login form after the account in use was signed out
+ */
+function showSignedOut() {
+    resetAccountState();
+    currentUser = null;
+    showLoginModal();
+}
+
+/**
+ * Notices sessions that expired or changed in another tab
+ */
+async function checkSession() {
+    const user = DataService.getCurrentUser();
+    if (!currentUser) {
+        // Signed in from another tab
+        if (user) await enterApp(user);
+        return;
+    }
+    if (!user) {
+        showSignedOut();
+        alert('You have been signed out. Please sign in again.');
+    } else if (user.id !== currentUser.id) {
+        await enterApp(user);
+    }
+}
+
+/**
+ * Opens or closes the account menu in the navigation
+ */
+function toggleAccountMenu() {
+    const menu = document.getElementById('accountMenu');
+    if (!menu.classList.contains('hidden')) {
+        closeAccountMenu();
+        return;
+    }
+    renderAccountMenu();
+    menu.classList.remove('hidden');
+    document.getElementById('accountMenuBtn').setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Closes the account menu
+ */
+function closeAccountMenu() {
+    const menu = document.getElementById('accountMenu');
+    if (!menu || menu.classList.contains('hidden')) return;
+    menu.classList.add('hidden');
+    document.getElementById('accountMenuBtn').setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Fills the account menu with the other signed-in accounts and the account actions
+ */
+async function renderAccountMenu() {
+    const menu = document.getElementById('accountMenu');
+    const others = (await Promise.all(Object.keys(DataService.getSessions())
+        .filter(userId => userId !== currentUser.id)
+        .map(userId => DataService.getUser(userId)))).filter(Boolean);
+    
+    menu.innerHTML = `
+        ${others.length > 0 ? '<div class="account-menu-label">계정 전환</div>' : ''}
+        ${others.map(user => `
+            <button type="button" class="account-menu-item" data-switch-user="${user.id}">
+                ${createAvatarHtml(user, 'post-author-avatar')}
+                <span>${escapeHtml(user.username)}</span>
+            </button>
+        `).join('')}
+        ${others.length > 0 ? '<hr>' : ''}
+        <button type="button" class="account-menu-item" data-account-action="add">➕ 다른 계정 추가</button>
+        <button type="button" class="account-menu-item" data-account-action="logout">🚪 로그아웃</button>
+    `;
+    lazyImages.observe(menu);
+    
+    menu.querySelectorAll('[data-switch-user]').forEach(button => {
+        button.addEventListener('click', () => switchAccount(button.dataset.switchUser));
+    });
+    menu.querySelector('[data-account-action="add"]').addEventListener('click', () => {
+        closeAccountMenu();
+        showLoginModal();
+    });
+    menu.querySelector('[data-account-action="logout"]').addEventListener('click', handleLogout);
+}
+
+// ============================================================================
+// Upload Form Handlers
+// ============================================================================
+
+// Photos staged in the upload form: File objects for new photos,
+// image ID strings for photos already stored on the post being edited, and
+// { draftImageId } for photos of a reopened draft
+let selectedFiles = [];
+
+// The post being edited in the upload form, as it was when editing began
+// (null when creating). Used as the base for compare-and-merge on save.
+let editingPost = null;
+
+// The current user's trip the edited post was in when editing began ('' for none)
+let editingPostTripId = '';
+
+/**
+ * Adds photos to the upload form
+ * Shared by the file input, the drop zone and clipboard paste
+ * @param {File[]} files - The photos to stage
+ */
+function addStagedFiles(files) {
+    if (files.length === 0) return;
+    selectedFiles = [...selectedFiles, ...files];
+    updatePhotoPreview();
+    applyPhotoMetadata();
+    applyPhotoPalette();
+    scheduleDraftAutosave();
+}
+
+/**
+ * Handles photo input change event
+ * Appends selected files to the staged photos and updates the preview
+ * @param {Event} e - The input change event
+ */
+function handlePhotoInput(e) {
+    addStagedFiles(Array.from(e.target.files));
+    e.target.value = '';
 }
 
 /**
@@ -512,10 +956,7 @@ function setupDropZone(dropZone) {
             file.type.startsWith('image/')
         );
         
-        if (files.length > 0) {
-            selectedFiles = [...selectedFiles, ...files];
-            updatePhotoPreview();
-        }
+        addStagedFiles(files);
     });
     
     // Handle paste from clipboard
@@ -526,17 +967,14 @@ function setupDropZone(dropZone) {
                 .filter(item => item.type.startsWith('image/'))
                 .map(item => item.getAsFile());
             
-            if (imageFiles.length > 0) {
-                selectedFiles = [...selectedFiles, ...imageFiles];
-                updatePhotoPreview();
-            }
+            addStagedFiles(imageFiles);
         }
     });
 }
 
 /**
  * Updates the photo preview display
- * Shows thumbnails of all selected images
+ * Shows thumbnails of all selected images with remove and reorder controls
  */
 function updatePhotoPreview() {
     const preview = document.getElementById('photoPreview');
@@ -548,24 +986,72 @@ function updatePhotoPreview() {
         return;
     }
     
-    selectedFiles.forEach((file, index) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = document.createElement('img');
-            img.src = e.target.result;
-            img.style.maxWidth = '200px';
-            img.style.maxHeight = '200px';
-            img.style.margin = '8px';
-            img.style.borderRadius = '8px';
-            preview.appendChild(img);
-        };
-        reader.readAsDataURL(file);
+    selectedFiles.forEach((item, index) => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'photo-preview-item';
+        
+        const img = document.createElement('img');
+        wrapper.appendChild(img);
+        
+        if (typeof item === 'string') {
+            // Image already stored in IndexedDB
+            getThumbnailUrl(item).then(url => {
+                img.src = url;
+            });
+        } else if (!(item instanceof Blob)) {
+            // Photo kept with a reopened draft
+            getDraftImageUrl(item.draftImageId).then(url => {
+                img.src = url;
+            });
+        } else {
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                img.src = e.target.result;
+            };
+            reader.readAsDataURL(item);
+        }
+        
+        const controls = document.createElement('div');
+        controls.className = 'photo-preview-controls';
+        controls.innerHTML = `
+            <button type="button" data-action="left" title="앞으로" ${index === 0 ? 'disabled' : ''}>◀</button>
+            <button type="button" data-action="remove" title="삭제">✕</button>
+            <button type="button" data-action="right" title="뒤로" ${index === selectedFiles.length - 1 ? 'disabled' : ''}>▶</button>
+        `;
+        controls.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (action) {
+                handlePhotoPreviewAction(index, action);
+            }
+        });
+        wrapper.appendChild(controls);
+        
+        preview.appendChild(wrapper);
     });
 }
 
+/**
+ * Removes or moves a staged photo in the upload form
+ * @param {number} index - Index of the photo in selectedFiles
+ * @param {string} action - 'remove', 'left' or 'right'
+ */
+function handlePhotoPreviewAction(index, action) {
+    if (action === 'remove') {
+        selectedFiles.splice(index, 1);
+        applyPhotoPalette();
+    } else {
+        const target = action === 'left' ? index - 1 : index + 1;
+        if (target < 0 || target >= selectedFiles.length) return;
+        [selectedFiles[index], selectedFiles[target]] = [selectedFiles[target], selectedFiles[index]];
+    }
+    updatePhotoPreview();
+    scheduleDraftAutosave();
+}
+
 /**
  * Handles the upload form submission
  * Processes the form data, saves images to IndexedDB, and creates a new post
+ * or updates the post being edited
  * @param {Event} e - The form submit event
  */
 async function handleUploadForm(e) {
@@ -576,6 +1062,9 @@ async function handleUploadForm(e) {
         return;
     }
     
+    // The draft being published, deleted once the post is saved
+    const draftId = editingPost ? null : activeDraftId;
+    
     try {
         // Get form values
         const buildingName = document.getElementById('buildingNameInput').value.trim();
@@ -585,6 +1074,8 @@ async function handleUploadForm(e) {
         const note = document.getElementById('noteInput').value.trim();
         const tagsInput = document.getElementById('tagsInput').value.trim();
         const emotionColor = document.getElementById('emotionColorInput').value;
+        const visibility = document.getElementById('visibilityInput').value;
+        const tripId = document.getElementById('tripInput').value;
         
         if (!buildingName || !date) {
             alert('Please fill in required fields');
@@ -596,283 +1087,3806 @@ async function handleUploadForm(e) {
             ? tagsInput.split(',').map(t => t.trim()).filter(t => t)
             : [];
         
-        // Save images to IndexedDB and get IDs
+        // Another tab may have deleted the post while it was being edited; check before
+        // storing any photos so that none are left behind
+        if (editingPost && !(await DataService.getPost(editingPost.id))) {
+            alert('This post no longer exists.');
+            resetUploadForm();
+            return;
+        }
+        
+        // Read before the photos are stored; samples are cached, so this is quick
+        const palette = await getPhotosPalette(selectedFiles);
+        
+        // Save new images to IndexedDB and get IDs, keeping the staged order
         const imageIds = [];
-        for (const file of selectedFiles) {
+        const newImageIds = [];
+        const discardNewImages = async () => {
+            for (const imageId of newImageIds) {
+                await deleteImageWithThumbnail(imageId);
+            }
+        };
+        for (const item of selectedFiles) {
+            if (typeof item === 'string') {
+                // Already stored (editing an existing post)
+                imageIds.push(item);
+                continue;
+            }
             try {
-                const imageId = await saveImageBlob(file);
+                // Photos staged for the draft move over as they are
+                const isStaged = !(item instanceof Blob) || draftImageStaging.has(item);
+                const imageId = isStaged ? await publishDraftImage(item) : await saveProcessedImage(item);
                 imageIds.push(imageId);
+                newImageIds.push(imageId);
             } catch (error) {
                 console.warn('Failed to save image:', error);
                 // Continue with other images even if one fails
             }
         }
         
-        // Create post object
-        const post = {
-            id: 'post_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
-            userId: currentUser.id,
-            username: currentUser.username,
-            buildingName: buildingName,
-            category: category,
-            location: location,
-            date: date,
-            note: note,
-            tags: tags,
-            emotionColor: emotionColor,
-            images: imageIds, // Store only image IDs, not base64
-            likes: [],
-            comments: [],
-            createdAt: new Date().toISOString()
-        };
+        // Check again: it may have gone while the photos were being stored
+        if (editingPost && !(await DataService.getPost(editingPost.id))) {
+            await discardNewImages();
+            alert('This post no longer exists.');
+            resetUploadForm();
+            return;
+        }
+        
+        const basePost = editingPost;
+        let post;
+        if (basePost) {
+            post = {
+                ...basePost,
+                buildingName: buildingName,
+                category: category,
+                location: location,
+                date: date,
+                note: note,
+                tags: tags,
+                emotionColor: emotionColor,
+                palette: palette,
+                images: imageIds,
+                lat: stagedCoords ? stagedCoords.lat : null,
+                lng: stagedCoords ? stagedCoords.lng : null,
+                visibility: visibility,
+                isPublic: visibility === 'public',
+                updatedAt: new Date().toISOString()
+            };
+        } else {
+            // Create post object
+            post = {
+                id: 'post_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+                userId: currentUser.id,
+                username: currentUser.username,
+                buildingName: buildingName,
+                category: category,
+                location: location,
+                date: date,
+                note: note,
+                tags: tags,
+                emotionColor: emotionColor,
+                palette: palette, // Dominant photo colors, for browsing by color
+                images: imageIds, // Store only image IDs, not base64
+                lat: stagedCoords ? stagedCoords.lat : null,
+                lng: stagedCoords ? stagedCoords.lng : null,
+                visibility: visibility,
+                isPublic: visibility === 'public', // Kept for the PRD data model
+                createdAt: new Date().toISOString()
+            };
+        }
+        
+        // Save, merging with any changes another tab made since editing began
+        try {
+            await DataService.savePost(post, basePost);
+        } catch (error) {
+            // Nothing points at the photos stored above; a draft keeps its own copies
+            await discardNewImages();
+            throw error;
+        }
         
-        // Save to LocalStorage
-        DataService.savePost(post);
+        // Add the post to the chosen trip, or move it there from its previous one.
+        // The post is saved either way, so a failure here is only logged.
+        if (tripId !== editingPostTripId) {
+            try {
+                if (editingPostTripId) await DataService.removePostFromCollection(editingPostTripId, post.id);
+                if (tripId) await DataService.addPostToCollection(tripId, post.id);
+            } catch (error) {
+                console.warn('Failed to update the trip of the post:', error);
+            }
+        }
+        
+        if (draftId) {
+            await discardDraft(draftId);
+        }
+        
+        // Delete blobs of photos removed during editing
+        if (basePost) {
+            const removedIds = (basePost.images || []).filter(id => !imageIds.includes(id));
+            for (const imageId of removedIds) {
+                await deleteImageWithThumbnail(imageId);
+            }
+        }
         
         // Reset form
-        document.getElementById('uploadForm').reset();
-        selectedFiles = [];
-        updatePhotoPreview();
+        resetUploadForm();
         
         // Show success message
-        alert('Post created successfully!');
+        alert(basePost ? 'Post updated successfully!' : 'Post created successfully!');
         
         // Refresh displays
         renderFeed();
         renderExplore();
         renderProfile();
         
-        // Switch to feed tab
-        switchTab('feed');
+        // Switch to feed tab; drafts only show up on the profile
+        switchTab(visibility === 'draft' ? 'profile' : 'feed');
         
     } catch (error) {
-        console.warn('Error creating post:', error);
-        alert('Failed to create post. Please try again.');
+        console.warn('Error saving post:', error);
+        alert('Failed to save post. Please try again.');
     }
 }
 
-// ============================================================================
-// Clear Cached Images Handler
-// ============================================================================
-
 /**
- * Handles the clear cached images button click
- * Deletes all images from IndexedDB and shows a confirmation message
+ * Resets the upload form and leaves edit mode
  */
-async function handleClearImages() {
-    if (!confirm('Are you sure you want to delete all cached images? This action cannot be undone. Your text data will be preserved.')) {
-        return;
-    }
+function resetUploadForm() {
+    clearTimeout(draftAutosaveTimer);
+    activeDraftId = null;
+    updateDraftStatus();
+    document.getElementById('uploadForm').reset();
+    selectedFiles = [];
+    editingPost = null;
+    editingPostTripId = '';
+    updatePhotoPreview();
+    resetPhotoMetadata();
+    document.getElementById('locationPicker').classList.add('hidden');
     
-    try {
-        await deleteAllImages();
-        
-        // Revoke all cached object URLs
-        imageUrlCache.forEach((url, imageId) => {
-            URL.revokeObjectURL(url);
-        });
-        imageUrlCache.clear();
-        
-        alert('All cached images have been cleared successfully!');
-    } catch (error) {
-        console.warn('Error clearing images:', error);
-        alert('Failed to clear images. Please try again.');
-    }
+    document.getElementById('uploadTitle').textContent = '새 답사 기록 추가';
+    document.getElementById('uploadSubmitBtn').textContent = '게시하기';
+    document.getElementById('cancelEditBtn').classList.add('hidden');
+    document.getElementById('visibilityInput').value = 'public';
 }
 
-// ============================================================================
-// Feed Rendering
-// ============================================================================
-
 /**
- * Renders the feed tab with filtered and sorted posts
- * Loads images from IndexedDB and displays them using object URLs
+ * Opens the upload form in edit mode, prefilled with an existing post
+ * @param {string} postId - The ID of the post to edit
  */
-async function renderFeed() {
-    const feedPosts = document.getElementById('feedPosts');
-    if (!feedPosts) return;
+async function startEditPost(postId) {
+    const post = await DataService.getPost(postId);
+    if (!post || !currentUser || post.userId !== currentUser.id) return;
     
-    let posts = DataService.getPosts();
+    // The draft in the form stays in the Drafts list
+    detachDraft();
+    editingPost = post;
     
-    // Apply filters
-    const categoryFilter = document.getElementById('categoryFilter')?.value;
-    const searchTerm = document.getElementById('searchInput')?.value.toLowerCase();
+    document.getElementById('buildingNameInput').value = post.buildingName || '';
+    document.getElementById('categoryInput').value = post.category || '기타';
+    document.getElementById('locationInput').value = post.location || '';
+    document.getElementById('dateInput').value = post.date || '';
+    document.getElementById('noteInput').value = post.note || '';
+    document.getElementById('tagsInput').value = (post.tags || []).join(', ');
+    document.getElementById('emotionColorInput').value = post.emotionColor || '#F5E6D3';
+    document.getElementById('visibilityInput').value = getPostVisibility(post);
     
-    if (categoryFilter) {
-        posts = posts.filter(p => p.category === categoryFilter);
-    }
+    // A post can be in several trips; the form shows the first of the user's own
+    const ownTrip = (await DataService.getPostCollections(post.id)).find(trip => trip.userId === currentUser.id);
+    editingPostTripId = ownTrip ? ownTrip.id : '';
+    document.getElementById('tripInput').value = editingPostTripId;
     
-    if (searchTerm) {
-        posts = posts.filter(p => 
-            p.buildingName.toLowerCase().includes(searchTerm) ||
-            p.location?.toLowerCase().includes(searchTerm) ||
-            p.tags?.some(tag => tag.toLowerCase().includes(searchTerm))
-        );
+    selectedFiles = [...(post.images || [])];
+    updatePhotoPreview();
+    resetPhotoMetadata();
+    if (Number.isFinite(post.lat) && Number.isFinite(post.lng)) {
+        stagedCoords = { lat: post.lat, lng: post.lng };
     }
+    renderPhotoMetadataPanel();
+    applyPhotoPalette();
     
-    // Sort by date (newest first)
-    posts.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    // Render posts
-    feedPosts.innerHTML = '';
-    
-    if (posts.length === 0) {
-        feedPosts.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px;">No posts found.</p>';
-        return;
-    }
+    document.getElementById('uploadTitle').textContent = '답사 기록 수정';
+    document.getElementById('uploadSubmitBtn').textContent = '수정 완료';
+    document.getElementById('cancelEditBtn').classList.remove('hidden');
     
-    for (const post of posts) {
-        const postCard = await createPostCard(post);
-        feedPosts.appendChild(postCard);
-    }
+    closePostModal();
+    switchTab('upload');
 }
 
 /**
- * Creates a post card element for display in the feed
- * Loads images from IndexedDB and creates object URLs for display
- * @param {Object} post - The post object
- * @returns {Promise<HTMLElement>} Promise that resolves with the post card element
+ * Leaves edit mode without saving and returns to the feed
  */
-async function createPostCard(post) {
-    const card = document.createElement('div');
-    card.className = 'post-card';
-    
-    // Load image URLs
-    let imageHtml = '<div class="post-image-placeholder">🏛️</div>';
-    if (post.images && post.images.length > 0) {
-        try {
-            const imageUrl = await getImageUrl(post.images[0]);
-            if (imageUrl) {
-                imageHtml = `<img src="${imageUrl}" alt="${post.buildingName}" class="post-image">`;
-            }
-        } catch (error) {
-            console.warn('Error loading image for post:', post.id, error);
-        }
+function cancelEditPost() {
+    resetUploadForm();
+    switchTab('feed');
+}
+
+// ============================================================================
+// Photo Metadata Autofill
+// ============================================================================
+
+// Photos whose GPS positions are closer than this count as the same place
+const SAME_PLACE_KM = 1;
+
+// Coordinates for the post in the upload form ({ lat, lng } or null)
+let stagedCoords = null;
+
+// Values last filled in from photo metadata. Fields still holding these may be
+// replaced by later suggestions; anything the user typed is left alone.
+let autofilledValues = { date: null, location: null, emotionColor: null };
+
+// Choices shown when the staged photos disagree
+let metadataChoices = { dates: [], places: [] };
+
+// Incremented on every run so that a slow EXIF read cannot apply stale results
+let photoMetadataRun = 0;
+
+const photoMetadataCache = new WeakMap();
+
+/**
+ * Reads the EXIF metadata of a staged photo, caching the result per file
+ * @param {File} file - The photo
+ * @returns {Promise<Object>} Promise that resolves with the readExif() result
+ */
+function getPhotoMetadata(file) {
+    if (!photoMetadataCache.has(file)) {
+        photoMetadataCache.set(file, readExif(file));
     }
-    
-    const categoryClass = post.category ? `category-${post.category.toLowerCase().replace('건축', '')}` : '';
-    const categoryHtml = post.category ? `<span class="post-category ${categoryClass}">${post.category}</span>` : '';
-    
-    const tagsHtml = post.tags && post.tags.length > 0
-        ? `<div class="post-tags">${post.tags.map(tag => `<span class="post-tag">${tag}</span>`).join('')}</div>`
-        : '';
-    
-    card.innerHTML = `
-        ${imageHtml}
-        <div class="post-content">
-            ${categoryHtml}
-            <h3 class="post-building-name">${post.buildingName}</h3>
-            <div class="post-location">📍 ${post.location || 'Location not specified'}</div>
-            <div class="post-date">📅 ${formatDate(post.date)}</div>
-            ${post.note ? `<div class="post-note">${post.note}</div>` : ''}
-            ${tagsHtml}
-        </div>
-        <div class="post-actions">
-            <div class="post-author">
-                <div class="post-author-avatar">👤</div>
-                <div>
-                    <div class="post-author-name">${post.username || 'Anonymous'}</div>
-                    <div class="post-date">${formatDate(post.createdAt)}</div>
-                </div>
-            </div>
-        </div>
-    `;
-    
-    // Add click handler to view details
-    card.addEventListener('click', () => viewPostDetails(post.id));
-    
-    return card;
+    return photoMetadataCache.get(file);
 }
 
 /**
- * Formats a date string for display
- * @param {string} dateString - The date string to format
- * @returns {string} Formatted date string
+ * Groups GPS positions that lie within SAME_PLACE_KM of a group's first position
+ * @param {Object[]} points - Array of { lat, lng }
+ * @returns {Object[]} Array of { lat, lng, count }, most photos first
  */
-function formatDate(dateString) {
-    if (!dateString) return 'Date not specified';
-    const date = new Date(dateString);
-    return date.toLocaleDateString('ko-KR', { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
+function groupPlaces(points) {
+    const groups = [];
+    points.forEach(point => {
+        const group = groups.find(g => distanceKm(g.lat, g.lng, point.lat, point.lng) < SAME_PLACE_KM);
+        if (group) {
+            group.count++;
+        } else {
+            groups.push({ lat: point.lat, lng: point.lng, count: 1 });
+        }
     });
+    return groups.sort((a, b) => b.count - a.count);
 }
 
-// ============================================================================
-// Explore Tab Rendering
-// ============================================================================
-
 /**
- * Renders the explore tab with a grid of all posts
- * Shows thumbnails of all posts
+ * Reads capture dates and GPS positions from the staged photos
+ * Fills in the date and location when the photos agree, and asks which one to use when they do not
  */
-async function renderExplore() {
-    const exploreGrid = document.getElementById('exploreGrid');
-    if (!exploreGrid) return;
+async function applyPhotoMetadata() {
+    const run = ++photoMetadataRun;
+    const files = selectedFiles.filter(item => item instanceof Blob);
+    const metadata = await Promise.all(files.map(getPhotoMetadata));
+    if (run !== photoMetadataRun) return;
     
-    const posts = DataService.getPosts();
-    
-    exploreGrid.innerHTML = '';
+    const dateCounts = new Map();
+    metadata.forEach(exif => {
+        if (exif.takenAt) {
+            const day = exif.takenAt.slice(0, 10);
+            dateCounts.set(day, (dateCounts.get(day) || 0) + 1);
+        }
+    });
+    const dates = Array.from(dateCounts, ([date, count]) => ({ date, count }))
+        .sort((a, b) => b.count - a.count);
+    const places = groupPlaces(metadata.filter(exif => exif.lat !== undefined));
     
-    if (posts.length === 0) {
-        exploreGrid.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px; grid-column: 1 / -1;">No posts to explore.</p>';
-        return;
-    }
+    metadataChoices = {
+        dates: dates.length > 1 ? dates : [],
+        places: places.length > 1 ? places : []
+    };
+    if (dates.length === 1) applyDateSuggestion(dates[0].date);
+    if (places.length === 1) applyPlaceSuggestion(places[0]);
     
-    for (const post of posts) {
-        const card = document.createElement('div');
-        card.className = 'explore-card';
-        
-        if (post.images && post.images.length > 0) {
-            try {
-                const imageUrl = await getImageUrl(post.images[0]);
-                if (imageUrl) {
-                    card.innerHTML = `<img src="${imageUrl}" alt="${post.buildingName}">`;
-                } else {
-                    card.innerHTML = '<div class="explore-card-placeholder">🏛️</div>';
-                }
-            } catch (error) {
-                console.warn('Error loading image for explore card:', error);
-                card.innerHTML = '<div class="explore-card-placeholder">🏛️</div>';
-            }
-    } else {
-            card.innerHTML = '<div class="explore-card-placeholder">🏛️</div>';
-        }
-        
-        card.addEventListener('click', () => viewPostDetails(post.id));
-        exploreGrid.appendChild(card);
-    }
+    renderPhotoMetadataPanel();
 }
 
-// ============================================================================
-// Profile Tab Rendering
-// ============================================================================
-
 /**
- * Renders the profile tab showing the current user's posts
+ * Fills the date field with a capture date, unless the user has typed their own
+ * @param {string} date - Date as "YYYY-MM-DD"
+ * @param {boolean} [force] - Replace the current value regardless (used when the user picked it)
  */
-async function renderProfile() {
+function applyDateSuggestion(date, force = false) {
+    const input = document.getElementById('dateInput');
+    if (force || !input.value || input.value === autofilledValues.date) {
+        input.value = date;
+        autofilledValues.date = date;
+        scheduleDraftAutosave();
+    }
+}
+
+/**
+ * Stores a GPS position for the post and fills the location field with the nearest district
+ * @param {Object} place - { lat, lng }
+ * @param {boolean} [force] - Replace the current location text regardless (used when the user picked it)
+ */
+function applyPlaceSuggestion(place, force = false) {
+    stagedCoords = { lat: place.lat, lng: place.lng };
+    scheduleDraftAutosave();
+    
+    const nearest = findNearestPlace(place.lat, place.lng);
+    const input = document.getElementById('locationInput');
+    if (nearest && (force || !input.value.trim() || input.value === autofilledValues.location)) {
+        input.value = nearest.label;
+        autofilledValues.location = nearest.label;
+    }
+}
+
+/**
+ * Clears the coordinates, pending choices and photo colors of the upload form
+ */
+function resetPhotoMetadata() {
+    photoMetadataRun++;
+    photoPaletteRun++;
+    stagedCoords = null;
+    stagedPalette = [];
+    storedPaletteSampleCache.clear();
+    autofilledValues = { date: null, location: null, emotionColor: null };
+    metadataChoices = { dates: [], places: [] };
+    renderPhotoMetadataPanel();
+    renderPhotoPalette();
+}
+
+/**
+ * Formats coordinates for display
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} e.g. "37.5735, 126.9790"
+ */
+function formatCoords(lat, lng) {
+    return `${lat.toFixed(4)}, ${lng.toFixed(4)}`;
+}
+
+/**
+ * Renders the coordinates of the post and any date/place choices below the photo preview
+ */
+function renderPhotoMetadataPanel() {
+    const panel = document.getElementById('photoMetadataPanel');
+    if (!panel) return;
+    
+    let html = '';
+    if (metadataChoices.dates.length > 0) {
+        html += `
+            <div class="metadata-choice">
+                <span>사진마다 촬영일이 다릅니다. 사용할 날짜를 선택하세요:</span>
+                ${metadataChoices.dates.map((choice, index) => `
+                    <button type="button" class="btn-secondary" data-date-choice="${index}">
+                        ${choice.date} (${choice.count}장)
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+    if (metadataChoices.places.length > 0) {
+        html += `
+            <div class="metadata-choice">
+                <span>사진마다 촬영 위치가 다릅니다. 사용할 위치를 선택하세요:</span>
+                ${metadataChoices.places.map((choice, index) => {
+                    const nearest = findNearestPlace(choice.lat, choice.lng);
+                    const label = nearest ? nearest.label : formatCoords(choice.lat, choice.lng);
+                    return `
+                        <button type="button" class="btn-secondary" data-place-choice="${index}">
+                            ${escapeHtml(label)} (${choice.count}장)
+                        </button>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+    if (stagedCoords) {
+        const nearest = findNearestPlace(stagedCoords.lat, stagedCoords.lng);
+        html += `
+            <div class="metadata-coords">
+                📍 ${formatCoords(stagedCoords.lat, stagedCoords.lng)}${nearest ? ` · ${escapeHtml(nearest.label)} 부근` : ''}
+                <button type="button" data-clear-coords>좌표 지우기</button>
+            </div>
+        `;
+    }
+    panel.innerHTML = html;
+    
+    if (locationPickerView) {
+        locationPickerView.setPicked(stagedCoords);
+    }
+    
+    panel.querySelectorAll('[data-date-choice]').forEach(button => {
+        button.addEventListener('click', () => {
+            applyDateSuggestion(metadataChoices.dates[button.dataset.dateChoice].date, true);
+            metadataChoices.dates = [];
+            renderPhotoMetadataPanel();
+        });
+    });
+    panel.querySelectorAll('[data-place-choice]').forEach(button => {
+        button.addEventListener('click', () => {
+            applyPlaceSuggestion(metadataChoices.places[button.dataset.placeChoice], true);
+            metadataChoices.places = [];
+            renderPhotoMetadataPanel();
+        });
+    });
+    const clearButton = panel.querySelector('[data-clear-coords]');
+    if (clearButton) {
+        clearButton.addEventListener('click', () => {
+            stagedCoords = null;
+            renderPhotoMetadataPanel();
+            scheduleDraftAutosave();
+        });
+    }
+}
+
+// Map for picking the post's location in the upload form (created when first opened)
+let locationPickerView = null;
+
+/**
+ * Shows or hides the map for picking the post's location
+ * Clicking the map sets the coordinates and fills in the nearest district
+ */
+function toggleLocationPicker() {
+    const picker = document.getElementById('locationPicker');
+    picker.classList.toggle('hidden');
+    if (picker.classList.contains('hidden')) return;
+    
+    if (!locationPickerView) {
+        locationPickerView = createMapView(picker, {
+            onMapClick: (lat, lng) => {
+                applyPlaceSuggestion({ lat, lng }, true);
+                metadataChoices.places = [];
+                renderPhotoMetadataPanel();
+            }
+        });
+    }
+    locationPickerView.setPicked(stagedCoords);
+    if (stagedCoords) {
+        locationPickerView.setView(stagedCoords.lat, stagedCoords.lng, 12);
+    }
+}
+
+// ============================================================================
+// Photo Palette
+// ============================================================================
+
+// Initial value of the emotion color field; a new post still holding it has no color picked
+const DEFAULT_EMOTION_COLOR = '#f5e6d3';
+
+// Dominant colors of the staged photos, shown as suggestions below the emotion color field
+let stagedPalette = [];
+
+// Incremented on every run so that slow decoding cannot show a stale palette
+let photoPaletteRun = 0;
+
+// Pixel samples of staged photos: new photos keyed by File, stored ones by image ID
+const paletteSampleCache = new WeakMap();
+const storedPaletteSampleCache = new Map();
+
+/**
+ * Loads a photo for palette extraction, preferring its thumbnail
+ * @param {File|string|Object} item - An entry of selectedFiles
+ * @returns {Promise<Blob|null>} Promise that resolves with the photo
+ */
+async function getPalettePhoto(item) {
+    if (item instanceof Blob) return item;
+    if (typeof item === 'string') {
+        if (!item.startsWith('img_')) return DataService.getImage(item);
+        return DataService.getImage(thumbnailIdFor(item)).catch(() => DataService.getImage(item));
+    }
+    const staged = await DataService.getDraftImage(item.draftImageId);
+    return staged ? staged.thumbnail || staged.image : null;
+}
+
+/**
+ * Reads the pixel sample of a staged photo, caching the result per photo
+ * @param {File|string|Object} item - An entry of selectedFiles
+ * @returns {Promise<Uint8ClampedArray|null>} Promise that resolves with the sample,
+ *   or null if the photo cannot be read
+ */
+function getPaletteSample(item) {
+    const isFile = item instanceof Blob;
+    const cache = isFile ? paletteSampleCache : storedPaletteSampleCache;
+    const key = isFile || typeof item === 'string' ? item : `draft:${item.draftImageId}`;
+    if (!cache.has(key)) {
+        cache.set(key, getPalettePhoto(item)
+            .then(blob => blob ? readPaletteSample(blob) : null)
+            .catch(error => {
+                console.warn('Could not read photo colors:', error);
+                return null;
+            }));
+    }
+    return cache.get(key);
+}
+
+/**
+ * Extracts one palette from photos together
+ * @param {Array} items - Entries like those of selectedFiles
+ * @returns {Promise<string[]>} Promise that resolves with "#rrggbb" colors, most dominant first
+ */
+async function getPhotosPalette(items) {
+    const samples = await Promise.all(items.map(getPaletteSample));
+    return extractPaletteFromSamples(samples.filter(Boolean));
+}
+
+/**
+ * Extracts the dominant colors of the staged photos and suggests them as emotion colors
+ * The most dominant one fills the emotion color field unless the user has picked a color.
+ */
+async function applyPhotoPalette() {
+    const run = ++photoPaletteRun;
+    const palette = await getPhotosPalette(selectedFiles);
+    if (run !== photoPaletteRun) return;
+    
+    stagedPalette = palette;
+    if (palette.length > 0) applyEmotionColorSuggestion(palette[0]);
+    renderPhotoPalette();
+}
+
+/**
+ * Fills the emotion color field with a photo color, unless the user has picked their own
+ * @param {string} color - Color as "#rrggbb"
+ * @param {boolean} [force] - Replace the current value regardless (used when the user picked it)
+ */
+function applyEmotionColorSuggestion(color, force = false) {
+    const input = document.getElementById('emotionColorInput');
+    // Posts being edited keep their color, even the default one
+    const isUnset = !editingPost && input.value.toLowerCase() === DEFAULT_EMOTION_COLOR;
+    if (force || isUnset || input.value === autofilledValues.emotionColor) {
+        input.value = color;
+        autofilledValues.emotionColor = color;
+        scheduleDraftAutosave();
+    }
+}
+
+/**
+ * Renders the colors of the staged photos below the emotion color field
+ */
+function renderPhotoPalette() {
+    const container = document.getElementById('photoPalette');
+    if (!container) return;
+    
+    const current = document.getElementById('emotionColorInput').value.toLowerCase();
+    container.innerHTML = stagedPalette.length > 0 ? `
+        <span>사진에서 추출한 색상:</span>
+        ${stagedPalette.map(color => `
+            <button type="button" class="palette-swatch${color === current ? ' selected' : ''}"
+                style="background: ${color}" data-palette-color="${color}" title="${color}"></button>
+        `).join('')}
+    ` : '';
+}
+
+// ============================================================================
+// Upload Drafts
+// ============================================================================
+
+// Changes to the upload form are saved this long after the last one
+const DRAFT_AUTOSAVE_DELAY = 1000;
+
+// Draft each account had open in the upload form, restored on its next visit
+const ACTIVE_DRAFTS_KEY = 'architecture_log_active_drafts';
+
+// Upload form fields written synchronously when the page goes away, by user ID:
+// { draftId, fields, coords }. The browser does not wait for the draft write started
+// at that moment, so these are applied to the draft on the account's next visit.
+const PENDING_DRAFT_FIELDS_KEY = 'architecture_log_pending_draft_fields';
+
+// Upload form inputs saved with a draft, by field name
+const DRAFT_FIELD_INPUTS = {
+    buildingName: 'buildingNameInput',
+    category: 'categoryInput',
+    location: 'locationInput',
+    date: 'dateInput',
+    note: 'noteInput',
+    tags: 'tagsInput',
+    emotionColor: 'emotionColorInput',
+    visibility: 'visibilityInput',
+    trip: 'tripInput'
+};
+
+// The draft the upload form saves to (null until a new post has any content)
+let activeDraftId = null;
+
+let draftAutosaveTimer = null;
+
+// Draft writes made by this tab, chained so that they commit in order
+let draftSaveQueue = Promise.resolve();
+
+// Photos added in this session, processed once for the draft: File -> Promise of
+// { id, image, thumbnail }
+const draftImageStaging = new WeakMap();
+
+// Object URLs of staged photo thumbnails by photo ID
+const draftImageUrls = new Map();
+
+/**
+ * Reads which draft each account had open
+ * @returns {Object} Map of user ID to draft ID
+ */
+function getActiveDraftIds() {
+    try {
+        return JSON.parse(localStorage.getItem(ACTIVE_DRAFTS_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Remembers the draft an account has open, or forgets it
+ * @param {string} userId - The account
+ * @param {string|null} draftId - The open draft, or null
+ */
+function setActiveDraftId(userId, draftId) {
+    const activeDrafts = getActiveDraftIds();
+    if (draftId) {
+        activeDrafts[userId] = draftId;
+    } else {
+        delete activeDrafts[userId];
+    }
+    localStorage.setItem(ACTIVE_DRAFTS_KEY, JSON.stringify(activeDrafts));
+}
+
+/**
+ * Reads the form fields kept for each account when the page last went away
+ * @returns {Object} Map of user ID to { draftId, fields, coords }
+ */
+function getPendingDraftFields() {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_DRAFT_FIELDS_KEY) || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Keeps or forgets the form fields of an account
+ * @param {string} userId - The account
+ * @param {Object|null} pending - { draftId, fields, coords }, or null
+ */
+function setPendingDraftFields(userId, pending) {
+    const all = getPendingDraftFields();
+    if (pending) {
+        all[userId] = pending;
+    } else {
+        delete all[userId];
+    }
+    localStorage.setItem(PENDING_DRAFT_FIELDS_KEY, JSON.stringify(all));
+}
+
+/**
+ * Saves the upload form when the page goes away
+ * The fields are written to localStorage right away; the draft write with the photos
+ * is started too, and forgets that copy if it does finish.
+ */
+function handleDraftPageHide() {
+    saveUploadDraft();
+    if (!currentUser || editingPost || !activeDraftId) return;
+    setPendingDraftFields(currentUser.id, {
+        draftId: activeDraftId,
+        fields: getUploadFormFields(),
+        coords: stagedCoords
+    });
+}
+
+/**
+ * Forgets the fields kept on page hide once a draft write holding them has committed
+ * @param {Object} draft - The draft as saved
+ */
+function clearPendingDraftFields(draft) {
+    const pending = getPendingDraftFields()[draft.userId];
+    if (pending && pending.draftId === draft.id &&
+        JSON.stringify([pending.fields, pending.coords || null]) === JSON.stringify([draft.fields, draft.coords || null])) {
+        setPendingDraftFields(draft.userId, null);
+    }
+}
+
+/**
+ * Reads the upload form fields as typed
+ * @returns {Object} Field values by name (see DRAFT_FIELD_INPUTS)
+ */
+function getUploadFormFields() {
+    const fields = {};
+    Object.entries(DRAFT_FIELD_INPUTS).forEach(([name, inputId]) => {
+        fields[name] = document.getElementById(inputId).value;
+    });
+    return fields;
+}
+
+/**
+ * Fills the upload form fields; fields missing from `fields` keep their value
+ * @param {Object} fields - Field values by name
+ */
+function setUploadFormFields(fields) {
+    Object.entries(DRAFT_FIELD_INPUTS).forEach(([name, inputId]) => {
+        if (fields[name] !== undefined) {
+            document.getElementById(inputId).value = fields[name];
+        }
+    });
+}
+
+/**
+ * Tells whether nothing worth keeping has been entered yet
+ * The selects and the color start with a value, so only text and photos count.
+ * @param {Object} fields - Field values from getUploadFormFields()
+ * @param {Array} items - The staged photos
+ * @returns {boolean} True if there is nothing to save
+ */
+function isUploadFormEmpty(fields, items) {
+    return items.length === 0 &&
+        !['buildingName', 'location', 'date', 'note', 'tags'].some(name => fields[name].trim());
+}
+
+/**
+ * Processes a photo added in this session for storing with the draft
+ * The result is cached per file, so the photo is processed once however often the
+ * draft is saved, and publishing stores exactly what the draft holds.
+ * @param {File} file - The photo
+ * @returns {Promise<Object>} Promise that resolves with { id, image, thumbnail }
+ */
+function stageDraftImage(file) {
+    if (!draftImageStaging.has(file)) {
+        draftImageStaging.set(file, processImage(file)
+            .then(processed => ({ id: generateImageId(), image: processed.image, thumbnail: processed.thumbnail }))
+            .catch(error => {
+                console.warn('Could not process image, staging original:', error);
+                return { id: generateImageId(), image: file, thumbnail: null };
+            }));
+    }
+    return draftImageStaging.get(file);
+}
+
+/**
+ * Saves the upload form to its draft shortly after the last change
+ */
+function scheduleDraftAutosave() {
+    if (!currentUser || editingPost) return;
+    clearTimeout(draftAutosaveTimer);
+    draftAutosaveTimer = setTimeout(saveUploadDraft, DRAFT_AUTOSAVE_DELAY);
+}
+
+/**
+ * Saves the upload form to its draft now, creating the draft once there is content
+ * The form is read right away, so the form may be reset as soon as this returns.
+ * Posts being edited are not drafted.
+ * @returns {Promise<void>} Promise that resolves when the draft is written
+ */
+function saveUploadDraft() {
+    clearTimeout(draftAutosaveTimer);
+    draftAutosaveTimer = null;
+    if (!currentUser || editingPost) return draftSaveQueue;
+    
+    const fields = getUploadFormFields();
+    const items = [...selectedFiles];
+    if (!activeDraftId) {
+        if (isUploadFormEmpty(fields, items)) return draftSaveQueue;
+        activeDraftId = 'draft_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        setActiveDraftId(currentUser.id, activeDraftId);
+    }
+    const draft = { id: activeDraftId, userId: currentUser.id, fields, coords: stagedCoords };
+    
+    draftSaveQueue = draftSaveQueue
+        .then(async () => {
+            const staged = await Promise.all(items.map(item =>
+                item instanceof Blob ? stageDraftImage(item) : { id: item.draftImageId }
+            ));
+            const saved = await DataService.saveDraft(
+                { ...draft, images: staged.map(photo => photo.id) },
+                new Map(staged.filter(photo => photo.image).map(photo => [photo.id, photo]))
+            );
+            clearPendingDraftFields(saved);
+            if (saved.id === activeDraftId) updateDraftStatus(saved);
+        })
+        .catch(error => console.warn('Error saving draft:', error));
+    return draftSaveQueue;
+}
+
+/**
+ * Saves the open draft and lets go of it, leaving it in the Drafts list
+ */
+function detachDraft() {
+    saveUploadDraft();
+    if (activeDraftId) setActiveDraftId(currentUser.id, null);
+    activeDraftId = null;
+    updateDraftStatus();
+}
+
+/**
+ * Deletes a draft with its staged photos
+ * @param {string} draftId - The draft
+ * @returns {Promise<void>} Promise that resolves when the draft is deleted
+ */
+function discardDraft(draftId) {
+    if (draftId === activeDraftId) {
+        clearTimeout(draftAutosaveTimer);
+        setActiveDraftId(currentUser.id, null);
+        activeDraftId = null;
+        updateDraftStatus();
+    }
+    draftSaveQueue = draftSaveQueue
+        .then(() => DataService.deleteDraft(draftId))
+        .then(draft => {
+            (draft ? draft.images : []).forEach(imageId => {
+                URL.revokeObjectURL(draftImageUrls.get(imageId));
+                draftImageUrls.delete(imageId);
+            });
+        })
+        .catch(error => console.warn('Error deleting draft:', error));
+    return draftSaveQueue;
+}
+
+/**
+ * Opens a draft in the upload form, saving the draft open before it
+ * @param {string} draftId - The draft
+ * @returns {Promise<boolean>} Promise that resolves with false if the draft could not be opened
+ */
+async function loadDraft(draftId) {
+    const draft = await DataService.getDraft(draftId);
+    if (!draft || !currentUser || draft.userId !== currentUser.id) return false;
+    if (editingPost && !confirm('Discard your changes to the post being edited and open this draft?')) {
+        return false;
+    }
+    
+    if (activeDraftId !== draftId) saveUploadDraft();
+    resetUploadForm();
+    setUploadFormFields(draft.fields);
+    selectedFiles = draft.images.map(imageId => ({ draftImageId: imageId }));
+    stagedCoords = draft.coords || null;
+    updatePhotoPreview();
+    renderPhotoMetadataPanel();
+    applyPhotoPalette();
+    
+    activeDraftId = draft.id;
+    setActiveDraftId(currentUser.id, draft.id);
+    updateDraftStatus(draft);
+    return true;
+}
+
+/**
+ * Reopens the draft the current account had open when it last used the app
+ * Fields kept when the page went away are applied on top, and start the draft anew
+ * if its first write never finished.
+ */
+async function restoreActiveDraft() {
+    // The trip choices must be there before a draft's trip can be selected
+    await renderUploadTripOptions();
+    const draftId = getActiveDraftIds()[currentUser.id];
+    const pending = getPendingDraftFields()[currentUser.id];
+    setPendingDraftFields(currentUser.id, null);
+    if (!draftId || draftId === activeDraftId) return;
+    
+    const hasPending = pending && pending.draftId === draftId;
+    if (!(await loadDraft(draftId))) {
+        if (!hasPending) {
+            setActiveDraftId(currentUser.id, null);
+            return;
+        }
+        resetUploadForm();
+        activeDraftId = draftId;
+    }
+    if (hasPending) {
+        setUploadFormFields(pending.fields);
+        stagedCoords = pending.coords || null;
+        renderPhotoMetadataPanel();
+        saveUploadDraft();
+    }
+}
+
+/**
+ * Starts an empty upload form, keeping the open draft in the Drafts list
+ */
+function startNewDraft() {
+    detachDraft();
+    resetUploadForm();
+}
+
+/**
+ * Stores a staged photo with the post's images, under the ID it had in the draft
+ * The copy in the draft goes when the draft is deleted after publishing.
+ * @param {File|Object} item - A photo added in this session, or { draftImageId }
+ * @returns {Promise<string>} Promise that resolves with the image ID
+ */
+async function publishDraftImage(item) {
+    const staged = item instanceof Blob
+        ? await stageDraftImage(item)
+        : { id: item.draftImageId, ...(await DataService.getDraftImage(item.draftImageId)) };
+    if (!staged.image) {
+        throw new Error(`Staged photo ${staged.id} not found`);
+    }
+    
+    await DataService.putImage(staged.id, staged.image);
+    if (staged.thumbnail) {
+        await DataService.putImage(thumbnailIdFor(staged.id), staged.thumbnail);
+    }
+    return staged.id;
+}
+
+/**
+ * Gets a URL for the thumbnail of a staged photo, caching it per photo
+ * @param {string} imageId - The photo ID
+ * @returns {Promise<string>} Promise that resolves with the URL, or '' if the photo is gone
+ */
+async function getDraftImageUrl(imageId) {
+    if (!draftImageUrls.has(imageId)) {
+        const staged = await DataService.getDraftImage(imageId);
+        if (!staged) return '';
+        draftImageUrls.set(imageId, URL.createObjectURL(staged.thumbnail || staged.image));
+    }
+    return draftImageUrls.get(imageId);
+}
+
+/**
+ * Returns the name a draft is listed under
+ * @param {Object} draft - The draft
+ * @returns {string} Its own name, else its building name
+ */
+function getDraftTitle(draft) {
+    return draft.name || (draft.fields.buildingName || '').trim() || '제목 없는 초안';
+}
+
+/**
+ * Shows when the open draft was last saved, above the upload form
+ * @param {Object} [draft] - The draft just saved; omit when no draft is open
+ */
+function updateDraftStatus(draft) {
+    const status = document.getElementById('draftStatus');
+    if (!status) return;
+    
+    status.textContent = draft
+        ? `💾 "${getDraftTitle(draft)}" 초안에 자동 저장됨 · ${formatDateTime(draft.updatedAt)}`
+        : '';
+    document.getElementById('newDraftBtn').classList.toggle('hidden', !draft);
+}
+
+/**
+ * Renders the Drafts list on the current user's own profile
+ */
+async function renderDrafts() {
+    const section = document.getElementById('draftsSection');
+    if (!section) return;
+    
+    const isOwnProfile = currentUser && (!profileUser || profileUser.id === currentUser.id);
+    const drafts = isOwnProfile ? await DataService.getDrafts(currentUser.id) : [];
+    section.classList.toggle('hidden', drafts.length === 0);
+    
+    const list = document.getElementById('draftList');
+    list.innerHTML = drafts.map(draft => `
+        <div class="draft-item" data-draft-id="${draft.id}">
+            ${draft.images.length > 0
+                ? `<img data-draft-image="${draft.images[0]}" alt="" class="draft-thumb">`
+                : '<div class="draft-thumb">🏛️</div>'}
+            <div class="draft-info">
+                <div class="draft-title">
+                    ${escapeHtml(getDraftTitle(draft))}
+                    ${draft.id === activeDraftId ? '<span class="draft-open">작성 중</span>' : ''}
+                </div>
+                <div class="draft-meta">사진 ${draft.images.length}장 · ${formatDateTime(draft.updatedAt)} 저장</div>
+            </div>
+            <div class="draft-actions">
+                <button type="button" class="btn-secondary" data-draft-action="resume">이어서 작성</button>
+                <button type="button" class="btn-secondary" data-draft-action="rename">이름 변경</button>
+                <button type="button" class="btn-secondary btn-danger" data-draft-action="delete">삭제</button>
+            </div>
+        </div>
+    `).join('');
+    
+    list.querySelectorAll('img[data-draft-image]').forEach(async (img) => {
+        const url = await getDraftImageUrl(img.dataset.draftImage);
+        if (url) img.src = url;
+    });
+}
+
+/**
+ * Handles the buttons of the Drafts list
+ * @param {Event} e - The click event
+ */
+async function handleDraftAction(e) {
+    const button = e.target.closest('[data-draft-action]');
+    if (!button) return;
+    const draftId = button.closest('[data-draft-id]').dataset.draftId;
+    
+    if (button.dataset.draftAction === 'resume') {
+        if (draftId === activeDraftId || await loadDraft(draftId)) {
+            switchTab('upload');
+        }
+    } else if (button.dataset.draftAction === 'rename') {
+        const draft = await DataService.getDraft(draftId);
+        if (!draft) return;
+        const name = prompt('Name for this draft:', getDraftTitle(draft));
+        if (name === null) return;
+        
+        const renamed = await DataService.renameDraft(draftId, name.trim());
+        if (renamed && renamed.id === activeDraftId) updateDraftStatus(renamed);
+    } else if (button.dataset.draftAction === 'delete') {
+        if (!confirm('Delete this draft and its photos? This action cannot be undone.')) return;
+        const wasOpen = draftId === activeDraftId;
+        await discardDraft(draftId);
+        if (wasOpen) resetUploadForm();
+    }
+    renderDrafts();
+}
+
+// ============================================================================
+// Clear Cached Images Handler
+// ============================================================================
+
+/**
+ * Handles the clear cached images button click
+ * Deletes all images from IndexedDB and shows a confirmation message
+ */
+async function handleClearImages() {
+    if (!confirm('Are you sure you want to delete all cached images? This action cannot be undone. Your text data will be preserved.')) {
+        return;
+    }
+    
+    try {
+        await DataService.clearImages();
+        
+        // Revoke all cached object URLs
+        imageUrlCache.forEach((url, imageId) => {
+            URL.revokeObjectURL(url);
+        });
+        imageUrlCache.clear();
+        
+        alert('All cached images have been cleared successfully!');
+        renderStoragePanel();
+    } catch (error) {
+        console.warn('Error clearing images:', error);
+        alert('Failed to clear images. Please try again.');
+    }
+}
+
+// ============================================================================
+// Storage Inspector
+// ============================================================================
+
+/**
+ * Collects every image ID that is still referenced by stored data
+ * @returns {Promise<Set<string>>} Promise that resolves with the referenced image IDs
+ */
+async function getReferencedImageIds() {
+    const referenced = new Set();
+    (await DataService.getPosts({ includeHidden: true })).forEach(post => {
+        (post.images || []).forEach(imageId => {
+            referenced.add(imageId);
+            referenced.add(thumbnailIdFor(imageId));
+        });
+    });
+    (await DataService.getUsers()).forEach(user => {
+        if (user.profileImg) {
+            referenced.add(user.profileImg);
+            referenced.add(thumbnailIdFor(user.profileImg));
+        }
+    });
+    return referenced;
+}
+
+/**
+ * Builds a storage usage report for localStorage and IndexedDB
+ * @returns {Promise<Object>} Promise that resolves with the report
+ */
+async function getStorageReport() {
+    // localStorage strings are stored as UTF-16, two bytes per character
+    const localEntries = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key.startsWith('architecture_log_') && key !== 'current_user') continue;
+        const value = localStorage.getItem(key) || '';
+        localEntries.push({ key, bytes: (key.length + value.length) * 2 });
+    }
+    localEntries.sort((a, b) => b.bytes - a.bytes);
+    
+    // Record stores in IndexedDB, sized by their serialized JSON
+    const data = await DataService.exportData({ includeHidden: true });
+    const recordEntries = Object.entries(data).map(([store, records]) => ({
+        store,
+        count: records.length,
+        bytes: new Blob([JSON.stringify(records)]).size
+    }));
+    
+    const imageSizes = await DataService.getImageSizes();
+    const referenced = await getReferencedImageIds();
+    const users = data.users;
+    
+    const postUsage = [];
+    const userUsage = new Map();
+    data.posts.forEach(post => {
+        const bytes = (post.images || []).reduce((sum, imageId) =>
+            sum + (imageSizes.get(imageId) || 0) + (imageSizes.get(thumbnailIdFor(imageId)) || 0), 0);
+        postUsage.push({ post, bytes, count: (post.images || []).length });
+        
+        const user = users.find(u => u.id === post.userId);
+        const entry = userUsage.get(post.userId) || { username: user?.username || post.username || 'Anonymous', bytes: 0, posts: 0 };
+        entry.bytes += bytes;
+        entry.posts++;
+        userUsage.set(post.userId, entry);
+    });
+    postUsage.sort((a, b) => b.bytes - a.bytes);
+    
+    const orphans = [];
+    imageSizes.forEach((bytes, imageId) => {
+        if (typeof imageId === 'string' && imageId.startsWith('img_') && !referenced.has(imageId)) {
+            orphans.push({ imageId, bytes });
+        }
+    });
+    
+    let imageTotal = 0;
+    imageSizes.forEach(bytes => { imageTotal += bytes; });
+    
+    return {
+        localEntries,
+        localTotal: localEntries.reduce((sum, e) => sum + e.bytes, 0),
+        recordEntries,
+        recordTotal: recordEntries.reduce((sum, e) => sum + e.bytes, 0),
+        imageCount: imageSizes.size,
+        imageTotal,
+        postUsage,
+        userUsage: Array.from(userUsage.values()).sort((a, b) => b.bytes - a.bytes),
+        orphans,
+        orphanTotal: orphans.reduce((sum, o) => sum + o.bytes, 0)
+    };
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Human-readable size
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Renders the storage panel in the upload tab
+ * Lists localStorage usage per key and IndexedDB usage per post and per user
+ */
+async function renderStoragePanel() {
+    const reportEl = document.getElementById('storageReport');
+    if (!reportEl) return;
+    
+    let report;
+    try {
+        report = await getStorageReport();
+    } catch (error) {
+        console.warn('Error building storage report:', error);
+        reportEl.innerHTML = '<p class="storage-hint">Storage information is unavailable.</p>';
+        return;
+    }
+    
+    const localRows = report.localEntries
+        .map(e => `<tr><td>${escapeHtml(e.key)}</td><td>${formatBytes(e.bytes)}</td></tr>`)
+        .join('');
+    const recordRows = report.recordEntries
+        .map(e => `<tr><td>${e.store}</td><td>${e.count} records</td><td>${formatBytes(e.bytes)}</td></tr>`)
+        .join('');
+    const userRows = report.userUsage
+        .map(u => `<tr><td>${escapeHtml(u.username)}</td><td>${u.posts} posts</td><td>${formatBytes(u.bytes)}</td></tr>`)
+        .join('');
+    const postRows = report.postUsage
+        .map(p => `<tr><td>${escapeHtml(p.post.buildingName)}</td><td>${p.count} photos</td><td>${formatBytes(p.bytes)}</td></tr>`)
+        .join('');
+    
+    reportEl.innerHTML = `
+        <div class="storage-summary">
+            <div><strong>localStorage</strong> ${formatBytes(report.localTotal)}</div>
+            <div><strong>Records</strong> ${formatBytes(report.recordTotal)}</div>
+            <div><strong>Images</strong> ${formatBytes(report.imageTotal)} · ${report.imageCount} images</div>
+            <div><strong>Unused</strong> ${formatBytes(report.orphanTotal)} · ${report.orphans.length} images</div>
+        </div>
+        <details>
+            <summary>localStorage by key</summary>
+            <table class="storage-table">${localRows || '<tr><td>Empty</td></tr>'}</table>
+        </details>
+        <details>
+            <summary>Records by store</summary>
+            <table class="storage-table">${recordRows}</table>
+        </details>
+        <details>
+            <summary>Images by user</summary>
+            <table class="storage-table">${userRows || '<tr><td>No posts</td></tr>'}</table>
+        </details>
+        <details>
+            <summary>Images by post</summary>
+            <table class="storage-table">${postRows || '<tr><td>No posts</td></tr>'}</table>
+        </details>
+    `;
+    
+    const sweepBtn = document.getElementById('sweepOrphansBtn');
+    if (sweepBtn) {
+        sweepBtn.disabled = report.orphans.length === 0;
+    }
+    
+    renderBackendStatus();
+}
+
+/**
+ * Shows the selected storage backend and any writes waiting to be sent
+ */
+async function renderBackendStatus() {
+    const config = DataService.getBackendConfig();
+    const typeSelect = document.getElementById('backendTypeSelect');
+    const urlInput = document.getElementById('backendUrlInput');
+    const statusEl = document.getElementById('backendStatus');
+    
+    if (typeSelect) typeSelect.value = config.type === 'http' ? 'http' : 'local';
+    if (urlInput) urlInput.value = config.baseUrl || '';
+    if (!statusEl) return;
+    
+    if (config.type !== 'http') {
+        statusEl.textContent = 'Data is stored in this browser only.';
+        return;
+    }
+    
+    const pending = DataService.adapter.getPendingWriteCount
+        ? await DataService.adapter.getPendingWriteCount()
+        : 0;
+    statusEl.textContent = `Connected to ${config.baseUrl}` +
+        (pending > 0 ? ` · ${pending} changes waiting to sync` : '');
+}
+
+/**
+ * Handles the storage backend apply button
+ * Saves the selection and reloads so every view uses the new backend
+ */
+function handleSaveBackend() {
+    const type = document.getElementById('backendTypeSelect').value;
+    const baseUrl = document.getElementById('backendUrlInput').value.trim();
+    
+    if (type === 'http') {
+        try {
+            new URL(baseUrl);
+        } catch (error) {
+            alert('Please enter a valid server URL, e.g. http://localhost:8787');
+            return;
+        }
+        DataService.setBackendConfig({ type: 'http', baseUrl });
+    } else {
+        DataService.setBackendConfig({ type: 'local' });
+    }
+    
+    location.reload();
+}
+
+/**
+ * Handles the sweep button click
+ * Deletes every img_* Blob in IndexedDB that no post references
+ */
+async function handleSweepOrphans() {
+    try {
+        const report = await getStorageReport();
+        if (report.orphans.length === 0) {
+            alert('No unused images found.');
+            return;
+        }
+        
+        if (!confirm(`Delete ${report.orphans.length} unused images (${formatBytes(report.orphanTotal)})?`)) {
+            return;
+        }
+        
+        let deleted = 0;
+        for (const { imageId } of report.orphans) {
+            try {
+                await DataService.deleteImage(imageId);
+                revokeImageUrl(imageId);
+                deleted++;
+            } catch (error) {
+                console.warn('Failed to delete unused image:', imageId, error);
+            }
+        }
+        
+        alert(`Deleted ${deleted} unused images.`);
+    } catch (error) {
+        console.warn('Error sweeping unused images:', error);
+        alert('Failed to clean up images. Please try again.');
+    }
+    
+    renderStoragePanel();
+}
+
+/**
+ * Runs the image pipeline over photos stored before it existed
+ * Creates the missing thumbnails and replaces each original with the processed
+ * version when that is smaller. Photos that already have a thumbnail are skipped,
+ * so the job can be stopped and re-run safely.
+ * @param {Function} [onProgress] - Called with (done, total)
+ * @returns {Promise<number>} Promise that resolves with the number of processed photos
+ */
+async function backfillImages(onProgress) {
+    const sizes = await DataService.getImageSizes();
+    const pending = [];
+    (await DataService.getPosts({ includeHidden: true })).forEach(post => {
+        (post.images || []).forEach(imageId => {
+            if (sizes.has(imageId) && !sizes.has(thumbnailIdFor(imageId))) {
+                pending.push(imageId);
+            }
+        });
+    });
+    
+    let processedCount = 0;
+    for (let i = 0; i < pending.length; i++) {
+        const imageId = pending[i];
+        try {
+            const original = await DataService.getImage(imageId);
+            const processed = await processImage(original);
+            
+            if (processed.image.size < original.size) {
+                await DataService.putImage(imageId, processed.image);
+                revokeImageUrl(imageId);
+            }
+            await DataService.putImage(thumbnailIdFor(imageId), processed.thumbnail);
+            processedCount++;
+        } catch (error) {
+            console.warn('Failed to optimize image:', imageId, error);
+        }
+        if (onProgress) onProgress(i + 1, pending.length);
+    }
+    return processedCount;
+}
+
+/**
+ * Extracts the photo palettes of the current user's posts that were saved without one
+ * Posts whose photos cannot be read get an empty palette, so they are not retried.
+ * @param {Function} [onProgress] - Called with (done, total)
+ * @returns {Promise<number>} Promise that resolves with the number of posts given colors
+ */
+async function backfillPalettes(onProgress) {
+    const pending = (await DataService.getUserPosts(currentUser.id))
+        .filter(post => !post.palette && (post.images || []).length > 0);
+    
+    let paletteCount = 0;
+    for (let i = 0; i < pending.length; i++) {
+        const post = pending[i];
+        try {
+            const palette = await getPhotosPalette(post.images);
+            await DataService.savePost({ ...post, palette }, post);
+            if (palette.length > 0) paletteCount++;
+        } catch (error) {
+            console.warn('Failed to extract colors:', post.id, error);
+        }
+        if (onProgress) onProgress(i + 1, pending.length);
+    }
+    return paletteCount;
+}
+
+/**
+ * Handles the optimize photos button click
+ * Backfills thumbnails, downsized originals and post palettes, showing progress in the panel
+ */
+async function handleBackfillImages() {
+    const button = document.getElementById('backfillImagesBtn');
+    const statusEl = document.getElementById('backfillStatus');
+    button.disabled = true;
+    
+    try {
+        const count = await backfillImages((done, total) => {
+            statusEl.textContent = `Optimizing photos… ${done} / ${total}`;
+        });
+        const paletteCount = await backfillPalettes((done, total) => {
+            statusEl.textContent = `Extracting photo colors… ${done} / ${total}`;
+        });
+        statusEl.textContent = [
+            count > 0 ? `Optimized ${count} photos.` : 'All photos are already optimized.',
+            paletteCount > 0 ? `Extracted colors for ${paletteCount} posts.` : ''
+        ].join(' ').trim();
+    } catch (error) {
+        console.warn('Error optimizing photos:', error);
+        statusEl.textContent = 'Failed to optimize photos. Please try again.';
+    }
+    
+    button.disabled = false;
+    renderFeed();
+    renderExplore();
+    renderProfile();
+    renderStoragePanel();
+}
+
+// ============================================================================
+// Backup Export / Import
+// ============================================================================
+
+const BACKUP_FORMAT = 'architecture-log-backup';
+// Version 2 archives say whether posts hidden from the exporting account were left out
+const BACKUP_SCHEMA_VERSION = 2;
+
+/**
+ * Tells whether an archive holds every post, so that it may replace all data
+ * Version 1 archives were always full exports.
+ * @param {Object} archive - The parsed and validated archive
+ * @returns {boolean} True if no posts were left out
+ */
+function isCompleteBackup(archive) {
+    return archive.schemaVersion < 2 || archive.complete === true;
+}
+
+/**
+ * Reads every image Blob stored in IndexedDB
+ * @returns {Promise<Map<string, Blob>>} Promise that resolves with a map of image ID to Blob
+ */
+async function getAllImageBlobs() {
+    const blobs = new Map();
+    const sizes = await DataService.getImageSizes();
+    for (const imageId of sizes.keys()) {
+        try {
+            blobs.set(imageId, await DataService.getImage(imageId));
+        } catch (error) {
+            console.warn('Failed to read image for backup:', imageId, error);
+        }
+    }
+    return blobs;
+}
+
+/**
+ * Converts a Blob to a base64 data URL
+ * @param {Blob} blob - The Blob to convert
+ * @returns {Promise<string>} Promise that resolves with the data URL
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Builds a backup archive with all records and every image Blob
+ * Posts the signed-in user may not see are left out. Such an archive is marked as not
+ * complete, because replacing all data with it would delete those posts.
+ * @returns {Promise<Object>} Promise that resolves with the archive object
+ */
+async function createBackupArchive() {
+    const data = await DataService.exportData();
+    
+    // Photos of posts left out of the export stay out as well
+    const exportedPostIds = new Set(data.posts.map(post => post.id));
+    const hiddenPosts = (await DataService.getPosts({ includeHidden: true }))
+        .filter(post => !exportedPostIds.has(post.id));
+    const hiddenImageIds = new Set();
+    hiddenPosts.forEach(post => (post.images || []).forEach(imageId => {
+        hiddenImageIds.add(imageId);
+        hiddenImageIds.add(thumbnailIdFor(imageId));
+    }));
+    
+    const images = {};
+    const blobs = await getAllImageBlobs();
+    for (const [imageId, blob] of blobs) {
+        if (hiddenImageIds.has(imageId)) continue;
+        images[imageId] = await blobToDataUrl(blob);
+    }
+    
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: BACKUP_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        complete: hiddenPosts.length === 0,
+        data: data,
+        images: images
+    };
+}
+
+/**
+ * Checks that a parsed archive is a backup this version can restore
+ * @param {Object} archive - The parsed archive
+ * @throws {Error} If the archive is not a supported backup
+ */
+function validateBackupArchive(archive) {
+    if (!archive || archive.format !== BACKUP_FORMAT) {
+        throw new Error('This file is not an Architecture Log backup.');
+    }
+    if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 1) {
+        throw new Error('The backup has no valid schema version.');
+    }
+    if (archive.schemaVersion > BACKUP_SCHEMA_VERSION) {
+        throw new Error(`The backup uses schema version ${archive.schemaVersion}, but this app only supports up to version ${BACKUP_SCHEMA_VERSION}.`);
+    }
+    const data = archive.data;
+    if (!data || !['users', 'posts', 'comments', 'likes'].every(key => Array.isArray(data[key]))) {
+        throw new Error('The backup is missing user, post, comment or like records.');
+    }
+    // Follows and trips were added later; older backups simply have none
+    if (data.follows !== undefined && !Array.isArray(data.follows)) {
+        throw new Error('The backup follow records are malformed.');
+    }
+    if (data.collections !== undefined && !Array.isArray(data.collections)) {
+        throw new Error('The backup trip records are malformed.');
+    }
+    const hasId = record => record && typeof record === 'object' && typeof record.id === 'string' && record.id;
+    if (!['users', 'posts', 'comments', 'collections'].every(key => (data[key] || []).every(hasId))) {
+        throw new Error('The backup contains records without an ID.');
+    }
+    if (archive.images && typeof archive.images !== 'object') {
+        throw new Error('The backup image section is malformed.');
+    }
+}
+
+/**
+ * Restores a backup archive
+ * In replace mode all existing records and images are replaced and IDs are kept; only
+ * complete archives can be restored this way. The records are written first, in one
+ * transaction, so a failed import leaves the existing images in place.
+ * In merge mode records are deduplicated by ID and imported images are stored under
+ * new IDs, with post image, avatar and trip cover references remapped accordingly.
+ * @param {Object} archive - The parsed and validated archive
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<Object>} Promise that resolves with import counts
+ */
+async function restoreBackupArchive(archive, mode) {
+    // Decode every image before touching existing data
+    const images = new Map();
+    for (const [imageId, dataUrl] of Object.entries(archive.images || {})) {
+        try {
+            const response = await fetch(dataUrl);
+            images.set(imageId, await response.blob());
+        } catch (error) {
+            console.warn('Skipping unreadable image in backup:', imageId, error);
+        }
+    }
+    
+    const data = archive.data;
+    
+    if (mode === 'replace') {
+        if (!isCompleteBackup(archive)) {
+            throw new Error('Only complete backups can replace all data.');
+        }
+        const counts = await DataService.importData(data, 'replace');
+        
+        await DataService.clearImages();
+        imageUrlCache.forEach(url => URL.revokeObjectURL(url));
+        imageUrlCache.clear();
+        
+        for (const [imageId, blob] of images) {
+            await DataService.putImage(imageId, blob);
+        }
+        
+        // Keep the signed-in user valid after replacing the user list
+        if (currentUser && !(await DataService.getUser(currentUser.id))) {
+            await DataService.saveUser(currentUser);
+        }
+        
+        return { ...counts, images: images.size };
+    }
+    
+    // Merge: only posts and users that are new need their images imported
+    const existingPostIds = new Set((await DataService.getPosts({ includeHidden: true })).map(p => p.id));
+    // Users whose name is taken are merged into the existing account (see importData)
+    const existingUsers = await DataService.getUsers();
+    const existingUserIds = new Set(existingUsers.map(u => u.id));
+    const existingUsernames = new Set(existingUsers.map(u => u.username));
+    const idMap = new Map();
+    let importedImages = 0;
+    
+    const importImage = async (imageId) => {
+        if (!imageId || idMap.has(imageId) || !images.has(imageId)) return;
+        const newId = await DataService.saveImage(images.get(imageId));
+        idMap.set(imageId, newId);
+        importedImages++;
+        
+        // Thumbnails follow their image to the new ID
+        const thumbnail = images.get(thumbnailIdFor(imageId));
+        if (thumbnail) {
+            await DataService.putImage(thumbnailIdFor(newId), thumbnail);
+        }
+    };
+    
+    for (const post of data.posts) {
+        if (existingPostIds.has(post.id)) continue;
+        for (const imageId of post.images || []) {
+            await importImage(imageId);
+        }
+    }
+    for (const user of data.users) {
+        if (!existingUserIds.has(user.id) && !existingUsernames.has(user.username)) {
+            await importImage(user.profileImg);
+        }
+    }
+    
+    const remappedData = {
+        ...data,
+        users: data.users.map(user => user.profileImg
+            ? { ...user, profileImg: idMap.get(user.profileImg) || user.profileImg }
+            : user),
+        posts: data.posts.map(post => ({
+            ...post,
+            images: (post.images || []).map(imageId => idMap.get(imageId) || imageId)
+        })),
+        collections: (data.collections || []).map(collection => ({
+            ...collection,
+            coverImage: idMap.get(collection.coverImage) || collection.coverImage || null
+        }))
+    };
+    
+    const counts = await DataService.importData(remappedData, 'merge');
+    return { ...counts, images: importedImages };
+}
+
+/**
+ * Handles the export button click
+ * Downloads all records and images as a single JSON archive
+ */
+async function handleExportBackup() {
+    try {
+        const archive = await createBackupArchive();
+        const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `architecture-log-backup-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+        console.warn('Error exporting backup:', error);
+        alert('Failed to export backup. Please try again.');
+    }
+}
+
+/**
+ * Handles the import file input change
+ * Validates the archive before writing anything, then restores it
+ * @param {Event} e - The input change event
+ */
+async function handleImportBackup(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    const mode = document.getElementById('importModeSelect')?.value === 'replace' ? 'replace' : 'merge';
+    
+    let archive;
+    try {
+        archive = JSON.parse(await file.text());
+        validateBackupArchive(archive);
+    } catch (error) {
+        console.warn('Invalid backup file:', error);
+        alert(`Cannot import this file: ${error.message}`);
+        return;
+    }
+    
+    // Replacing all data with a backup that leaves out posts would delete them
+    if (mode === 'replace' && !isCompleteBackup(archive)) {
+        alert('This backup leaves out posts that were hidden from the account that made it, so it can only be merged. Choose "Merge with existing data" to import it.');
+        return;
+    }
+    
+    if (mode === 'replace' && !confirm('Replace ALL existing posts, comments, likes and images with this backup? This action cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        const counts = await restoreBackupArchive(archive, mode);
+        alert(`Imported ${counts.posts} posts, ${counts.comments} comments, ${counts.likes} likes, ${counts.follows || 0} follows, ${counts.collections || 0} trips and ${counts.images} images.`);
+    } catch (error) {
+        console.warn('Error importing backup:', error);
+        alert('Failed to import backup. Please try again.');
+    }
+    
+    renderFeed();
+    renderExplore();
+    renderProfile();
+    renderStoragePanel();
+}
+
+// ============================================================================
+// View Filters and Sorting
+// ============================================================================
+
+const VIEW_SETTINGS_KEY = 'architecture_log_view_settings';
+
+const DEFAULT_VIEW_SETTINGS = {
+    category: '',
+    query: '',
+    sort: 'relevance',
+    source: 'all', // Feed only: 'all' or 'following'
+    color: '' // Explore only: '#rrggbb' to rank posts by, closest colors first
+};
+
+// Sort orders offered in every filter bar; 'relevance' falls back to newest without a query
+const SORT_OPTIONS = {
+    relevance: '관련도순',
+    created: '최신 등록순',
+    visitDate: '방문 날짜순',
+    name: '이름순',
+    likes: '좋아요순',
+    modified: '최근 수정순'
+};
+
+// Category values with the labels shown in the filter dropdowns
+const CATEGORY_OPTIONS = {
+    '종교건축': 'Religious',
+    '주거건축': 'Residential',
+    '공공건축': 'Public',
+    '상업건축': 'Commercial',
+    '문화건축': 'Cultural',
+    '기타': 'Other'
+};
+
+// Preset colors for browsing Explore by color, with their labels
+const COLOR_BROWSE_SWATCHES = {
+    '#a0522d': '붉은 벽돌',
+    '#c8a165': '황토',
+    '#8b5a2b': '목재',
+    '#9e9e9e': '콘크리트',
+    '#f2f0eb': '흰 벽',
+    '#2b2b2b': '검정',
+    '#4a4e57': '기와',
+    '#3a7d7c': '청록',
+    '#4f7942': '숲',
+    '#87ceeb': '하늘',
+    '#e07a5f': '노을'
+};
+
+// Delay between the last keystroke in a search box and the search
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Inverted index behind every search, brought up to date before each query
+const searchIndex = createSearchIndex();
+
+// Korean collation for building names, with numbers compared by value
+const nameCollator = new Intl.Collator('ko', { numeric: true, sensitivity: 'base' });
+
+/**
+ * Returns the remembered filter and sort settings of a view
+ * @param {string} view - 'feed', 'explore' or 'profile'
+ * @returns {Object} { category, query, sort, source, color }
+ */
+function getViewSettings(view) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(VIEW_SETTINGS_KEY) || '{}');
+        return { ...DEFAULT_VIEW_SETTINGS, ...saved[view] };
+    } catch (error) {
+        return { ...DEFAULT_VIEW_SETTINGS };
+    }
+}
+
+/**
+ * Remembers filter and sort settings for a view
+ * @param {string} view - 'feed', 'explore' or 'profile'
+ * @param {Object} settings - Settings to override
+ */
+function saveViewSettings(view, settings) {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(VIEW_SETTINGS_KEY) || '{}');
+    } catch (error) {
+        // Start over from defaults
+    }
+    saved[view] = { ...getViewSettings(view), ...settings };
+    localStorage.setItem(VIEW_SETTINGS_KEY, JSON.stringify(saved));
+}
+
+/**
+ * Filters, searches and sorts posts using a view's settings
+ * Search always runs against every post so the index stays whole; use `scope` to
+ * limit the result (e.g. to the current user's posts).
+ * @param {Array} posts - Every post
+ * @param {Object} settings - { category, query, sort, color } from getViewSettings()
+ * @param {Function} [scope] - Predicate selecting the posts this view shows at all
+ * @returns {Promise<Object>} Promise that resolves with { posts, highlights, total }, where
+ *   total is the number of posts in scope before filtering
+ */
+async function applyViewSettings(posts, settings, scope = () => true) {
+    const total = posts.filter(scope).length;
+    const query = settings.query.trim();
+    
+    let results;
+    let highlights = new Map();
+    if (query) {
+        searchIndex.sync(posts);
+        const matches = searchIndex.search(query);
+        results = matches.map(match => match.post);
+        highlights = new Map(matches.map(match => [match.post.id, match.highlights]));
+    } else {
+        results = [...posts];
+    }
+    
+    results = results.filter(scope);
+    if (settings.category) {
+        results = results.filter(p => p.category === settings.category);
+    }
+    
+    if (settings.color) {
+        // Browsing by color replaces the sort order; posts without colors drop out
+        const target = rgbToLab(hexToRgb(settings.color));
+        const distances = new Map();
+        results.forEach(post => {
+            const colors = getPostColors(post);
+            if (colors.length > 0) {
+                distances.set(post.id, Math.min(...colors.map(color => labDistance(target, rgbToLab(hexToRgb(color))))));
+            }
+        });
+        results = results
+            .filter(post => distances.has(post.id))
+            .sort((a, b) => distances.get(a.id) - distances.get(b.id));
+        return { posts: results, highlights, total };
+    }
+    
+    const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    switch (settings.sort) {
+        case 'relevance':
+            // Search results are already ranked
+            if (!query) results.sort(byNewest);
+            break;
+        case 'visitDate':
+            results.sort((a, b) => (b.date || '').localeCompare(a.date || '') || byNewest(a, b));
+            break;
+        case 'name':
+            results.sort((a, b) => nameCollator.compare(a.buildingName || '', b.buildingName || ''));
+            break;
+        case 'likes': {
+            const likeCounts = new Map();
+            (await DataService.getLikes()).forEach(like => {
+                likeCounts.set(like.postId, (likeCounts.get(like.postId) || 0) + 1);
+            });
+            results.sort((a, b) => (likeCounts.get(b.id) || 0) - (likeCounts.get(a.id) || 0) || byNewest(a, b));
+            break;
+        }
+        case 'modified':
+            results.sort((a, b) =>
+                new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt));
+            break;
+        default:
+            results.sort(byNewest);
+    }
+    
+    return { posts: results, highlights, total };
+}
+
+/**
+ * Fills a view's filter bar with the category, search and sort controls
+ * Changes are remembered per view and re-render that view.
+ * @param {HTMLElement} bar - Element with a data-view-filters attribute naming the view
+ */
+function setupFilterBar(bar) {
+    const view = bar.dataset.viewFilters;
+    const settings = getViewSettings(view);
+    
+    bar.innerHTML = `
+        <select class="filter-select" data-filter="category">
+            <option value="">All Categories</option>
+            ${Object.entries(CATEGORY_OPTIONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <input type="text" class="search-input" data-filter="query"
+            placeholder="Search... (tag:빛 user:juyoun date:2024-01..2024-06 &quot;붉은 벽돌&quot; -category:기타)">
+        <select class="filter-select" data-filter="sort">
+            ${Object.entries(SORT_OPTIONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+    `;
+    
+    bar.querySelectorAll('[data-filter]').forEach(control => {
+        control.value = settings[control.dataset.filter];
+        
+        const apply = () => {
+            saveViewSettings(view, { [control.dataset.filter]: control.value });
+            renderView(view);
+            // Keep the address shareable without adding a history entry per change
+            if (currentTab === view && !currentModalPostId && !profileUser) {
+                history.replaceState(history.state, '', getTabRoute(view));
+            }
+        };
+        if (control.tagName === 'INPUT') {
+            // Wait for a pause in typing before searching
+            let timer = null;
+            control.addEventListener('input', () => {
+                clearTimeout(timer);
+                timer = setTimeout(apply, SEARCH_DEBOUNCE_MS);
+            });
+        } else {
+            control.addEventListener('change', apply);
+        }
+    });
+}
+
+/**
+ * Updates a filter bar's controls to the view's current settings
+ * @param {string} view - 'feed', 'explore' or 'profile'
+ */
+function refreshFilterBar(view) {
+    const bar = document.querySelector(`[data-view-filters="${view}"]`);
+    if (!bar) return;
+    
+    const settings = getViewSettings(view);
+    bar.querySelectorAll('[data-filter]').forEach(control => {
+        control.value = settings[control.dataset.filter];
+    });
+    if (view === 'feed') {
+        refreshFeedSourceToggle();
+    } else if (view === 'explore') {
+        refreshColorBrowse();
+    }
+}
+
+/**
+ * Marks the active button of the Feed's All / Following toggle
+ */
+function refreshFeedSourceToggle() {
+    const source = getViewSettings('feed').source;
+    document.querySelectorAll('[data-feed-source]').forEach(button => {
+        button.classList.toggle('active', button.dataset.feedSource === source);
+    });
+}
+
+/**
+ * Switches the Feed between everyone's posts and posts of followed users
+ * @param {string} source - 'all' or 'following'
+ */
+function setFeedSource(source) {
+    saveViewSettings('feed', { source });
+    refreshFeedSourceToggle();
+    renderFeed();
+    renderMap();
+    if (currentTab === 'feed' && !currentModalPostId) {
+        history.replaceState(history.state, '', getTabRoute('feed'));
+    }
+}
+
+/**
+ * Returns the colors a post can be found by: its photo palette and a picked emotion color
+ * @param {Object} post - The post
+ * @returns {string[]} "#rrggbb" colors
+ */
+function getPostColors(post) {
+    const colors = [...(post.palette || [])];
+    const emotionColor = (post.emotionColor || '').toLowerCase();
+    if (/^#[0-9a-f]{6}$/.test(emotionColor) && emotionColor !== DEFAULT_EMOTION_COLOR) {
+        colors.push(emotionColor);
+    }
+    return colors;
+}
+
+/**
+ * Fills the Explore color bar with the preset swatches
+ */
+function setupColorBrowse() {
+    const swatches = document.getElementById('colorBrowseSwatches');
+    if (!swatches) return;
+    
+    swatches.innerHTML = Object.entries(COLOR_BROWSE_SWATCHES).map(([color, label]) => `
+        <button type="button" class="palette-swatch" style="background: ${color}"
+            data-browse-color="${color}" title="${label}" aria-label="${label}"></button>
+    `).join('');
+    swatches.addEventListener('click', (e) => {
+        const swatch = e.target.closest('[data-browse-color]');
+        if (swatch) setExploreColor(swatch.dataset.browseColor);
+    });
+    
+    document.getElementById('colorBrowseInput').addEventListener('change', (e) => {
+        setExploreColor(e.target.value);
+    });
+    document.getElementById('clearColorBrowseBtn').addEventListener('click', () => setExploreColor(''));
+    refreshColorBrowse();
+}
+
+/**
+ * Marks the color Explore is browsed by
+ */
+function refreshColorBrowse() {
+    const color = getViewSettings('explore').color;
+    document.querySelectorAll('[data-browse-color]').forEach(swatch => {
+        swatch.classList.toggle('selected', swatch.dataset.browseColor === color);
+    });
+    const input = document.getElementById('colorBrowseInput');
+    if (input && color) input.value = color;
+    document.getElementById('clearColorBrowseBtn')?.classList.toggle('hidden', !color);
+}
+
+/**
+ * Browses Explore by a color, or goes back to the usual order
+ * @param {string} color - "#rrggbb", or '' to stop browsing by color
+ */
+function setExploreColor(color) {
+    saveViewSettings('explore', { color: color.toLowerCase() });
+    refreshColorBrowse();
+    renderExplore();
+    if (currentTab === 'explore' && !currentModalPostId) {
+        history.replaceState(history.state, '', getTabRoute('explore'));
+    }
+}
+
+/**
+ * Returns the predicate selecting the posts the Feed (and the Map) show
+ * Drafts are always left out. With the Following source only posts of followed
+ * users are included.
+ * @param {Object} settings - The feed settings
+ * @returns {Promise<Function>} Promise that resolves with the scope predicate
+ */
+async function getFeedScope(settings) {
+    if (settings.source !== 'following' || !currentUser) {
+        return isPublished;
+    }
+    const followed = new Set((await DataService.getFollowing(currentUser.id)).map(f => f.followeeId));
+    return post => followed.has(post.userId) && isPublished(post);
+}
+
+// Badge labels for the owner's view of their posts
+const VISIBILITY_LABELS = {
+    public: '🌐 전체 공개',
+    followers: '👥 팔로워 공개',
+    private: '🔒 나만 보기',
+    draft: '📝 임시저장'
+};
+
+/**
+ * Builds the badge showing who can see a post
+ * @param {Object} post - The post
+ * @returns {string} HTML string for the badge
+ */
+function createVisibilityBadgeHtml(post) {
+    const visibility = getPostVisibility(post);
+    return `<span class="visibility-badge visibility-${visibility}">${VISIBILITY_LABELS[visibility]}</span>`;
+}
+
+/**
+ * Tells whether a post is published; drafts only appear on their author's profile
+ * @param {Object} post - The post
+ * @returns {boolean} False for drafts
+ */
+function isPublished(post) {
+    return getPostVisibility(post) !== 'draft';
+}
+
+/**
+ * Re-renders a view by name
+ * @param {string} view - 'feed', 'explore', 'map' or 'profile'
+ */
+function renderView(view) {
+    if (view === 'feed') {
+        renderFeed();
+        renderMap();
+    } else if (view === 'explore') {
+        renderExplore();
+    } else if (view === 'map') {
+        renderMap();
+    } else if (view === 'profile') {
+        renderProfile();
+    }
+}
+
+// Latest render of each view; older renders still in flight are dropped
+const renderRuns = {};
+
+/**
+ * Marks the start of a render of a view
+ * @param {string} view - The view being rendered
+ * @returns {Function} Returns true while no newer render of the view has started
+ */
+function beginRender(view) {
+    const run = (renderRuns[view] || 0) + 1;
+    renderRuns[view] = run;
+    return () => renderRuns[view] === run;
+}
+
+// Thumbnails in lists load when they scroll near the viewport
+const lazyImages = createLazyImageLoader(getThumbnailUrl);
+
+// Paged lists by container ID, created on first render
+const pagedLists = new Map();
+
+/**
+ * Returns the paged list rendering into a container, creating it on first use
+ * @param {string} containerId - The ID of the list element
+ * @param {Function} renderItem - Async function turning an item into an element
+ * @returns {Object} The paged list
+ */
+function getPagedList(containerId, renderItem) {
+    if (!pagedLists.has(containerId)) {
+        pagedLists.set(containerId, createPagedList(document.getElementById(containerId), {
+            renderItem,
+            onRender: (element) => lazyImages.observe(element)
+        }));
+    }
+    return pagedLists.get(containerId);
+}
+
+/**
+ * Shows how many posts a view displays
+ * @param {string} view - 'feed', 'explore' or 'profile'
+ * @param {number} shown - Number of posts after filtering
+ * @param {number} total - Number of posts before filtering
+ */
+function updateResultCount(view, shown, total) {
+    const countEl = document.querySelector(`[data-result-count="${view}"]`);
+    if (!countEl) return;
+    countEl.textContent = shown === total ? `${total}개 기록` : `${shown} / ${total}개 기록`;
+}
+
+// ============================================================================
+// Feed Rendering
+// ============================================================================
+
+/**
+ * Renders the feed tab with filtered and sorted posts
+ * Cards are rendered a page at a time as the user scrolls
+ * @param {Object} [options] - { keepPosition } to refresh without jumping back to the top
+ */
+async function renderFeed({ keepPosition = false } = {}) {
+    if (!document.getElementById('feedPosts')) return;
+    
+    const isCurrent = beginRender('feed');
+    const settings = getViewSettings('feed');
+    const { posts, highlights, total } = await applyViewSettings(
+        await DataService.getPosts(),
+        settings,
+        await getFeedScope(settings)
+    );
+    if (!isCurrent()) return;
+    updateResultCount('feed', posts.length, total);
+    
+    const emptyMessage = settings.source === 'following' && total === 0
+        ? 'No posts from people you follow yet. Open someone\'s profile from their name to follow them.'
+        : 'No posts found.';
+    const list = getPagedList('feedPosts', item => createPostCard(item.post, item.highlights));
+    list.setItems(posts.map(post => ({ post, highlights: highlights.get(post.id) })), {
+        emptyHtml: `<p style="text-align: center; color: var(--text-secondary); padding: 40px;">${emptyMessage}</p>`,
+        keepPosition
+    });
+}
+
+/**
+ * Creates a post card element for display in the feed
+ * The first photo's thumbnail is loaded lazily once the card is near the viewport
+ * @param {Object} post - The post object
+ * @param {string[]} [highlights] - Matched search terms to mark in the text
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.showVisibility] - Show the visibility badge (owner's profile)
+ * @returns {Promise<HTMLElement>} Promise that resolves with the post card element
+ */
+async function createPostCard(post, highlights = [], { showVisibility = false } = {}) {
+    const card = document.createElement('div');
+    card.className = 'post-card';
+    
+    const imageHtml = post.images && post.images.length > 0
+        ? `<img data-lazy-image="${post.images[0]}" data-placeholder-class="post-image-placeholder" alt="${escapeHtml(post.buildingName)}" class="post-image">`
+        : '<div class="post-image-placeholder">🏛️</div>';
+    
+    const categoryClass = post.category ? `category-${escapeHtml(post.category.toLowerCase().replace('건축', ''))}` : '';
+    const categoryHtml = post.category ? `<span class="post-category ${categoryClass}">${escapeHtml(post.category)}</span>` : '';
+    const visibilityHtml = showVisibility ? createVisibilityBadgeHtml(post) : '';
+    
+    const tagsHtml = post.tags && post.tags.length > 0
+        ? `<div class="post-tags">${post.tags.map(tag => `<span class="post-tag">${highlightText(tag, highlights)}</span>`).join('')}</div>`
+        : '';
+    
+    const likeButtonHtml = await createLikeButtonHtml(post.id);
+    const commentCount = (await DataService.getComments(post.id)).length;
+    const author = await DataService.getUser(post.userId);
+    const authorName = post.username ? highlightText(post.username, highlights) : 'Anonymous';
+    
+    card.innerHTML = `
+        ${imageHtml}
+        <div class="post-content">
+            ${categoryHtml}${visibilityHtml}
+            <h3 class="post-building-name">${highlightText(post.buildingName, highlights)}</h3>
+            <div class="post-location">📍 ${post.location ? highlightText(post.location, highlights) : 'Location not specified'}</div>
+            <div class="post-date">📅 ${formatDate(post.date)}</div>
+            ${post.note ? `<div class="post-note">${highlightText(post.note, highlights)}</div>` : ''}
+            ${tagsHtml}
+        </div>
+        <div class="post-actions">
+            <div class="post-author">
+                ${createAvatarHtml(author, 'post-author-avatar')}
+                <div>
+                    ${post.username
+                        ? `<a class="post-author-name" href="${getUserRoute(post.username)}">${authorName}</a>`
+                        : `<div class="post-author-name">${authorName}</div>`}
+                    <div class="post-date">${formatDate(post.createdAt)}${post.updatedAt ? ' · edited' : ''}</div>
+                </div>
+            </div>
+            <div class="post-stats">
+                ${likeButtonHtml}
+                <span class="comment-count" data-comment-count-post="${post.id}">💬 ${commentCount}</span>
+            </div>
+        </div>
+    `;
+    
+    // Like button toggles without opening the detail modal
+    card.querySelector('.like-button').addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleLikeClick(post.id);
+    });
+    
+    // The author link opens their profile instead of the post
+    const authorLink = card.querySelector('a.post-author-name');
+    if (authorLink) {
+        authorLink.addEventListener('click', (e) => e.stopPropagation());
+    }
+    
+    // Add click handler to view details
+    card.addEventListener('click', () => openPost(post.id));
+    
+    return card;
+}
+
+// ============================================================================
+// Likes
+// ============================================================================
+
+/**
+ * Builds the like button markup for a post
+ * Shows a filled heart when the current user has liked the post
+ * @param {string} postId - The ID of the post
+ * @returns {Promise<string>} Promise that resolves with the like button HTML
+ */
+async function createLikeButtonHtml(postId) {
+    const count = (await DataService.getLikes(postId)).length;
+    const liked = currentUser ? await DataService.isLiked(postId, currentUser.id) : false;
+    return `
+        <button type="button" class="btn-icon like-button ${liked ? 'liked' : ''}" data-like-post="${postId}" aria-pressed="${liked}">
+            ${liked ? '♥' : '♡'} <span class="like-count">${count}</span>
+        </button>
+    `;
+}
+
+/**
+ * Builds the list of users who liked a post
+ * @param {string} postId - The ID of the post
+ * @returns {Promise<string>} Promise that resolves with the likers list HTML
+ */
+async function createLikersHtml(postId) {
+    const users = await DataService.getUsers();
+    const names = (await DataService.getLikes(postId))
+        .map(like => users.find(u => u.id === like.userId)?.username || 'Unknown')
+        .map(escapeHtml);
+    
+    if (names.length === 0) {
+        return '<span class="likers-empty">아직 좋아요가 없습니다</span>';
+    }
+    return `<span class="likers-label">좋아요:</span> ${names.join(', ')}`;
+}
+
+/**
+ * Toggles the current user's like on a post
+ * Updates every like button and likers list for the post currently on screen
+ * @param {string} postId - The ID of the post to like or unlike
+ */
+async function handleLikeClick(postId) {
+    if (!currentUser) return;
+    
+    await DataService.toggleLike(postId, currentUser.id);
+    await refreshLikeDisplay(postId);
+}
+
+/**
+ * Updates every like button and likers list shown for a post
+ * @param {string} postId - The ID of the post
+ */
+async function refreshLikeDisplay(postId) {
+    const count = (await DataService.getLikes(postId)).length;
+    const liked = currentUser ? await DataService.isLiked(postId, currentUser.id) : false;
+    document.querySelectorAll(`[data-like-post="${postId}"]`).forEach(button => {
+        button.classList.toggle('liked', liked);
+        button.setAttribute('aria-pressed', liked);
+        button.innerHTML = `${liked ? '♥' : '♡'} <span class="like-count">${count}</span>`;
+    });
+    
+    const likersEl = document.querySelector(`[data-likers-post="${postId}"]`);
+    if (likersEl) {
+        likersEl.innerHTML = await createLikersHtml(postId);
+    }
+}
+
+// ============================================================================
+// Comments
+// ============================================================================
+
+/**
+ * Renders the threaded comment list for a post into the detail modal
+ * @param {string} postId - The ID of the post
+ */
+async function renderComments(postId) {
+    const listEl = document.getElementById('commentsList');
+    if (!listEl) return;
+    
+    const post = await DataService.getPost(postId);
+    const comments = (await DataService.getComments(postId))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    
+    // Group replies under their parent; orphaned replies are shown at the top level
+    const ids = new Set(comments.map(c => c.id));
+    const childrenOf = new Map();
+    comments.forEach(comment => {
+        const parentId = comment.parentId && ids.has(comment.parentId) ? comment.parentId : null;
+        if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+        childrenOf.get(parentId).push(comment);
+    });
+    
+    const renderThread = (parentId) => (childrenOf.get(parentId) || [])
+        .map(comment => createCommentHtml(comment, post, renderThread(comment.id)))
+        .join('');
+    
+    listEl.innerHTML = comments.length > 0
+        ? renderThread(null)
+        : '<p class="comments-empty">아직 댓글이 없습니다</p>';
+    
+    const countEl = document.getElementById('commentsCount');
+    if (countEl) countEl.textContent = comments.length;
+    
+    refreshCommentCount(postId, comments.length);
+}
+
+/**
+ * Updates the comment count shown on feed cards for a post
+ * @param {string} postId - The ID of the post
+ * @param {number} [count] - The comment count; looked up when omitted
+ */
+async function refreshCommentCount(postId, count) {
+    if (count === undefined) {
+        count = (await DataService.getComments(postId)).length;
+    }
+    document.querySelectorAll(`[data-comment-count-post="${postId}"]`).forEach(el => {
+        el.textContent = `💬 ${count}`;
+    });
+}
+
+/**
+ * Builds the markup for a single comment and its replies
+ * @param {Object} comment - The comment object
+ * @param {Object} post - The post the comment belongs to
+ * @param {string} repliesHtml - Already rendered replies
+ * @returns {string} HTML string for the comment
+ */
+function createCommentHtml(comment, post, repliesHtml) {
+    const isAuthor = currentUser && comment.userId === currentUser.id;
+    const isPostOwner = currentUser && post && post.userId === currentUser.id;
+    
+    return `
+        <div class="comment-item" data-comment-id="${comment.id}">
+            <div class="comment-body">
+                ${comment.username
+                    ? `<a class="comment-author" href="${getUserRoute(comment.username)}">${escapeHtml(comment.username)}</a>`
+                    : '<span class="comment-author">Anonymous</span>'}
+                <span class="comment-text">${escapeHtml(comment.content)}</span>
+            </div>
+            <div class="comment-meta">
+                <span>${formatDateTime(comment.createdAt)}</span>
+                ${comment.updatedAt ? '<span class="comment-edited">(edited)</span>' : ''}
+                ${currentUser ? '<button type="button" data-comment-action="reply">답글</button>' : ''}
+                ${isAuthor ? '<button type="button" data-comment-action="edit">수정</button>' : ''}
+                ${isAuthor || isPostOwner ? '<button type="button" data-comment-action="delete">삭제</button>' : ''}
+            </div>
+            <div class="comment-replies">${repliesHtml}</div>
+        </div>
+    `;
+}
+
+/**
+ * Adds a comment or reply from the current user
+ * @param {string} postId - The ID of the post
+ * @param {string} content - The comment text
+ * @param {string|null} parentId - The ID of the comment being replied to
+ */
+async function addComment(postId, content, parentId = null) {
+    if (!currentUser || !content) return;
+    
+    await DataService.saveComment({
+        id: 'comment_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        postId: postId,
+        parentId: parentId,
+        userId: currentUser.id,
+        username: currentUser.username,
+        content: content,
+        createdAt: new Date().toISOString()
+    });
+    
+    renderComments(postId);
+}
+
+/**
+ * Shows an inline form inside a comment for replying or editing
+ * @param {HTMLElement} commentEl - The comment element
+ * @param {string} mode - 'reply' or 'edit'
+ * @param {Function} onSubmit - Called with the entered text
+ */
+function showInlineCommentForm(commentEl, mode, onSubmit) {
+    commentEl.querySelector(':scope > .comment-form')?.remove();
+    
+    const form = document.createElement('form');
+    form.className = 'comment-form';
+    form.innerHTML = `
+        <input type="text" class="comment-input" placeholder="${mode === 'reply' ? '답글 달기...' : ''}" required>
+        <button type="submit" class="comment-submit">${mode === 'reply' ? '답글' : '저장'}</button>
+        <button type="button" class="comment-cancel">취소</button>
+    `;
+    
+    const input = form.querySelector('.comment-input');
+    if (mode === 'edit') {
+        input.value = commentEl.querySelector(':scope > .comment-body .comment-text').textContent;
+    }
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const content = input.value.trim();
+        if (content) onSubmit(content);
+    });
+    form.querySelector('.comment-cancel').addEventListener('click', () => form.remove());
+    
+    commentEl.querySelector(':scope > .comment-meta').after(form);
+    input.focus();
+}
+
+/**
+ * Handles reply, edit and delete clicks inside the comment list
+ * @param {Event} e - The click event
+ * @param {string} postId - The ID of the post
+ */
+async function handleCommentAction(e, postId) {
+    const action = e.target.dataset.commentAction;
+    if (!action) return;
+    
+    const commentEl = e.target.closest('.comment-item');
+    const commentId = commentEl.dataset.commentId;
+    const comments = await DataService.getComments(postId);
+    const comment = comments.find(c => c.id === commentId);
+    if (!comment) return;
+    
+    if (action === 'reply') {
+        showInlineCommentForm(commentEl, 'reply', (content) => addComment(postId, content, commentId));
+    } else if (action === 'edit') {
+        if (comment.userId !== currentUser?.id) return;
+        showInlineCommentForm(commentEl, 'edit', async (content) => {
+            await DataService.updateComment(commentId, content);
+            renderComments(postId);
+        });
+    } else if (action === 'delete') {
+        const post = await DataService.getPost(postId);
+        if (comment.userId !== currentUser?.id && post?.userId !== currentUser?.id) return;
+        
+        const hasReplies = comments.some(c => c.parentId === commentId);
+        if (!confirm(hasReplies ? 'Delete this comment and all of its replies?' : 'Delete this comment?')) return;
+        
+        await DataService.deleteComment(commentId);
+        renderComments(postId);
+    }
+}
+
+/**
+ * Escapes a string for safe insertion into HTML
+ * @param {string} text - The text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escapes text for HTML and wraps occurrences of search terms in <mark>
+ * @param {string} text - The text to display
+ * @param {string[]} terms - Terms to highlight (matched case-insensitively)
+ * @returns {string} Safe HTML
+ */
+function highlightText(text, terms) {
+    if (!terms || terms.length === 0) return escapeHtml(text);
+    
+    // Longest first so that "붉은 벽돌" wins over "벽돌"
+    const alternatives = [...terms]
+        .sort((a, b) => b.length - a.length)
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(${alternatives.join('|')})`, 'giu');
+    return String(text ?? '')
+        .split(pattern)
+        .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+/**
+ * Formats a timestamp with date and time for display
+ * @param {string} dateString - The ISO timestamp to format
+ * @returns {string} Formatted date and time string
+ */
+function formatDateTime(dateString) {
+    if (!dateString) return '';
+    const date = new Date(dateString);
+    return date.toLocaleString('ko-KR', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Formats a date string for display
+ * @param {string} dateString - The date string to format
+ * @returns {string} Formatted date string
+ */
+function formatDate(dateString) {
+    if (!dateString) return 'Date not specified';
+    const date = new Date(dateString);
+    return date.toLocaleDateString('ko-KR', { 
+        year: 'numeric', 
+        month: 'long', 
+        day: 'numeric' 
+    });
+}
+
+// ============================================================================
+// Explore Tab Rendering
+// ============================================================================
+
+/**
+ * Renders the explore tab with a grid of all posts
+ * Shows thumbnails of all posts, a page at a time as the user scrolls
+ * @param {Object} [options] - { keepPosition } to refresh without jumping back to the top
+ */
+async function renderExplore({ keepPosition = false } = {}) {
+    if (!document.getElementById('exploreGrid')) return;
+    
+    const isCurrent = beginRender('explore');
+    const { posts, total } = await applyViewSettings(
+        await DataService.getPosts(),
+        getViewSettings('explore'),
+        isPublished
+    );
+    if (!isCurrent()) return;
+    updateResultCount('explore', posts.length, total);
+    
+    getPagedList('exploreGrid', createExploreCard).setItems(posts, {
+        emptyHtml: `<p style="text-align: center; color: var(--text-secondary); padding: 40px; grid-column: 1 / -1;">${total === 0 ? 'No posts to explore.' : 'No posts found.'}</p>`,
+        keepPosition
+    });
+}
+
+/**
+ * Creates a square grid card for the explore tab
+ * @param {Object} post - The post object
+ * @returns {Promise<HTMLElement>} Promise that resolves with the card element
+ */
+async function createExploreCard(post) {
+    const card = document.createElement('div');
+    card.className = 'explore-card';
+    
+    card.innerHTML = post.images && post.images.length > 0
+        ? `<img data-lazy-image="${post.images[0]}" data-placeholder-class="explore-card-placeholder" alt="${escapeHtml(post.buildingName)}">`
+        : '<div class="explore-card-placeholder">🏛️</div>';
+    
+    // When browsing by color, show the colors the post was matched on
+    if (getViewSettings('explore').color) {
+        card.innerHTML += `
+            <div class="explore-card-palette">
+                ${getPostColors(post).map(color => `<span style="background: ${color}"></span>`).join('')}
+            </div>
+        `;
+    }
+    
+    card.addEventListener('click', () => openPost(post.id));
+    return card;
+}
+
+// ============================================================================
+// Map Tab Rendering
+// ============================================================================
+
+// Marker colors per category (stronger versions of the category badge colors)
+const CATEGORY_MARKER_COLORS = {
+    '종교건축': '#B08968',
+    '주거건축': '#6A994E',
+    '공공건축': '#4A78B5',
+    '상업건축': '#E09F3E',
+    '문화건축': '#A45C9B',
+    '기타': '#8D8D8D'
+};
+
+// The map of the Map tab (created the first time the tab is shown)
+let mapView = null;
+
+/**
+ * Renders the map tab with every post that has coordinates
+ * Uses the feed's filter settings; clicking a marker opens the post
+ */
+async function renderMap() {
+    const container = document.getElementById('mapView');
+    // The map measures its container, so wait until the tab is visible
+    if (!container || currentTab !== 'map') return;
+    
+    const firstRender = !mapView;
+    if (firstRender) {
+        mapView = createMapView(container, {
+            onMarkerClick: (marker) => openPost(marker.postId)
+        });
+    }
+    
+    const isCurrent = beginRender('map');
+    const feedSettings = getViewSettings('feed');
+    const { posts } = await applyViewSettings(
+        await DataService.getPosts(),
+        feedSettings,
+        await getFeedScope(feedSettings)
+    );
+    if (!isCurrent()) return;
+    const located = posts.filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+    
+    mapView.setMarkers(located.map(post => ({
+        postId: post.id,
+        lat: post.lat,
+        lng: post.lng,
+        color: CATEGORY_MARKER_COLORS[post.category] || CATEGORY_MARKER_COLORS['기타'],
+        title: `${post.buildingName}${post.location ? ` · ${post.location}` : ''}`
+    })));
+    if (firstRender) {
+        mapView.fitMarkers();
+    }
+    
+    const filtered = feedSettings.category || feedSettings.query.trim() || feedSettings.source === 'following';
+    const statusEl = document.getElementById('mapStatus');
+    statusEl.textContent = `${located.length}개 기록 표시` +
+        (posts.length > located.length ? ` · 좌표가 없는 기록 ${posts.length - located.length}개` : '') +
+        (filtered ? ' · Feed 필터 적용 중' : '');
+}
+
+// ============================================================================
+// Stats Tab Rendering
+// ============================================================================
+
+// How many tags and locations the rankings show
+const STATS_RANKING_SIZE = 10;
+
+// Feed filters behind the segments of each chart, by chart name and segment index
+let statsSegmentFilters = {};
+
+/**
+ * Builds a search clause for one field, quoting values that contain spaces
+ * @param {string} field - A search prefix such as 'tag' or 'loc'
+ * @param {string} value - The value to match
+ * @returns {string} e.g. 'tag:빛' or 'loc:"서울 종로구"'
+ */
+function formatSearchClause(field, value) {
+    const clean = value.replace(/"/g, '');
+    return /\s/.test(clean) ? `${field}:"${clean}"` : `${field}:${clean}`;
+}
+
+/**
+ * Lists every month from the earliest to the latest of the given months
+ * @param {string[]} months - Months as "YYYY-MM"
+ * @returns {string[]} The continuous range, oldest first
+ */
+function getMonthRange(months) {
+    if (months.length === 0) return [];
+    const sorted = [...months].sort();
+    const range = [];
+    let [year, month] = sorted[0].split('-').map(Number);
+    const last = sorted[sorted.length - 1];
+    for (;;) {
+        const current = `${year}-${String(month).padStart(2, '0')}`;
+        range.push(current);
+        if (current >= last) return range;
+        month = month === 12 ? 1 : month + 1;
+        if (month === 1) year++;
+    }
+}
+
+/**
+ * Counts values and returns them most frequent first
+ * @param {string[]} values - The values to count
+ * @returns {Object[]} Array of { value, count }; ties keep the order of first appearance
+ */
+function countValues(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Renders the Stats tab for the community or for statsUser
+ * Drafts are left out, and only posts the current user may see are counted.
+ */
+async function renderStats() {
+    const container = document.getElementById('statsCharts');
+    if (!container) return;
+    
+    const isCurrent = beginRender('stats');
+    const posts = (await DataService.getPosts())
+        .filter(post => isPublished(post) && (!statsUser || post.userId === statsUser.id));
+    if (!isCurrent()) return;
+    
+    const dated = posts.filter(post => /^\d{4}-\d{2}/.test(post.date || ''))
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const months = getMonthRange(dated.map(post => post.date.slice(0, 7)));
+    const categories = Object.keys(CATEGORY_MARKER_COLORS).map(category => ({
+        category,
+        count: posts.filter(post => (post.category || '기타') === category).length
+    }));
+    const tags = countValues(posts.flatMap(post => post.tags || [])).slice(0, STATS_RANKING_SIZE);
+    const locations = countValues(posts.map(post => (post.location || '').trim()).filter(Boolean))
+        .slice(0, STATS_RANKING_SIZE);
+    
+    // Every filter of a user's stats keeps to that user's posts
+    const userClause = statsUser ? formatSearchClause('user', statsUser.username) : '';
+    const withUser = (clause) => [userClause, clause].filter(Boolean).join(' ');
+    const monthFilters = months.map(month => ({ q: withUser(`date:${month}`) }));
+    statsSegmentFilters = {
+        category: categories.map(({ category }) => ({ category, q: userClause })),
+        months: monthFilters,
+        tags: tags.map(({ value }) => ({ q: withUser(formatSearchClause('tag', value)) })),
+        locations: locations.map(({ value }) => ({ q: withUser(formatSearchClause('loc', value)) })),
+        palette: monthFilters
+    };
+    
+    const monthLabel = (month) => `${month.slice(2, 4)}.${month.slice(5)}`;
+    const charts = {
+        category: createDonutChartSvg(categories.map(({ category, count }) => ({
+            label: category,
+            value: count,
+            color: CATEGORY_MARKER_COLORS[category]
+        })), '카테고리 분포'),
+        months: createColumnChartSvg(months.map(month => ({
+            label: monthLabel(month),
+            value: dated.filter(post => post.date.startsWith(month)).length
+        })), '월별 방문'),
+        tags: createBarChartSvg(tags.map(({ value, count }) => ({ label: value, value: count })), '많이 쓴 태그'),
+        locations: createBarChartSvg(locations.map(({ value, count }) => ({ label: value, value: count })), '많이 방문한 장소'),
+        palette: createPaletteTimelineSvg(months.map(month => ({
+            label: monthLabel(month),
+            swatches: dated.filter(post => post.date.startsWith(month)).map(post => ({
+                color: post.emotionColor || '#F5E6D3',
+                title: `${post.buildingName} · ${post.date}`
+            }))
+        })), '감정 색상 타임라인')
+    };
+    Object.entries(charts).forEach(([name, html]) => {
+        container.querySelector(`[data-stats-chart="${name}"]`).innerHTML = html;
+    });
+    
+    const isOwn = statsUser && statsUser.id === currentUser.id;
+    document.getElementById('statsTitle').textContent = !statsUser
+        ? 'Community Stats'
+        : isOwn ? 'My Stats' : `${statsUser.username}'s Stats`;
+    document.querySelectorAll('[data-stats-scope]').forEach(button => {
+        const scope = button.dataset.statsScope;
+        button.classList.toggle('active', scope === 'me' ? Boolean(isOwn) : !statsUser);
+    });
+    document.getElementById('statsSummary').textContent = posts.length === 0
+        ? '아직 기록이 없습니다.'
+        : `답사 ${posts.length}곳 · 태그 ${new Set(posts.flatMap(post => post.tags || [])).size}개` +
+            (dated.length > 0 ? ` · ${formatDate(dated[0].date)} ~ ${formatDate(dated[dated.length - 1].date)}` : '');
+}
+
+/**
+ * Returns the route of the Stats tab
+ * @param {Object|null} user - The user whose stats to show, or null for the community
+ * @returns {string} The hash, e.g. "#/stats?user=juyoun"
+ */
+function getStatsRoute(user) {
+    return formatRoute(['stats'], { user: user ? user.username : '' });
+}
+
+/**
+ * Opens the feed filtered by the chart segment that was clicked or activated by keyboard
+ * @param {Event} e - The click or keydown event
+ */
+function handleStatsChartClick(e) {
+    if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+    const segment = e.target.closest('[data-segment]');
+    if (!segment) return;
+    e.preventDefault();
+    
+    const chart = segment.closest('[data-stats-chart]').dataset.statsChart;
+    const filter = (statsSegmentFilters[chart] || [])[segment.dataset.segment];
+    if (filter) {
+        navigate(formatRoute(['feed'], filter));
+    }
+}
+
+// ============================================================================
+// Profile Tab Rendering
+// ============================================================================
+
+/**
+ * Renders the profile tab: the header and posts of the current user, or of the user
+ * opened through a #/user/:username link
+ * @param {Object} [options] - { keepPosition } to refresh without jumping back to the top
+ */
+async function renderProfile({ keepPosition = false } = {}) {
+    if (!currentUser) return;
+    if (!document.getElementById('userPosts')) return;
+    
+    const shownUser = profileUser || currentUser;
+    const isCurrent = beginRender('profile');
+    const allPosts = await DataService.getPosts();
+    const { posts, highlights, total } = await applyViewSettings(
+        allPosts,
+        getViewSettings('profile'),
+        post => post.userId === shownUser.id
+    );
+    const likes = await DataService.getLikes();
+    const follows = {
+        followers: await DataService.getFollowers(shownUser.id),
+        following: await DataService.getFollowing(shownUser.id)
+    };
+    if (!isCurrent()) return;
+    renderProfileHeader(shownUser, allPosts.filter(post => post.userId === shownUser.id), likes, follows);
+    renderPasswordSetup();
+    renderDrafts();
+    renderTrips();
+    updateResultCount('profile', posts.length, total);
+    
+    const list = getPagedList('userPosts', item => createPostCard(item.post, item.highlights, {
+        showVisibility: item.post.userId === currentUser.id
+    }));
+    list.setItems(posts.map(post => ({ post, highlights: highlights.get(post.id) })), {
+        emptyHtml: total === 0
+            ? `<p style="text-align: center; color: var(--text-secondary); padding: 40px;">${shownUser.id === currentUser.id ? 'You haven\'t created any posts yet.' : 'No posts yet.'}</p>`
+            : '<p style="text-align: center; color: var(--text-secondary); padding: 40px;">No posts found.</p>',
+        keepPosition
+    });
+}
+
+// ============================================================================
+// Profiles
+// ============================================================================
+
+// Avatars are stored small; the thumbnail is what cards and the header show
+const AVATAR_IMAGE_SETTINGS = { maxDimension: 512, thumbnailDimension: 160 };
+
+// Avatar staged in the profile form: a File for a new photo, the stored image ID
+// when unchanged, or null for no avatar
+let stagedAvatar = null;
+
+// Object URL of a newly picked avatar shown in the form preview
+let avatarPreviewUrl = null;
+
+/**
+ * Builds the avatar markup for a user
+ * The stored avatar is loaded lazily; users without one get the 👤 placeholder
+ * @param {Object|null} user - The user
+ * @param {string} className - Class of the avatar element
+ * @returns {string} HTML string for the avatar
+ */
+function createAvatarHtml(user, className) {
+    if (!user || !user.profileImg) {
+        return `<div class="${className}">👤</div>`;
+    }
+    return `<img data-lazy-image="${user.profileImg}" data-placeholder-class="${className}" data-placeholder-text="👤" alt="${escapeHtml(user.username || '')}" class="${className}">`;
+}
+
+/**
+ * Fills in the profile header: avatar, name, bio and counts
+ * Shows the edit button on the current user's own page and the follow button elsewhere
+ * @param {Object} user - The user whose profile is shown
+ * @param {Object[]} posts - All posts of that user
+ * @param {Object[]} likes - All likes
+ * @param {Object} follows - { followers, following } follow records of that user
+ */
+function renderProfileHeader(user, posts, likes, follows) {
+    const isOwn = user.id === currentUser.id;
+    const postIds = new Set(posts.map(post => post.id));
+    const likesReceived = likes.filter(like => postIds.has(like.postId)).length;
+    
+    const avatarEl = document.getElementById('profileAvatar');
+    avatarEl.outerHTML = createAvatarHtml(user, 'profile-avatar').replace(/^<(\w+)/, '<$1 id="profileAvatar"');
+    lazyImages.observe(document.querySelector('.profile-header'));
+    
+    document.getElementById('profileUsername').textContent = user.username || 'User';
+    document.getElementById('profileBio').textContent = user.bio || 'No bio';
+    document.getElementById('profileStats').innerHTML = `
+        <span><strong>${posts.length}</strong> posts</span>
+        <span><strong>${likesReceived}</strong> likes</span>
+        <button type="button" data-follow-list="followers"><strong>${follows.followers.length}</strong> followers</button>
+        <button type="button" data-follow-list="following"><strong>${follows.following.length}</strong> following</button>
+        ${user.createdAt ? `<span>Joined ${formatDate(user.createdAt)}</span>` : ''}
+        <a href="${getStatsRoute(user)}">📊 Stats</a>
+    `;
+    
+    const editing = !document.getElementById('profileEditForm').classList.contains('hidden');
+    document.getElementById('editProfileBtn').classList.toggle('hidden', !isOwn || editing);
+    if (!isOwn && editing) {
+        cancelEditProfile();
+    }
+    
+    const isFollowing = follows.followers.some(f => f.followerId === currentUser.id);
+    const followBtn = document.getElementById('followBtn');
+    followBtn.classList.toggle('hidden', isOwn);
+    followBtn.classList.toggle('btn-primary', !isFollowing);
+    followBtn.classList.toggle('btn-secondary', isFollowing);
+    followBtn.textContent = isFollowing ? '팔로잉' : '팔로우';
+    followBtn.setAttribute('aria-pressed', isFollowing);
+    
+    // Keep an open follower / following list in step with the counts
+    const followList = document.getElementById('followList');
+    if (followList.dataset.userId !== user.id) {
+        followList.classList.add('hidden');
+        followList.dataset.userId = user.id;
+    } else if (!followList.classList.contains('hidden')) {
+        renderFollowList(followList.dataset.kind, follows[followList.dataset.kind]);
+    }
+}
+
+/**
+ * Follows or unfollows the user whose profile is shown
+ */
+async function handleFollowClick() {
+    if (!currentUser || !profileUser) return;
+    
+    const followBtn = document.getElementById('followBtn');
+    followBtn.disabled = true;
+    try {
+        await DataService.toggleFollow(currentUser.id, profileUser.id);
+    } catch (error) {
+        console.warn('Error toggling follow:', error);
+        alert('Failed to update follow. Please try again.');
+    } finally {
+        followBtn.disabled = false;
+    }
+    
+    renderProfile({ keepPosition: true });
+    renderFeed({ keepPosition: true });
+    renderExplore({ keepPosition: true });
+    renderMap();
+}
+
+/**
+ * Shows or hides the followers or following list of the profile being shown
+ * @param {string} kind - 'followers' or 'following'
+ */
+async function toggleFollowList(kind) {
+    const followList = document.getElementById('followList');
+    if (!followList.classList.contains('hidden') && followList.dataset.kind === kind) {
+        followList.classList.add('hidden');
+        return;
+    }
+    
+    const userId = (profileUser || currentUser).id;
+    const follows = kind === 'followers'
+        ? await DataService.getFollowers(userId)
+        : await DataService.getFollowing(userId);
+    followList.dataset.kind = kind;
+    await renderFollowList(kind, follows);
+    followList.classList.remove('hidden');
+}
+
+/**
+ * Renders a list of users from follow records, newest first
+ * @param {string} kind - 'followers' (list the followers) or 'following' (list the followees)
+ * @param {Object[]} follows - The follow records
+ */
+async function renderFollowList(kind, follows) {
+    const followList = document.getElementById('followList');
+    const sorted = [...follows].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    const users = (await Promise.all(sorted.map(follow =>
+        DataService.getUser(kind === 'followers' ? follow.followerId : follow.followeeId)
+    ))).filter(Boolean);
+    
+    const itemsHtml = users.map(user => `
+        <a class="follow-list-item" href="${getUserRoute(user.username)}">
+            ${createAvatarHtml(user, 'post-author-avatar')}
+            <span class="post-author-name">${escapeHtml(user.username)}</span>
+        </a>
+    `).join('');
+    
+    followList.innerHTML = `
+        <h3>${kind === 'followers' ? 'Followers' : 'Following'}</h3>
+        ${itemsHtml || '<p style="color: var(--text-secondary);">No one yet.</p>'}
+    `;
+    lazyImages.observe(followList);
+}
+
+/**
+ * Opens the profile form with the current user's details
+ */
+function startEditProfile() {
+    document.getElementById('profileUsernameInput').value = currentUser.username || '';
+    document.getElementById('profileBioInput').value = currentUser.bio || '';
+    document.getElementById('avatarInput').value = '';
+    stagedAvatar = currentUser.profileImg || null;
+    renderAvatarPreview();
+    
+    document.getElementById('profileEditForm').classList.remove('hidden');
+    document.getElementById('editProfileBtn').classList.add('hidden');
+}
+
+/**
+ * Closes the profile form without saving
+ */
+function cancelEditProfile() {
+    document.getElementById('profileEditForm').classList.add('hidden');
+    document.getElementById('editProfileBtn').classList.toggle('hidden', Boolean(profileUser));
+    stagedAvatar = null;
+    renderAvatarPreview();
+}
+
+/**
+ * Stages the photo picked in the profile form's avatar input
+ * @param {Event} e - The change event
+ */
+function handleAvatarInput(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+        alert('Please choose an image file.');
+        e.target.value = '';
+        return;
+    }
+    stagedAvatar = file;
+    renderAvatarPreview();
+}
+
+/**
+ * Shows the staged avatar in the profile form
+ */
+async function renderAvatarPreview() {
+    if (avatarPreviewUrl) {
+        URL.revokeObjectURL(avatarPreviewUrl);
+        avatarPreviewUrl = null;
+    }
+    
+    const preview = document.getElementById('avatarPreview');
+    let url = '';
+    if (stagedAvatar instanceof Blob) {
+        avatarPreviewUrl = URL.createObjectURL(stagedAvatar);
+        url = avatarPreviewUrl;
+    } else if (stagedAvatar) {
+        url = await getThumbnailUrl(stagedAvatar);
+    }
+    
+    preview.innerHTML = url ? `<img src="${url}" alt="" class="profile-avatar">` : '👤';
+    document.getElementById('removeAvatarBtn').classList.toggle('hidden', !stagedAvatar);
+}
+
+/**
+ * Saves the profile form
+ * A new username is written to the user's posts and comments as well, so that
+ * older posts never show a stale name
+ * @param {Event} e - The form submit event
+ */
+async function handleProfileSubmit(e) {
+    e.preventDefault();
+    
+    const username = document.getElementById('profileUsernameInput').value.trim();
+    const bio = document.getElementById('profileBioInput').value.trim();
+    if (!username) return;
+    
+    const saveBtn = document.getElementById('profileSaveBtn');
+    saveBtn.disabled = true;
+    
+    try {
+        if (username !== currentUser.username) {
+            const existing = await DataService.getUserByUsername(username);
+            if (existing && existing.id !== currentUser.id) {
+                alert(`The name "${username}" is already taken.`);
+                return;
+            }
+            await DataService.renameUser(currentUser.id, username);
+        }
+        
+        const previousAvatar = currentUser.profileImg || null;
+        const profileImg = stagedAvatar instanceof Blob
+            ? await saveProcessedImage(stagedAvatar, { ...getImageSettings(), ...AVATAR_IMAGE_SETTINGS })
+            : stagedAvatar;
+        
+        // Re-read so the rename above and edits from other tabs are the base
+        const base = (await DataService.getUser(currentUser.id)) || currentUser;
+        currentUser = await DataService.setCurrentUser({ ...base, username, bio, profileImg }, base);
+        
+        if (previousAvatar && previousAvatar !== currentUser.profileImg) {
+            await deleteImageWithThumbnail(previousAvatar);
+        }
+        
+        // Keep a #/user/:username address pointing at the renamed profile
+        if (parseRoute(location.hash).segments[0] === 'user') {
+            history.replaceState(history.state, '', getUserRoute(currentUser.username));
+        }
+        
+        cancelEditProfile();
+        updateUserDisplay();
+        renderFeed({ keepPosition: true });
+        renderExplore({ keepPosition: true });
+        renderProfile({ keepPosition: true });
+    } catch (error) {
+        console.warn('Error saving profile:', error);
+        alert('Failed to save profile. Please try again.');
+    } finally {
+        saveBtn.disabled = false;
+    }
+}
+
+// ============================================================================
+// Trips
+// ============================================================================
+
+// Select value that creates a new trip instead of choosing one
+const NEW_TRIP_OPTION = '__new__';
+
+// The map of the trip tab (created the first time a trip with coordinates is shown)
+let tripMapView = null;
+
+/**
+ * Asks for a name and creates an empty trip for the current user
+ * @returns {Promise<Object|null>} Promise that resolves with the new trip, or null if cancelled
+ */
+async function promptNewTrip() {
+    const name = prompt('Name for the new trip:');
+    if (!name || !name.trim()) return null;
+    
+    const now = new Date().toISOString();
+    try {
+        return await DataService.saveCollection({
+            id: 'trip_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+            userId: currentUser.id,
+            name: name.trim(),
+            description: '',
+            startDate: '',
+            endDate: '',
+            coverImage: null, // Image ID of one of the trip's photos; null for the first photo
+            postIds: [], // In visit order
+            createdAt: now,
+            updatedAt: now
+        });
+    } catch (error) {
+        console.warn('Error creating trip:', error);
+        alert('Failed to create the trip. Please try again.');
+        return null;
+    }
+}
+
+/**
+ * Sorts trips by start date, newest first; trips without dates by creation time
+ * @param {Object[]} trips - The trips
+ * @returns {Object[]} A sorted copy
+ */
+function sortTrips(trips) {
+    return [...trips].sort((a, b) =>
+        (b.startDate || '').localeCompare(a.startDate || '') || new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Returns the posts of a trip in visit order
+ * Deleted posts and posts the viewer may not see are left out.
+ * @param {Object} trip - The trip
+ * @param {Object[]} posts - The posts visible to the viewer
+ * @returns {Object[]} The posts
+ */
+function getTripStops(trip, posts) {
+    const postsById = new Map(posts.map(post => [post.id, post]));
+    return (trip.postIds || []).map(postId => postsById.get(postId)).filter(Boolean);
+}
+
+/**
+ * Measures the route through the posts of a trip that have coordinates
+ * @param {Object[]} stops - The posts in visit order
+ * @returns {Object} { points, legs, totalKm } where points are the located posts and legs
+ *   maps a post ID to the distance from the previous located post
+ */
+function measureTripRoute(stops) {
+    const points = stops.filter(post => Number.isFinite(post.lat) && Number.isFinite(post.lng));
+    const legs = new Map();
+    let totalKm = 0;
+    points.slice(1).forEach((post, index) => {
+        const previous = points[index];
+        const km = distanceKm(previous.lat, previous.lng, post.lat, post.lng);
+        legs.set(post.id, km);
+        totalKm += km;
+    });
+    return { points, legs, totalKm };
+}
+
+/**
+ * Formats a distance for display
+ * @param {number} km - Distance in kilometers
+ * @returns {string} e.g. "850m" or "3.2km"
+ */
+function formatDistance(km) {
+    return km < 1 ? `${Math.round(km * 1000)}m` : `${km.toFixed(1)}km`;
+}
+
+/**
+ * Picks the photo shown for a trip: its chosen cover while that photo is still part of
+ * the trip, otherwise the first photo of its first post
+ * @param {Object} trip - The trip
+ * @param {Object[]} stops - The posts of the trip
+ * @returns {string|null} Image ID
+ */
+function getTripCover(trip, stops) {
+    const imageIds = stops.flatMap(post => post.images || []);
+    return imageIds.includes(trip.coverImage) ? trip.coverImage : imageIds[0] || null;
+}
+
+/**
+ * Formats the dates of a trip, falling back to the visit dates of its posts
+ * @param {Object} trip - The trip
+ * @param {Object[]} stops - The posts of the trip
+ * @returns {string} The date range, or '' when nothing is dated
+ */
+function formatTripDates(trip, stops) {
+    const visitDates = stops.map(post => post.date).filter(Boolean).sort();
+    const start = trip.startDate || visitDates[0];
+    const end = trip.endDate || visitDates[visitDates.length - 1];
+    if (!start) return '';
+    return !end || end === start ? formatDate(start) : `${formatDate(start)} – ${formatDate(end)}`;
+}
+
+/**
+ * Fills a select with the current user's trips and an option to create a new one
+ * Keeps the selected trip when it still exists.
+ * @param {HTMLSelectElement} select - The select
+ * @param {Object[]} trips - The current user's trips
+ * @param {string} emptyLabel - Label of the option for no trip
+ */
+function renderTripOptions(select, trips, emptyLabel) {
+    const selected = select.value;
+    select.innerHTML = `
+        <option value="">${emptyLabel}</option>
+        ${sortTrips(trips).map(trip => `<option value="${trip.id}">${escapeHtml(trip.name)}</option>`).join('')}
+        <option value="${NEW_TRIP_OPTION}">+ 새 답사 여행…</option>
+    `;
+    select.value = trips.some(trip => trip.id === selected) ? selected : '';
+}
+
+/**
+ * Refreshes the trip choices of the upload form
+ */
+async function renderUploadTripOptions() {
+    const select = document.getElementById('tripInput');
+    if (!select || !currentUser) return;
+    renderTripOptions(select, await DataService.getCollections(currentUser.id), '없음');
+}
+
+/**
+ * Handles picking a trip in the upload form; the new-trip option creates one and selects it
+ * @param {Event} e - The change event
+ */
+async function handleTripInputChange(e) {
+    const select = e.target;
+    if (select.value !== NEW_TRIP_OPTION) return;
+    
+    select.value = '';
+    const trip = await promptNewTrip();
+    if (!trip) return;
+    await renderUploadTripOptions();
+    select.value = trip.id;
+    scheduleDraftAutosave();
+}
+
+/**
+ * Renders the trips of the profile being shown
+ * The current user's own page offers to create one even when there are none yet.
+ */
+async function renderTrips() {
+    const section = document.getElementById('tripsSection');
+    if (!section || !currentUser) return;
+    
+    const shownUser = profileUser || currentUser;
+    const isOwn = shownUser.id === currentUser.id;
+    const trips = await DataService.getCollections(shownUser.id);
+    const posts = await DataService.getPosts();
+    section.classList.toggle('hidden', trips.length === 0 && !isOwn);
+    document.getElementById('newTripBtn').classList.toggle('hidden', !isOwn);
+    
+    const list = document.getElementById('tripList');
+    list.innerHTML = trips.length === 0
+        ? '<p class="trip-empty">하루의 답사 기록을 방문 순서대로 묶어 보세요.</p>'
+        : sortTrips(trips).map(trip => {
+            const stops = getTripStops(trip, posts);
+            const cover = getTripCover(trip, stops);
+            const dates = formatTripDates(trip, stops);
+            return `
+                <a class="trip-card" href="${getTripRoute(trip.id)}">
+                    ${cover
+                        ? `<img data-lazy-image="${cover}" data-placeholder-class="trip-card-cover" data-placeholder-text="🧳" alt="" class="trip-card-cover">`
+                        : '<div class="trip-card-cover">🧳</div>'}
+                    <div class="trip-card-info">
+                        <div class="trip-card-name">${escapeHtml(trip.name)}</div>
+                        <div class="trip-card-meta">${dates ? `${dates} · ` : ''}${stops.length}곳</div>
+                    </div>
+                </a>
+            `;
+        }).join('');
+    lazyImages.observe(list);
+}
+
+/**
+ * Renders the trip opened through #/trip/:id: its details, route map and posts in visit order
+ * Only runs while the trip tab is visible, because the map measures its container.
+ */
+async function renderTrip() {
+    if (!currentUser || currentTab !== 'trip' || !currentTripId) return;
+    
+    const isCurrent = beginRender('trip');
+    const trip = await DataService.getCollection(currentTripId);
+    const posts = await DataService.getPosts();
+    const owner = trip ? await DataService.getUser(trip.userId) : null;
+    if (!isCurrent()) return;
+    
+    if (!trip) {
+        // Deleted here or elsewhere
+        currentTripId = null;
+        history.replaceState(null, '', getTabRoute('profile'));
+        applyRoute();
+        return;
+    }
+    
+    const isOwn = trip.userId === currentUser.id;
+    const stops = getTripStops(trip, posts);
+    const route = measureTripRoute(stops);
+    const dates = formatTripDates(trip, stops);
+    
+    document.getElementById('tripBackLink').href = isOwn || !owner ? getTabRoute('profile') : getUserRoute(owner.username);
+    document.getElementById('tripName').textContent = trip.name;
+    document.getElementById('tripMeta').innerHTML = [
+        owner ? `<a href="${getUserRoute(owner.username)}">${escapeHtml(owner.username)}</a>` : '',
+        dates
+    ].filter(Boolean).join(' · ');
+    document.getElementById('tripDescription').textContent = trip.description || '';
+    document.getElementById('tripOwnerActions').classList.toggle('hidden', !isOwn);
+    if (!isOwn) {
+        document.getElementById('tripEditForm').classList.add('hidden');
+    }
+    
+    document.getElementById('tripSummary').textContent = [
+        `${stops.length}곳 방문`,
+        route.points.length > 1 ? `총 이동 거리 ${formatDistance(route.totalKm)} (직선 거리)` : '',
+        stops.length > route.points.length ? `좌표가 없는 기록 ${stops.length - route.points.length}개는 경로에서 제외` : ''
+    ].filter(Boolean).join(' · ');
+    
+    // Route map
+    const mapContainer = document.getElementById('tripMap');
+    mapContainer.classList.toggle('hidden', route.points.length === 0);
+    if (route.points.length > 0) {
+        if (!tripMapView) {
+            tripMapView = createMapView(mapContainer, {
+                onMarkerClick: (marker) => openPost(marker.postId)
+            });
+        }
+        tripMapView.setRoute(route.points.map(post => ({ lat: post.lat, lng: post.lng })));
+        tripMapView.setMarkers(route.points.map(post => ({
+            postId: post.id,
+            lat: post.lat,
+            lng: post.lng,
+            color: CATEGORY_MARKER_COLORS[post.category] || CATEGORY_MARKER_COLORS['기타'],
+            title: `${stops.indexOf(post) + 1}. ${post.buildingName}`,
+            label: String(stops.indexOf(post) + 1)
+        })));
+        tripMapView.fitMarkers();
+    }
+    
+    // Posts in visit order
+    const stopsEl = document.getElementById('tripStops');
+    stopsEl.innerHTML = stops.length === 0
+        ? `<p class="trip-empty">${isOwn
+            ? '아직 기록이 없습니다. 업로드 폼이나 포스트 상세 보기에서 이 여행에 추가하세요.'
+            : '아직 기록이 없습니다.'}</p>`
+        : stops.map((post, index) => `
+            <li class="trip-stop" data-post-id="${post.id}">
+                <span class="trip-stop-number">${index + 1}</span>
+                ${post.images && post.images.length > 0
+                    ? `<img data-lazy-image="${post.images[0]}" data-placeholder-class="trip-stop-thumb" alt="" class="trip-stop-thumb">`
+                    : '<div class="trip-stop-thumb">🏛️</div>'}
+                <div class="trip-stop-info">
+                    <div class="trip-stop-name">
+                        ${escapeHtml(post.buildingName)}
+                        ${isOwn && post.userId === currentUser.id ? createVisibilityBadgeHtml(post) : ''}
+                    </div>
+                    <div class="trip-stop-meta">${[post.date ? formatDate(post.date) : '', escapeHtml(post.location || '')].filter(Boolean).join(' · ')}</div>
+                    ${route.legs.has(post.id) ? `<div class="trip-stop-leg">↳ 이전 장소에서 ${formatDistance(route.legs.get(post.id))}</div>` : ''}
+                </div>
+                ${isOwn ? `
+                    <div class="trip-stop-actions">
+                        <button type="button" data-trip-action="up" title="앞으로" ${index === 0 ? 'disabled' : ''}>▲</button>
+                        <button type="button" data-trip-action="down" title="뒤로" ${index === stops.length - 1 ? 'disabled' : ''}>▼</button>
+                        <button type="button" data-trip-action="remove" title="여행에서 빼기">✕</button>
+                    </div>
+                ` : ''}
+            </li>
+        `).join('');
+    lazyImages.observe(stopsEl);
+}
+
+/**
+ * Handles clicks in the trip's post list: opening a post, or reordering and removing it
+ * @param {Event} e - The click event
+ */
+async function handleTripStopClick(e) {
+    const item = e.target.closest('[data-post-id]');
+    if (!item) return;
+    const postId = item.dataset.postId;
+    const button = e.target.closest('[data-trip-action]');
+    if (!button) {
+        openPost(postId);
+        return;
+    }
+    
+    const trip = await DataService.getCollection(currentTripId);
+    if (!trip || trip.userId !== currentUser.id) return;
+    
+    try {
+        if (button.dataset.tripAction === 'remove') {
+            await DataService.removePostFromCollection(trip.id, postId);
+        } else {
+            // Swap with the neighbouring post the user can see; posts hidden from them keep their place
+            const visibleIds = getTripStops(trip, await DataService.getPosts()).map(post => post.id);
+            const neighbour = visibleIds[visibleIds.indexOf(postId) + (button.dataset.tripAction === 'up' ? -1 : 1)];
+            if (!neighbour) return;
+            const postIds = trip.postIds.map(id => id === postId ? neighbour : id === neighbour ? postId : id);
+            await DataService.saveCollection({ ...trip, postIds, updatedAt: new Date().toISOString() }, trip);
+        }
+    } catch (error) {
+        console.warn('Error updating trip:', error);
+        alert('Failed to update the trip. Please try again.');
+    }
+    renderTrip();
+}
+
+/**
+ * Opens the trip form with the details of the trip being shown
+ */
+async function startEditTrip() {
+    const trip = await DataService.getCollection(currentTripId);
+    if (!trip || trip.userId !== currentUser.id) return;
+    
+    const stops = getTripStops(trip, await DataService.getPosts());
+    const cover = getTripCover(trip, stops);
+    const form = document.getElementById('tripEditForm');
+    document.getElementById('tripNameInput').value = trip.name;
+    document.getElementById('tripStartInput').value = trip.startDate || '';
+    document.getElementById('tripEndInput').value = trip.endDate || '';
+    document.getElementById('tripDescriptionInput').value = trip.description || '';
+    
+    const choices = document.getElementById('tripCoverChoices');
+    const imageIds = stops.flatMap(post => post.images || []);
+    choices.innerHTML = imageIds.length === 0
+        ? '<p class="trip-empty">기록을 추가하면 사진 중에서 고를 수 있습니다.</p>'
+        : imageIds.map(imageId => `
+            <label class="trip-cover-choice">
+                <input type="radio" name="tripCover" value="${imageId}" ${imageId === cover ? 'checked' : ''}>
+                <img data-lazy-image="${imageId}" data-placeholder-class="trip-cover-thumb" alt="" class="trip-cover-thumb">
+            </label>
+        `).join('');
+    lazyImages.observe(choices);
+    
+    form.classList.remove('hidden');
+    document.getElementById('tripNameInput').focus();
+}
+
+/**
+ * Saves the trip form
+ * @param {Event} e - The submit event
+ */
+async function handleTripSubmit(e) {
+    e.preventDefault();
+    
+    const trip = await DataService.getCollection(currentTripId);
+    if (!trip || trip.userId !== currentUser.id) return;
+    
+    const name = document.getElementById('tripNameInput').value.trim();
+    const startDate = document.getElementById('tripStartInput').value;
+    const endDate = document.getElementById('tripEndInput').value;
+    if (!name) {
+        alert('Please enter a name for the trip.');
+        return;
+    }
+    if (startDate && endDate && endDate < startDate) {
+        alert('The trip cannot end before it starts.');
+        return;
+    }
+    
+    const cover = document.querySelector('input[name="tripCover"]:checked');
+    try {
+        await DataService.saveCollection({
+            ...trip,
+            name,
+            startDate,
+            endDate,
+            description: document.getElementById('tripDescriptionInput').value.trim(),
+            coverImage: cover ? cover.value : trip.coverImage,
+            updatedAt: new Date().toISOString()
+        }, trip);
+    } catch (error) {
+        console.warn('Error saving trip:', error);
+        alert('Failed to save the trip. Please try again.');
+        return;
+    }
+    
+    document.getElementById('tripEditForm').classList.add('hidden');
+    renderTrip();
+    renderUploadTripOptions();
+}
+
+/**
+ * Deletes the trip being shown; its posts are kept
+ */
+async function handleDeleteTrip() {
+    const trip = await DataService.getCollection(currentTripId);
+    if (!trip || trip.userId !== currentUser.id) return;
+    
+    if (!confirm(`Delete the trip "${trip.name}"? Its posts are kept.`)) return;
+    
+    try {
+        await DataService.deleteCollection(trip.id);
+    } catch (error) {
+        console.warn('Error deleting trip:', error);
+        alert('Failed to delete the trip. Please try again.');
+        return;
+    }
+    renderUploadTripOptions();
+    switchTab('profile');
+}
+
+/**
+ * Creates a trip from the profile and opens it
+ */
+async function handleNewTrip() {
+    const trip = await promptNewTrip();
+    if (!trip) return;
+    renderUploadTripOptions();
+    navigate(getTripRoute(trip.id));
+}
+
+/**
+ * Renders the trips a post belongs to in the detail modal, with a choice to add it to
+ * one of the current user's trips
+ * @param {string} postId - The post shown in the modal
+ */
+async function renderPostTrips(postId) {
+    const container = document.querySelector(`[data-post-trips="${postId}"]`);
+    if (!container || !currentUser) return;
+    
+    const postTrips = await DataService.getPostCollections(postId);
+    const ownTrips = (await DataService.getCollections(currentUser.id))
+        .filter(trip => !trip.postIds.includes(postId));
+    
+    container.innerHTML = `
+        ${postTrips.length > 0 ? `
+            <div class="post-trip-links">
+                🧳 ${sortTrips(postTrips).map(trip => `<a href="${getTripRoute(trip.id)}">${escapeHtml(trip.name)}</a>`).join(', ')}
+            </div>
+        ` : ''}
+        <select class="filter-select" data-add-to-trip></select>
+    `;
+    renderTripOptions(container.querySelector('[data-add-to-trip]'), ownTrips, '🧳 답사 여행에 추가…');
+}
+
+/**
+ * Adds the post shown in the modal to the trip picked in its trip select
+ * @param {Event} e - The change event
+ * @param {string} postId - The post shown in the modal
+ */
+async function handleAddToTrip(e, postId) {
+    let tripId = e.target.value;
+    if (!tripId) return;
+    e.target.value = '';
+    
+    if (tripId === NEW_TRIP_OPTION) {
+        const trip = await promptNewTrip();
+        if (!trip) return;
+        tripId = trip.id;
+    }
+    try {
+        await DataService.addPostToCollection(tripId, postId);
+    } catch (error) {
+        console.warn('Error adding post to trip:', error);
+        alert('Failed to add the post to the trip. Please try again.');
+    }
+    renderPostTrips(postId);
+    renderUploadTripOptions();
+}
+
+// ============================================================================
+// Notifications
+// ============================================================================
+
+const NOTIFICATION_SETTINGS_KEY = 'architecture_log_notification_settings';
+
+// Notification types with the labels shown in the mute settings
+const NOTIFICATION_TYPES = {
+    like: '좋아요',
+    comment: '댓글',
+    reply: '답글',
+    follow: '팔로우'
+};
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+    muted: [] // Types that are neither listed nor counted
+};
+
+// How often the unread count is refreshed
+const NOTIFICATION_POLL_INTERVAL = 60000;
+
+/**
+ * Returns the notification settings, with any saved overrides applied
+ * @returns {Object} { muted }
+ */
+function getNotificationSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(NOTIFICATION_SETTINGS_KEY) || '{}');
+        return { ...DEFAULT_NOTIFICATION_SETTINGS, ...saved };
+    } catch (error) {
+        return { ...DEFAULT_NOTIFICATION_SETTINGS };
+    }
+}
+
+/**
+ * Saves notification setting overrides
+ * @param {Object} settings - Settings to override, e.g. { muted: ['like'] }
+ */
+function saveNotificationSettings(settings) {
+    localStorage.setItem(NOTIFICATION_SETTINGS_KEY, JSON.stringify({ ...getNotificationSettings(), ...settings }));
+}
+
+/**
+ * Loads the current user's notifications, newest first, without muted types
+ * @returns {Promise<Object[]>} Promise that resolves with the notifications
+ */
+async function loadNotifications() {
+    const muted = new Set(getNotificationSettings().muted);
+    const notifications = await DataService.getNotifications(currentUser.id);
+    return notifications
+        .filter(notification => !muted.has(notification.type))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Updates the unread count on the bell, and the panel when it is open
+ */
+async function refreshNotifications() {
     if (!currentUser) return;
     
-    const userPosts = document.getElementById('userPosts');
-    if (!userPosts) return;
+    let notifications;
+    try {
+        notifications = await loadNotifications();
+    } catch (error) {
+        console.warn('Error loading notifications:', error);
+        return;
+    }
+    
+    const unread = notifications.filter(notification => !notification.read).length;
+    const badge = document.getElementById('notificationBadge');
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    badge.classList.toggle('hidden', unread === 0);
     
-    updateUserDisplay();
+    if (!document.getElementById('notificationPanel').classList.contains('hidden')) {
+        await renderNotificationList(notifications);
+    }
+}
+
+/**
+ * Describes a notification in one sentence
+ * @param {Object} notification - The notification
+ * @param {Object|null} actor - The user who caused it
+ * @param {Object|null} post - The post it is about
+ * @returns {string} HTML string for the message
+ */
+function formatNotificationMessage(notification, actor, post) {
+    const name = `<strong>${escapeHtml(actor ? actor.username : 'Someone')}</strong>`;
+    const building = post ? `'${escapeHtml(post.buildingName)}'` : '삭제된 포스트';
+    switch (notification.type) {
+        case 'like':
+            return `${name}님이 ${building}을(를) 좋아합니다.`;
+        case 'comment':
+            return `${name}님이 ${building}에 댓글을 남겼습니다.`;
+        case 'reply':
+            return `${name}님이 ${building}의 회원님 댓글에 답글을 남겼습니다.`;
+        case 'follow':
+            return `${name}님이 회원님을 팔로우합니다.`;
+        default:
+            return `${name}님의 새 알림`;
+    }
+}
+
+/**
+ * Renders the notification panel's list
+ * @param {Object[]} notifications - The notifications to show
+ */
+async function renderNotificationList(notifications) {
+    const list = document.getElementById('notificationList');
+    if (notifications.length === 0) {
+        list.innerHTML = '<p class="notification-empty">새 알림이 없습니다.</p>';
+        return;
+    }
+    
+    const items = await Promise.all(notifications.map(async (notification) => ({
+        notification,
+        actor: await DataService.getUser(notification.actorId),
+        post: notification.postId ? await DataService.getPost(notification.postId) : null
+    })));
     
-    const posts = DataService.getUserPosts(currentUser.id);
+    list.innerHTML = items.map(({ notification, actor, post }) => `
+        <button type="button" class="notification-item ${notification.read ? '' : 'unread'}" data-notification-id="${notification.id}">
+            ${createAvatarHtml(actor, 'post-author-avatar')}
+            <div>
+                <div>${formatNotificationMessage(notification, actor, post)}</div>
+                <div class="post-date">${formatDateTime(notification.createdAt)}</div>
+            </div>
+        </button>
+    `).join('');
+    lazyImages.observe(list);
     
-    userPosts.innerHTML = '';
+    list.querySelectorAll('[data-notification-id]').forEach((button, index) => {
+        button.addEventListener('click', () => handleNotificationClick(items[index]));
+    });
+}
+
+/**
+ * Renders the per-type mute checkboxes
+ */
+function renderNotificationMuteOptions() {
+    const container = document.getElementById('notificationMuteOptions');
+    const muted = new Set(getNotificationSettings().muted);
+    container.innerHTML = Object.entries(NOTIFICATION_TYPES).map(([type, label]) => `
+        <label><input type="checkbox" data-notification-type="${type}" ${muted.has(type) ? '' : 'checked'}> ${label} 알림 받기</label>
+    `).join('');
     
-    if (posts.length === 0) {
-        userPosts.innerHTML = '<p style="text-align: center; color: var(--text-secondary); padding: 40px;">You haven\'t created any posts yet.</p>';
+    container.querySelectorAll('[data-notification-type]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const types = new Set(getNotificationSettings().muted);
+            if (checkbox.checked) {
+                types.delete(checkbox.dataset.notificationType);
+            } else {
+                types.add(checkbox.dataset.notificationType);
+            }
+            saveNotificationSettings({ muted: Array.from(types) });
+            refreshNotifications();
+        });
+    });
+}
+
+/**
+ * Opens or closes the notification panel
+ */
+function toggleNotificationPanel() {
+    const panel = document.getElementById('notificationPanel');
+    if (!panel.classList.contains('hidden')) {
+        closeNotificationPanel();
         return;
     }
+    panel.classList.remove('hidden');
+    document.getElementById('notificationBell').setAttribute('aria-expanded', 'true');
+    renderNotificationMuteOptions();
+    refreshNotifications();
+}
+
+/**
+ * Closes the notification panel
+ */
+function closeNotificationPanel() {
+    const panel = document.getElementById('notificationPanel');
+    if (!panel || panel.classList.contains('hidden')) return;
+    panel.classList.add('hidden');
+    document.getElementById('notificationBell').setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Marks a notification as read and opens what it is about
+ * Follows open the follower's profile; everything else opens the post
+ * @param {Object} item - { notification, actor, post }
+ */
+async function handleNotificationClick({ notification, actor, post }) {
+    closeNotificationPanel();
+    if (!notification.read) {
+        try {
+            await DataService.markNotificationsRead(currentUser.id, [notification.id]);
+        } catch (error) {
+            console.warn('Error marking notification as read:', error);
+        }
+        refreshNotifications();
+    }
     
-    for (const post of posts) {
-        const postCard = await createPostCard(post);
-        userPosts.appendChild(postCard);
+    if (notification.type === 'follow') {
+        if (actor) navigate(getUserRoute(actor.username));
+    } else if (post) {
+        openPost(post.id);
+    } else {
+        alert('This post no longer exists.');
+    }
+}
+
+/**
+ * Marks every notification of the current user as read, muted types included
+ */
+async function markAllNotificationsRead() {
+    try {
+        const notifications = await DataService.getNotifications(currentUser.id);
+        const unreadIds = notifications.filter(n => !n.read).map(n => n.id);
+        if (unreadIds.length > 0) {
+            await DataService.markNotificationsRead(currentUser.id, unreadIds);
+        }
+    } catch (error) {
+        console.warn('Error marking notifications as read:', error);
+        alert('Failed to mark notifications as read. Please try again.');
     }
+    refreshNotifications();
 }
 
 // ============================================================================
@@ -890,7 +4904,7 @@ async function viewPostDetails(postId) {
     
     if (!modal || !modalContent) return;
     
-    const post = DataService.getPosts().find(p => p.id === postId);
+    const post = await DataService.getPost(postId);
     if (!post) return;
     
     // Load all images for the post
@@ -900,7 +4914,7 @@ async function viewPostDetails(postId) {
             try {
                 const imageUrl = await getImageUrl(imageId);
                 if (imageUrl) {
-                    imagesHtml += `<img src="${imageUrl}" alt="${post.buildingName}" style="max-width: 100%; border-radius: 8px; margin-bottom: 16px;">`;
+                    imagesHtml += `<img src="${imageUrl}" alt="${escapeHtml(post.buildingName)}" style="max-width: 100%; border-radius: 8px; margin-bottom: 16px;">`;
                 }
             } catch (error) {
                 console.warn('Error loading image:', error);
@@ -908,31 +4922,474 @@ async function viewPostDetails(postId) {
         }
     }
     
-    const categoryClass = post.category ? `category-${post.category.toLowerCase().replace('건축', '')}` : '';
-    const categoryHtml = post.category ? `<span class="post-category ${categoryClass}">${post.category}</span>` : '';
+    const categoryClass = post.category ? `category-${escapeHtml(post.category.toLowerCase().replace('건축', ''))}` : '';
+    const categoryHtml = post.category ? `<span class="post-category ${categoryClass}">${escapeHtml(post.category)}</span>` : '';
     
     const tagsHtml = post.tags && post.tags.length > 0
-        ? `<div class="post-tags">${post.tags.map(tag => `<span class="post-tag">${tag}</span>`).join('')}</div>`
+        ? `<div class="post-tags">${post.tags.map(tag => `<span class="post-tag">${escapeHtml(tag)}</span>`).join('')}</div>`
+        : '';
+    
+    const isOwner = currentUser && post.userId === currentUser.id;
+    const visibilityHtml = isOwner ? createVisibilityBadgeHtml(post) : '';
+    const likeButtonHtml = await createLikeButtonHtml(post.id);
+    const likersHtml = await createLikersHtml(post.id);
+    
+    const ownerActionsHtml = isOwner
+        ? `<div class="post-detail-actions">
+                <button type="button" class="btn-secondary" id="editPostBtn">✏️ 수정</button>
+                <button type="button" class="btn-secondary btn-danger" id="deletePostBtn">🗑️ 삭제</button>
+           </div>`
         : '';
     
     modalContent.innerHTML = `
         <div class="post-detail">
-            ${categoryHtml}
-            <h2>${post.buildingName}</h2>
+            ${categoryHtml}${visibilityHtml}
+            <h2>${escapeHtml(post.buildingName)}</h2>
             <div style="margin-bottom: 16px;">
-                <div><strong>📍 위치:</strong> ${post.location || 'Location not specified'}</div>
+                <div><strong>📍 위치:</strong> ${post.location ? escapeHtml(post.location) : 'Location not specified'}</div>
                 <div><strong>📅 날짜:</strong> ${formatDate(post.date)}</div>
-                <div><strong>👤 작성자:</strong> ${post.username || 'Anonymous'}</div>
+                <div><strong>👤 작성자:</strong> ${post.username ? `<a href="${getUserRoute(post.username)}">${escapeHtml(post.username)}</a>` : 'Anonymous'}</div>
+                ${post.updatedAt ? `<div><strong>✏️ 수정됨:</strong> ${formatDate(post.updatedAt)}</div>` : ''}
             </div>
             ${imagesHtml}
-            ${post.note ? `<div class="post-note">${post.note}</div>` : ''}
+            ${post.note ? `<div class="post-note">${escapeHtml(post.note)}</div>` : ''}
             ${tagsHtml}
+            <div class="post-detail-trips" data-post-trips="${post.id}"></div>
+            <div class="post-detail-likes">
+                ${likeButtonHtml}
+                <div class="likers-list" data-likers-post="${post.id}">${likersHtml}</div>
+            </div>
+            ${ownerActionsHtml}
+            <div class="post-comments-section">
+                <h3>댓글 <span id="commentsCount">0</span></h3>
+                <div id="commentsList" class="comments-list"></div>
+                <form id="commentForm" class="comment-form">
+                    <input type="text" id="commentInput" class="comment-input" placeholder="댓글 달기..." required>
+                    <button type="submit" class="comment-submit">게시</button>
+                </form>
+            </div>
         </div>
     `;
     
+    modalContent.querySelector('.like-button').addEventListener('click', () => handleLikeClick(post.id));
+    
+    renderPostTrips(post.id);
+    modalContent.querySelector('[data-post-trips]').addEventListener('change', (e) => handleAddToTrip(e, post.id));
+    
+    renderComments(post.id);
+    document.getElementById('commentsList').addEventListener('click', (e) => handleCommentAction(e, post.id));
+    document.getElementById('commentForm').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('commentInput');
+        const content = input.value.trim();
+        if (!content) return;
+        addComment(post.id, content);
+        input.value = '';
+    });
+    
+    const editBtn = document.getElementById('editPostBtn');
+    if (editBtn) {
+        editBtn.addEventListener('click', () => startEditPost(post.id));
+    }
+    
+    const deleteBtn = document.getElementById('deletePostBtn');
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => handleDeletePost(post.id));
+    }
+    
+    currentModalPostId = post.id;
     modal.classList.remove('hidden');
 }
 
+/**
+ * Handles deleting a post from the detail modal
+ * Removes the post with its comments and likes, deletes its image Blobs
+ * from IndexedDB, and refreshes all views
+ * @param {string} postId - The ID of the post to delete
+ */
+async function handleDeletePost(postId) {
+    const post = await DataService.getPost(postId);
+    if (!post || !currentUser || post.userId !== currentUser.id) return;
+    
+    if (!confirm(`Delete "${post.buildingName}"? This will also remove its photos, comments and likes. This action cannot be undone.`)) {
+        return;
+    }
+    
+    try {
+        await DataService.deletePost(postId);
+    } catch (error) {
+        console.warn('Error deleting post:', error);
+        alert('Failed to delete the post. Please try again.');
+        return;
+    }
+    
+    // Garbage-collect the post's image Blobs and thumbnails once the post is gone
+    for (const imageId of post.images || []) {
+        await deleteImageWithThumbnail(imageId);
+    }
+    
+    if (editingPost && editingPost.id === postId) {
+        resetUploadForm();
+    }
+    
+    dismissPostModal();
+    
+    renderFeed({ keepPosition: true });
+    renderExplore({ keepPosition: true });
+    renderMap();
+    renderProfile({ keepPosition: true });
+    renderTrip();
+}
+
+/**
+ * Closes the post detail modal
+ * Only hides the modal; use dismissPostModal() to also leave the post's route
+ */
+function closePostModal() {
+    document.getElementById('postModal').classList.add('hidden');
+    currentModalPostId = null;
+}
+
+/**
+ * Closes the post detail modal and leaves its #/post/:id route
+ * Goes back in history when the modal was opened inside the app, so that the
+ * back button and the close button end up in the same place
+ */
+function dismissPostModal() {
+    closePostModal();
+    if (parseRoute(location.hash).segments[0] !== 'post') return;
+    
+    if (history.state && history.state.inApp) {
+        history.back();
+    } else {
+        history.replaceState(null, '', getTabRoute(currentTab));
+    }
+}
+
+// ============================================================================
+// Routing
+// ============================================================================
+
+// Tabs that can be addressed as #/<tab>
+const TAB_ROUTES = ['feed', 'explore', 'map', 'stats', 'profile', 'upload'];
+
+// Views whose filter settings are carried in the route's query string
+const FILTERABLE_VIEWS = ['feed', 'explore', 'profile'];
+
+/**
+ * Parses a location hash such as "#/feed?category=종교건축&q=빛"
+ * @param {string} hash - The location hash
+ * @returns {Object} { segments, params } with decoded path segments and query parameters
+ */
+function parseRoute(hash) {
+    const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+    return {
+        segments: path.split('/').filter(Boolean).map(decodeURIComponent),
+        params: Object.fromEntries(new URLSearchParams(query))
+    };
+}
+
+/**
+ * Builds a location hash from path segments and query parameters
+ * Empty parameters are left out.
+ * @param {string[]} segments - Path segments
+ * @param {Object} [params] - Query parameters
+ * @returns {string} The hash, e.g. "#/post/post_123"
+ */
+function formatRoute(segments, params = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value)).toString();
+    return `#/${segments.map(encodeURIComponent).join('/')}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Returns the route of a tab, including its filter settings
+ * @param {string} tabName - The tab
+ * @returns {string} The hash for the tab
+ */
+function getTabRoute(tabName) {
+    if (tabName === 'stats') {
+        return getStatsRoute(statsUser);
+    }
+    if (tabName === 'trip') {
+        return currentTripId ? getTripRoute(currentTripId) : getTabRoute('profile');
+    }
+    if (!FILTERABLE_VIEWS.includes(tabName)) {
+        return formatRoute([tabName]);
+    }
+    const settings = getViewSettings(tabName);
+    return formatRoute([tabName], {
+        category: settings.category,
+        q: settings.query,
+        sort: settings.sort === DEFAULT_VIEW_SETTINGS.sort ? '' : settings.sort,
+        source: tabName === 'feed' && settings.source === 'following' ? 'following' : '',
+        color: tabName === 'explore' ? settings.color.replace(/^#/, '') : ''
+    });
+}
+
+/**
+ * Returns the route of a user's profile page
+ * @param {string} username - The username
+ * @returns {string} The hash, e.g. "#/user/juyoun"
+ */
+function getUserRoute(username) {
+    return formatRoute(['user', username]);
+}
+
+/**
+ * Returns the route of a trip page
+ * @param {string} tripId - The trip
+ * @returns {string} The hash, e.g. "#/trip/trip_123"
+ */
+function getTripRoute(tripId) {
+    return formatRoute(['trip', tripId]);
+}
+
+/**
+ * Navigates to a route inside the app, adding a history entry
+ * @param {string} hash - The route to open
+ */
+function navigate(hash) {
+    if (hash !== location.hash) {
+        history.pushState({ inApp: true }, '', hash);
+    }
+    applyRoute();
+}
+
+/**
+ * Opens a post's detail modal through its route
+ * @param {string} postId - The ID of the post
+ */
+function openPost(postId) {
+    navigate(formatRoute(['post', postId]));
+}
+
+/**
+ * Shows whatever the current URL points to
+ * Runs on load, after login, on every navigation and on back/forward.
+ */
+async function applyRoute() {
+    if (!currentUser) return;
+    
+    const { segments, params } = parseRoute(location.hash);
+    const [name, id] = segments;
+    
+    if (name === 'post' && id) {
+        if (!(await DataService.getPost(id))) {
+            alert('This post no longer exists or is not shared with you.');
+            history.replaceState(null, '', getTabRoute(currentTab));
+            applyRoute();
+            return;
+        }
+        // Keep the current tab underneath the modal
+        if (!document.querySelector('.tab-content.active')) showTab('feed');
+        viewPostDetails(id);
+        return;
+    }
+    
+    closePostModal();
+    
+    if (name === 'user' && id) {
+        const user = await DataService.getUserByUsername(id);
+        if (!user) {
+            alert(`User "${id}" was not found.`);
+            history.replaceState(null, '', getTabRoute('feed'));
+            applyRoute();
+            return;
+        }
+        profileUser = user.id === currentUser.id ? null : user;
+        showTab('profile');
+        return;
+    }
+    
+    if (name === 'trip' && id) {
+        if (!(await DataService.getCollection(id))) {
+            alert('This trip no longer exists.');
+            history.replaceState(null, '', getTabRoute('profile'));
+            applyRoute();
+            return;
+        }
+        if (id !== currentTripId) {
+            document.getElementById('tripEditForm').classList.add('hidden');
+        }
+        currentTripId = id;
+        showTab('trip');
+        return;
+    }
+    
+    if (!TAB_ROUTES.includes(name)) {
+        history.replaceState(history.state, '', getTabRoute('feed'));
+        applyRoute();
+        return;
+    }
+    
+    if (name === 'stats') {
+        const user = params.user ? await DataService.getUserByUsername(params.user) : null;
+        if (params.user && !user) {
+            alert(`User "${params.user}" was not found.`);
+            statsUser = null;
+            history.replaceState(history.state, '', getStatsRoute(null));
+            applyRoute();
+            return;
+        }
+        statsUser = user;
+    }
+    
+    // The URL is the source of truth for the filters of the view it names
+    if (FILTERABLE_VIEWS.includes(name)) {
+        saveViewSettings(name, {
+            category: params.category || '',
+            query: params.q || '',
+            sort: Object.hasOwn(SORT_OPTIONS, params.sort) ? params.sort : DEFAULT_VIEW_SETTINGS.sort,
+            source: params.source === 'following' ? 'following' : DEFAULT_VIEW_SETTINGS.source,
+            color: /^[0-9a-f]{6}$/i.test(params.color || '') ? `#${params.color.toLowerCase()}` : ''
+        });
+        refreshFilterBar(name);
+    }
+    if (name === 'profile') {
+        profileUser = null;
+    }
+    showTab(name);
+}
+
+// ============================================================================
+// Cross-tab Synchronization
+// ============================================================================
+
+// Views waiting to be re-rendered after changes from other tabs
+const pendingRenders = new Set();
+let pendingRenderTimer = null;
+
+/**
+ * Re-renders the given views once, after a short delay
+ * Batches bursts of changes from other tabs into a single render
+ * @param {string[]} views - Any of 'feed', 'explore', 'map', 'stats', 'profile', 'trip'
+ */
+function scheduleRender(views) {
+    views.forEach(view => pendingRenders.add(view));
+    clearTimeout(pendingRenderTimer);
+    pendingRenderTimer = setTimeout(() => {
+        if (pendingRenders.has('feed')) renderFeed({ keepPosition: true });
+        if (pendingRenders.has('explore')) renderExplore({ keepPosition: true });
+        if (pendingRenders.has('map')) renderMap();
+        if (pendingRenders.has('stats')) renderStats();
+        if (pendingRenders.has('profile')) renderProfile({ keepPosition: true });
+        if (pendingRenders.has('trip')) renderTrip();
+        pendingRenders.clear();
+    }, 100);
+}
+
+/**
+ * Applies a change made in another tab to the views it affects
+ * @param {Object} change - { store, id?, postId?, userId?, deleted? } from DataService
+ */
+async function handleRemoteChange(change) {
+    if (!currentUser) return;
+    
+    switch (change.store) {
+        case 'posts': {
+            // Deletes don't carry the owner, so the profile may be affected
+            const onProfile = !change.userId || change.userId === (profileUser || currentUser).id;
+            scheduleRender(onProfile
+                ? ['feed', 'explore', 'map', 'stats', 'profile', 'trip']
+                : ['feed', 'explore', 'map', 'stats', 'trip']);
+            
+            if (change.id === currentModalPostId) {
+                if (change.deleted) {
+                    dismissPostModal();
+                } else {
+                    viewPostDetails(change.id);
+                }
+            }
+            if (change.deleted && editingPost && editingPost.id === change.id) {
+                alert('The post you were editing was deleted in another tab.');
+                resetUploadForm();
+            }
+            break;
+        }
+        case 'comments': {
+            if (currentModalPostId && (!change.postId || change.postId === currentModalPostId)) {
+                renderComments(currentModalPostId);
+            }
+            if (change.postId) {
+                refreshCommentCount(change.postId);
+            } else {
+                // Deleted comments don't carry their post; refresh every visible count
+                const postIds = new Set(Array.from(
+                    document.querySelectorAll('[data-comment-count-post]'),
+                    el => el.dataset.commentCountPost
+                ));
+                postIds.forEach(postId => refreshCommentCount(postId));
+            }
+            refreshNotifications();
+            break;
+        }
+        case 'likes':
+            refreshLikeDisplay(change.postId);
+            refreshNotifications();
+            break;
+        case 'follows': {
+            // Following someone can reveal their followers-only posts everywhere
+            const views = change.followerId === currentUser.id ? ['feed', 'explore', 'map', 'stats', 'trip'] : [];
+            const shownUserId = (profileUser || currentUser).id;
+            if (change.followerId === shownUserId || change.followeeId === shownUserId) {
+                views.push('profile');
+            }
+            scheduleRender(views);
+            refreshNotifications();
+            break;
+        }
+        case 'notifications':
+            if (change.userId === currentUser.id) refreshNotifications();
+            break;
+        case 'collections':
+            // Trips appear on profiles, in the upload form, in the post modal and on their own page
+            scheduleRender(['profile', 'trip']);
+            renderUploadTripOptions();
+            if (currentModalPostId) renderPostTrips(currentModalPostId);
+            if (change.deleted && change.id === currentTripId) {
+                document.getElementById('tripEditForm').classList.add('hidden');
+            }
+            break;
+        case 'drafts':
+            if (change.userId !== currentUser.id) break;
+            // Published or deleted in another tab: drop it here too
+            if (change.deleted && change.id === activeDraftId) {
+                setActiveDraftId(currentUser.id, null);
+                resetUploadForm();
+            }
+            renderDrafts();
+            break;
+        case 'users':
+            if (change.id === currentUser.id) {
+                currentUser = (await DataService.getUser(currentUser.id)) || currentUser;
+                updateUserDisplay();
+            }
+            if (profileUser && change.id === profileUser.id) {
+                profileUser = (await DataService.getUser(profileUser.id)) || profileUser;
+                if (change.renamed && parseRoute(location.hash).segments[0] === 'user') {
+                    history.replaceState(history.state, '', getUserRoute(profileUser.username));
+                }
+            }
+            if (statsUser && change.id === statsUser.id) {
+                statsUser = (await DataService.getUser(statsUser.id)) || statsUser;
+                if (change.renamed && parseRoute(location.hash).segments[0] === 'stats') {
+                    history.replaceState(history.state, '', getStatsRoute(statsUser));
+                }
+                scheduleRender(['stats']);
+            }
+            // Avatars and author names appear on every card
+            scheduleRender(['feed', 'explore', 'profile', 'trip']);
+            break;
+        case 'images':
+            imageUrlCache.forEach(url => URL.revokeObjectURL(url));
+            imageUrlCache.clear();
+            scheduleRender(['feed', 'explore', 'profile']);
+            break;
+        default:
+            scheduleRender(['feed', 'explore', 'profile']);
+    }
+}
+
 // ============================================================================
 // Initialize App
 // ============================================================================
@@ -0,0 +1,405 @@
+// Search - query parsing, an inverted index over posts, and Korean-aware term matching
+
+// Field weights used for ranking: a hit in the building name counts more than one in the note
+const SEARCH_FIELDS = {
+    buildingName: 5,
+    tags: 4,
+    location: 3,
+    username: 2,
+    note: 1
+};
+
+// Query prefixes that restrict a term to one indexed field
+const SEARCH_FIELD_ALIASES = {
+    tag: 'tags',
+    name: 'buildingName',
+    building: 'buildingName',
+    loc: 'location',
+    location: 'location',
+    note: 'note'
+};
+
+// Match quality by how a query term relates to an indexed token
+const MATCH_QUALITY = {
+    exact: 1,
+    prefix: 0.8,
+    substring: 0.6,
+    jamo: 0.5,
+    choseong: 0.5
+};
+
+const PHRASE_BONUS = 3;
+
+// ============================================================================
+// Hangul
+// ============================================================================
+
+const HANGUL_BASE = 0xAC00;
+const HANGUL_LAST = 0xD7A3;
+
+const CHOSEONG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+const JUNGSEONG = ['ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅗㅏ', 'ㅗㅐ', 'ㅗㅣ', 'ㅛ', 'ㅜ', 'ㅜㅓ', 'ㅜㅔ', 'ㅜㅣ', 'ㅠ', 'ㅡ', 'ㅡㅣ', 'ㅣ'];
+const JONGSEONG = ['', 'ㄱ', 'ㄲ', 'ㄱㅅ', 'ㄴ', 'ㄴㅈ', 'ㄴㅎ', 'ㄷ', 'ㄹ', 'ㄹㄱ', 'ㄹㅁ', 'ㄹㅂ', 'ㄹㅅ', 'ㄹㅌ', 'ㄹㅍ', 'ㄹㅎ', 'ㅁ', 'ㅂ', 'ㅂㅅ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+// Compound jamo typed on their own, split the same way as inside syllables
+const COMPOUND_JAMO = {
+    'ㄳ': 'ㄱㅅ', 'ㄵ': 'ㄴㅈ', 'ㄶ': 'ㄴㅎ', 'ㄺ': 'ㄹㄱ', 'ㄻ': 'ㄹㅁ', 'ㄼ': 'ㄹㅂ', 'ㄽ': 'ㄹㅅ',
+    'ㄾ': 'ㄹㅌ', 'ㄿ': 'ㄹㅍ', 'ㅀ': 'ㄹㅎ', 'ㅄ': 'ㅂㅅ', 'ㅘ': 'ㅗㅏ', 'ㅙ': 'ㅗㅐ', 'ㅚ': 'ㅗㅣ',
+    'ㅝ': 'ㅜㅓ', 'ㅞ': 'ㅜㅔ', 'ㅟ': 'ㅜㅣ', 'ㅢ': 'ㅡㅣ'
+};
+
+/**
+ * Splits Hangul syllables into their letters, with compound letters split further
+ * Lets a half-typed query match: "경희구" becomes a prefix of "경희궁"
+ * @param {string} text - The text to decompose
+ * @returns {string} The text with every syllable replaced by its jamo
+ */
+function decomposeHangul(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        if (code >= HANGUL_BASE && code <= HANGUL_LAST) {
+            const offset = code - HANGUL_BASE;
+            result += CHOSEONG[Math.floor(offset / 588)] +
+                JUNGSEONG[Math.floor((offset % 588) / 28)] +
+                JONGSEONG[offset % 28];
+        } else {
+            result += COMPOUND_JAMO[char] || char;
+        }
+    }
+    return result;
+}
+
+/**
+ * Returns the initial consonants (choseong) of Hangul syllables
+ * Other characters are kept, so "경희궁" becomes "ㄱㅎㄱ"
+ * @param {string} text - The text
+ * @returns {string} The choseong form of the text
+ */
+function getChoseong(text) {
+    let result = '';
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        result += code >= HANGUL_BASE && code <= HANGUL_LAST
+            ? CHOSEONG[Math.floor((code - HANGUL_BASE) / 588)]
+            : char;
+    }
+    return result;
+}
+
+/**
+ * Checks whether a term consists only of Hangul consonants, e.g. "ㄱㅎ"
+ * @param {string} term - The query term
+ * @returns {boolean} True for choseong-only terms
+ */
+function isChoseongTerm(term) {
+    return /^[ㄱ-ㅎ]+$/.test(term);
+}
+
+// ============================================================================
+// Query Parsing
+// ============================================================================
+
+/**
+ * Normalizes text for indexing and matching
+ * @param {string} text - The text
+ * @returns {string} Lowercased NFC text
+ */
+function normalizeSearchText(text) {
+    return String(text ?? '').normalize('NFC').toLowerCase();
+}
+
+/**
+ * Splits text into index tokens (runs of letters and digits)
+ * @param {string} text - The text
+ * @returns {string[]} Normalized tokens
+ */
+function tokenizeSearchText(text) {
+    return normalizeSearchText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Parses a date range such as "2024-01..2024-06", "2024", "2024-03.." or "..2024-06-15"
+ * Each end may be a year, a month or a day; ranges are inclusive.
+ * @param {string} value - The range text
+ * @returns {Object|null} { from, to } (either may be null), or null if the value is not a date range
+ */
+function parseDateRange(value) {
+    const datePattern = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+    const [from, to] = value.includes('..') ? value.split('..', 2) : [value, value];
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to)) || (!from && !to)) {
+        return null;
+    }
+    return { from: from || null, to: to || null };
+}
+
+/**
+ * Parses a search query into clauses
+ * Supports free terms, "quoted phrases", field prefixes (tag:, category:, user:, date:,
+ * loc:, note:, name:) and negation with a leading "-", e.g.
+ * `tag:빛 -category:종교건축 "붉은 벽돌" date:2024-01..2024-06`
+ * @param {string} query - The query text
+ * @returns {Object[]} Array of { field, value, phrase, negated, range? }; field is null for free terms
+ */
+function parseSearchQuery(query) {
+    const clauses = [];
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/giu;
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+        const [whole, minus, prefix, quoted, bare] = match;
+        let field = prefix ? prefix.toLowerCase() : null;
+        let value = quoted !== undefined ? quoted : bare;
+        const phrase = quoted !== undefined;
+
+        // Unknown prefixes (e.g. a pasted URL) are searched as plain text
+        const known = field && (field === 'category' || field === 'user' || field === 'date' ||
+            SEARCH_FIELD_ALIASES[field]);
+        if (field && !known) {
+            field = null;
+            value = whole.replace(/^-/, '');
+        }
+
+        // Skip what cannot match anything yet, like a lone "-" while typing
+        value = (value || '').trim();
+        if (tokenizeSearchText(value).length === 0) continue;
+
+        const clause = { field: SEARCH_FIELD_ALIASES[field] || field, value, phrase, negated: minus === '-' };
+        if (field === 'date') {
+            clause.range = parseDateRange(value);
+            if (!clause.range) continue;
+        }
+        clauses.push(clause);
+    }
+    return clauses;
+}
+
+// ============================================================================
+// Inverted Index
+// ============================================================================
+
+/**
+ * Returns the text of one searchable field of a post
+ * @param {Object} post - The post
+ * @param {string} field - A key of SEARCH_FIELDS
+ * @returns {string} The field text
+ */
+function getSearchFieldText(post, field) {
+    return field === 'tags' ? (post.tags || []).join(' ') : (post[field] || '');
+}
+
+/**
+ * Creates an inverted index over posts
+ * The index maps each token to the posts and fields it occurs in. Keep it current with
+ * sync(); only posts whose searchable fields changed are re-indexed.
+ * @returns {Object} Index with sync and search methods
+ */
+function createSearchIndex() {
+    // token -> Map(postId -> Set of fields)
+    const postings = new Map();
+    // token -> { jamo, choseong }, computed once per token
+    const vocabulary = new Map();
+    // postId -> { post, key, tokens, text }
+    const docs = new Map();
+
+    const docKey = (post) => JSON.stringify([
+        post.buildingName, post.tags, post.location, post.username, post.note,
+        post.category, post.date, post.createdAt
+    ]);
+
+    /**
+     * Removes a post and its postings
+     */
+    function removeDoc(postId) {
+        const doc = docs.get(postId);
+        if (!doc) return;
+        doc.tokens.forEach(token => {
+            const posting = postings.get(token);
+            posting.delete(postId);
+            if (posting.size === 0) {
+                postings.delete(token);
+                vocabulary.delete(token);
+            }
+        });
+        docs.delete(postId);
+    }
+
+    /**
+     * Indexes every searchable field of a post
+     */
+    function addDoc(post) {
+        const doc = { post, key: docKey(post), tokens: new Set(), text: {} };
+        Object.keys(SEARCH_FIELDS).forEach(field => {
+            const text = getSearchFieldText(post, field);
+            doc.text[field] = normalizeSearchText(text);
+            tokenizeSearchText(text).forEach(token => {
+                if (!postings.has(token)) {
+                    postings.set(token, new Map());
+                    vocabulary.set(token, { jamo: decomposeHangul(token), choseong: getChoseong(token) });
+                }
+                const posting = postings.get(token);
+                if (!posting.has(post.id)) posting.set(post.id, new Set());
+                posting.get(post.id).add(field);
+                doc.tokens.add(token);
+            });
+        });
+        docs.set(post.id, doc);
+    }
+
+    /**
+     * Scores posts for a single-token term, optionally limited to one field
+     * @returns {Map} postId -> { score, highlights }
+     */
+    function matchToken(term, field) {
+        const results = new Map();
+        const termJamo = decomposeHangul(term);
+        const choseongOnly = isChoseongTerm(term);
+
+        vocabulary.forEach((forms, token) => {
+            let quality = 0;
+            if (token === term) quality = MATCH_QUALITY.exact;
+            else if (token.startsWith(term)) quality = MATCH_QUALITY.prefix;
+            else if (token.includes(term)) quality = MATCH_QUALITY.substring;
+            else if (choseongOnly && forms.choseong.includes(term)) quality = MATCH_QUALITY.choseong;
+            else if (forms.jamo.includes(termJamo)) quality = MATCH_QUALITY.jamo;
+            if (!quality) return;
+
+            postings.get(token).forEach((fields, postId) => {
+                if (field && !fields.has(field)) return;
+                const weight = field
+                    ? SEARCH_FIELDS[field]
+                    : Array.from(fields).reduce((sum, f) => sum + SEARCH_FIELDS[f], 0);
+                const result = results.get(postId) || { score: 0, highlights: new Set() };
+                result.score += weight * quality;
+                result.highlights.add(token);
+                results.set(postId, result);
+            });
+        });
+        return results;
+    }
+
+    /**
+     * Scores posts containing a phrase, optionally limited to one field
+     * @returns {Map} postId -> { score, highlights }
+     */
+    function matchPhrase(phrase, field) {
+        const results = new Map();
+        const fields = field ? [field] : Object.keys(SEARCH_FIELDS);
+        docs.forEach((doc, postId) => {
+            const score = fields.reduce((sum, f) =>
+                sum + (doc.text[f].includes(phrase) ? SEARCH_FIELDS[f] * PHRASE_BONUS : 0), 0);
+            if (score > 0) {
+                results.set(postId, { score, highlights: new Set([phrase]) });
+            }
+        });
+        return results;
+    }
+
+    /**
+     * Selects posts passing a predicate, without affecting the score
+     * @returns {Map} postId -> { score, highlights }
+     */
+    function matchFilter(predicate) {
+        const results = new Map();
+        docs.forEach((doc, postId) => {
+            if (predicate(doc.post)) results.set(postId, { score: 0, highlights: new Set() });
+        });
+        return results;
+    }
+
+    /**
+     * Finds the posts matching one query clause
+     * @returns {Map} postId -> { score, highlights }
+     */
+    function evaluateClause(clause) {
+        const value = normalizeSearchText(clause.value);
+        if (clause.field === 'category') {
+            return matchFilter(post => normalizeSearchText(post.category) === value);
+        }
+        if (clause.field === 'user') {
+            return matchFilter(post => normalizeSearchText(post.username) === value);
+        }
+        if (clause.field === 'date') {
+            const { from, to } = clause.range;
+            return matchFilter(post => !!post.date &&
+                (!from || post.date >= from) &&
+                (!to || post.date.slice(0, to.length) <= to));
+        }
+
+        const tokens = tokenizeSearchText(value);
+        if (clause.phrase || tokens.length > 1) {
+            return matchPhrase(value, clause.field);
+        }
+        return tokens.length === 1 ? matchToken(tokens[0], clause.field) : new Map();
+    }
+
+    return {
+        /**
+         * Brings the index up to date with the given posts
+         * @param {Array} posts - Every post that should be searchable
+         */
+        sync(posts) {
+            const seen = new Set();
+            posts.forEach(post => {
+                seen.add(post.id);
+                const doc = docs.get(post.id);
+                if (doc && doc.key === docKey(post)) {
+                    doc.post = post;
+                    return;
+                }
+                removeDoc(post.id);
+                addDoc(post);
+            });
+            Array.from(docs.keys()).forEach(postId => {
+                if (!seen.has(postId)) removeDoc(postId);
+            });
+        },
+
+        /**
+         * Runs a query against the indexed posts
+         * All positive clauses must match; posts matching a negated clause are dropped.
+         * @param {string|Object[]} query - Query text or clauses from parseSearchQuery()
+         * @returns {Object[]} Array of { post, score, highlights }, best match first
+         */
+        search(query) {
+            const clauses = typeof query === 'string' ? parseSearchQuery(query) : query;
+            let matches = null;
+            const excluded = new Set();
+
+            clauses.forEach(clause => {
+                const results = evaluateClause(clause);
+                if (clause.negated) {
+                    results.forEach((result, postId) => excluded.add(postId));
+                    return;
+                }
+                if (!matches) {
+                    matches = results;
+                    return;
+                }
+                const intersection = new Map();
+                matches.forEach((result, postId) => {
+                    const other = results.get(postId);
+                    if (!other) return;
+                    intersection.set(postId, {
+                        score: result.score + other.score,
+                        highlights: new Set([...result.highlights, ...other.highlights])
+                    });
+                });
+                matches = intersection;
+            });
+
+            // Only negated clauses: start from every post
+            if (!matches) {
+                matches = matchFilter(() => true);
+            }
+
+            return Array.from(matches)
+                .filter(([postId]) => !excluded.has(postId))
+                .map(([postId, result]) => ({
+                    post: docs.get(postId).post,
+                    score: result.score,
+                    highlights: Array.from(result.highlights)
+                }))
+                .sort((a, b) => b.score - a.score || new Date(b.post.createdAt) - new Date(a.post.createdAt));
+        }
+    };
+}